@@ -1,37 +1,168 @@
 /**
  * @fileoverview The background script (service worker) for the Record Steps extension.
- * It manages the extension's state, handles script injection, and processes data
- * sent from the content script and popup.
+ * It manages the extension's state, handles script injection, processes data
+ * sent from the content script and popup, and replays recordings.
  * Sets default logging level on install.
  */
 
 try {
-  importScripts('constants.js');
+  importScripts('constants.js', 'redaction.js', 'scope.js', 'sessions.js');
 } catch (e) {
   console.error(e);
 }
 
 /**
  * Initializes the extension's storage when it's installed or updated.
- * Sets the default recording state, logging level, and an empty array for clicks.
+ * Resets the recording state and makes sure a session exists, moving a recording
+ * stored by a version without sessions into the first one. The logging level is
+ * taken from the active session, which defaults to Minimal.
  * @listens chrome.runtime.onInstalled
  */
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.set({
-    isRecording: false,
-    clicks: [],
-    loggingLevel: LOGGING_LEVELS.MINIMAL // Default to Minimal
-  });
+chrome.runtime.onInstalled.addListener(async () => {
+  try {
+    await chrome.storage.local.set({ isRecording: false, isPaused: false });
+    const session = await getActiveSession();
+    await chrome.storage.local.set({ loggingLevel: session.loggingLevel });
+  } catch (e) {
+    console.error(`Error initializing storage: ${e.message}`);
+  }
 });
 
 /**
- * A Promise-based lock to ensure that 'recordAction' messages are processed serially.
+ * Step types the replay engine executes. Other recorded actions, such as focus
+ * events and attribute changes, describe side effects and are left out of a replay.
+ * @type {string[]}
+ */
+const REPLAYABLE_STEP_TYPES = [
+  'pageLoad', 'click', 'hover', 'inputSequence', 'keyDown', 'paste', 'assert', 'newTab', 'switchTab', 'closeTab',
+  'select', 'check', 'submit', 'doubleClick', 'contextMenu', 'dragAndDrop', 'fileUpload', 'scroll'
+];
+
+/**
+ * Step types that may trigger the navigation recorded by the 'pageLoad' that follows them.
+ * A new tab loads its first page by itself.
+ * @type {string[]}
+ */
+const NAVIGATION_TRIGGER_TYPES = ['click', 'keyDown', 'inputSequence', 'newTab', 'submit', 'select', 'check', 'doubleClick'];
+
+/**
+ * Step types that submit a form by themselves, i.e. the submit button click or the Enter
+ * key. A 'submit' step recorded after one of them is not replayed again.
+ * @type {string[]}
+ */
+const SUBMIT_TRIGGER_TYPES = ['click', 'keyDown', 'inputSequence'];
+
+/**
+ * Step types that may open the tab recorded by the 'newTab' step that follows them.
+ * @type {string[]}
+ */
+const NEW_TAB_TRIGGER_TYPES = ['click', 'keyDown', 'inputSequence', 'paste', 'doubleClick'];
+
+/**
+ * Step types that can trigger network requests. A request is linked to the latest such
+ * step recorded in its tab before the request started.
+ * @type {string[]}
+ */
+const NETWORK_TRIGGER_TYPES = [
+  'pageLoad', 'click', 'hover', 'inputSequence', 'keyDown', 'paste',
+  'select', 'check', 'doubleClick', 'contextMenu', 'dragAndDrop', 'fileUpload', 'scroll'
+];
+
+// Key in chrome.storage.local of the last stored sequence number per content script
+// outbox. It is written together with the items it covers, so a batch resent after a
+// failed write or a restart of the worker is stored exactly once.
+const OUTBOX_SEQUENCES_KEY = 'outboxSequences';
+// Sequence numbers of outboxes that sent nothing for this long are forgotten
+const OUTBOX_SEQUENCE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Key in chrome.storage.session of the tabs followed while recording: the tab recording
+// started in and the tabs and popup windows opened from it, and the recorded tab in front.
+const RECORDED_TABS_KEY = 'recordedTabs';
+
+/**
+ * Step types a screenshot of the tab is taken for while recording.
+ * @type {string[]}
+ */
+const SCREENSHOT_STEP_TYPES = [
+  'click', 'inputSequence', 'keyDown', 'pageLoad', 'select', 'check', 'submit', 'doubleClick', 'contextMenu', 'dragAndDrop', 'fileUpload', 'scroll'
+];
+// Screenshots are downscaled to at most this width and stored as JPEG
+const SCREENSHOT_MAX_WIDTH = 800;
+const SCREENSHOT_JPEG_QUALITY = 0.6;
+// captureVisibleTab() may be called at most twice per second
+const SCREENSHOT_INTERVAL_MS = 600;
+// Page loads are recorded as soon as the document starts; give the page time to render
+const SCREENSHOT_PAGE_LOAD_DELAY_MS = 1000;
+// Screenshots still waiting this long after their step was stored no longer show it
+const SCREENSHOT_MAX_DELAY_MS = 3000;
+
+const REPLAY_STEP_TIMEOUT_MS = 10000;
+const REPLAY_NAVIGATION_TIMEOUT_MS = 15000;
+// Extension API calls reset the service worker's idle timer, which is otherwise 30 seconds.
+const SERVICE_WORKER_KEEPALIVE_MS = 20000;
+// How long a failed keyboard shortcut is shown on the toolbar icon
+const COMMAND_ERROR_BADGE_MS = 4000;
+
+/**
+ * Whether a replay is currently running. Only one replay may run at a time.
+ * @type {boolean}
+ */
+let isReplaying = false;
+
+/**
+ * A Promise-based lock to ensure that 'recordBatch' messages are processed serially.
  * This prevents race conditions where multiple actions might try to update the
- * 'clicks' array in storage simultaneously, which could lead to data loss.
+ * session's steps in storage simultaneously, which could lead to data loss.
  * @type {Promise<void>}
  */
 let recordActionLock = Promise.resolve();
 
+/**
+ * Screenshots are taken one after the other through this chain, to respect the rate
+ * limit of captureVisibleTab(). lastScreenshotAt is when the last one was taken.
+ * @type {Promise<void>}
+ */
+let screenshotQueue = Promise.resolve();
+let lastScreenshotAt = 0;
+
+/**
+ * Whether the last write of a recorded step or request failed, e.g. because storage is
+ * full. The error is published as 'storageError' for the popup until a write succeeds.
+ * @type {boolean}
+ */
+let hasStorageError = false;
+
+/**
+ * The tabs followed while recording, as stored under RECORDED_TABS_KEY: null when every tab
+ * is recorded, as by versions that did not follow tabs, and undefined until loaded.
+ * @type {{tabIds: Array<number>, activeTabId: number|null}|null|undefined}
+ */
+let recordedTabs;
+
+/**
+ * Marks a replay report that is still 'running' when the service worker starts as
+ * interrupted. A replay only runs in the worker that started it, so the report was left
+ * behind by a worker that was stopped mid-replay, and would keep the popup's Replay
+ * button disabled.
+ * @returns {Promise<void>}
+ */
+async function markInterruptedReplay() {
+  try {
+    const { replayReport } = await chrome.storage.local.get('replayReport');
+    if (isReplaying || !replayReport || replayReport.status !== 'running') return;
+    for (const step of replayReport.steps) {
+      if (step.status === 'pending') step.status = 'skipped';
+    }
+    replayReport.status = 'interrupted';
+    replayReport.finishedAt = Date.now();
+    await chrome.storage.local.set({ replayReport });
+  } catch (e) {
+    console.error(`Error clearing an interrupted replay: ${e.message}`);
+  }
+}
+
+markInterruptedReplay();
+
 /**
  * Handles incoming messages from other parts of the extension, like the popup or content scripts.
  * It routes messages to the appropriate logic based on the `message.action`.
@@ -55,74 +186,88 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'startRecording') {
       try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab) {
-          // Inject the content script into all frames individually for robustness.
-          const frames = await chrome.webNavigation.getAllFrames({ tabId: tab.id });
-          for (const frame of frames) {
-            // Skip frames where script injection is likely to fail or not useful.
-            if (!frame.url || !frame.url.startsWith('http')) {
-              continue;
-            }
-            try {
-              await chrome.scripting.executeScript({
-                target: { tabId: tab.id, frameIds: [frame.frameId] },
-                files: ['constants.js', 'content.js'],
-              });
-            } catch (e) {
-              // Log errors for frames that couldn't be injected, but don't stop the process.
-              // The "already injected" message is not an error, so we can ignore it.
-              if (!e.message.includes('already injected')) {
-                console.warn(`Could not inject script in frame ${frame.frameId} (${frame.url}): ${e.message}`);
-              }
-            }
-          }
-        }
-        // ONLY after we are sure the content script is ready, we perform the state change.
-        // This is non-destructive and preserves the clicks array.
-        await chrome.storage.local.set({ isRecording: true, startTime: Date.now() });
+        await startRecording(tab);
         sendResponse({ success: true });
       } catch (e) {
         console.error(`Error starting recording: ${e.message}`);
         sendResponse({ success: false, error: e.message });
       }
+    // Handles the 'pauseRecording' action. Stops capturing until the recording is resumed.
+    } else if (message.action === 'pauseRecording') {
+      try {
+        await pauseRecording();
+        sendResponse({ success: true });
+      } catch (e) {
+        console.error(`Error pausing recording: ${e.message}`);
+        sendResponse({ success: false, error: e.message });
+      }
+    // Handles the 'resumeRecording' action. Continues capturing after a pause.
+    } else if (message.action === 'resumeRecording') {
+      try {
+        await resumeRecording();
+        sendResponse({ success: true });
+      } catch (e) {
+        console.error(`Error resuming recording: ${e.message}`);
+        sendResponse({ success: false, error: e.message });
+      }
     // Handles the 'stopRecording' action. Resets the recording state and removes the start time.
     } else if (message.action === 'stopRecording') {
       try {
-        // Clear recording state in parallel for efficiency.
-        await Promise.all([
-          chrome.storage.local.set({ isRecording: false }),
-          chrome.storage.local.remove('startTime')
-        ]);
+        await stopRecording();
         sendResponse({ success: true });
       } catch (e) {
         console.error(`Error stopping recording: ${e.message}`);
         sendResponse({ success: false, error: e.message });
       }
-    // Handles the 'recordAction' action. Appends a new action's data to the 'clicks'
-    // array in storage. Uses a lock to prevent race conditions.
-    } else if (message.action === 'recordAction') {
-      const writeOperation = async () => {
-        const { clicks } = await chrome.storage.local.get('clicks');
-
-        // Add context to the action data
-        const enrichedAction = {
-          ...message.data,
-          frameId: sender.frameId,
-          tabId: sender.tab ? sender.tab.id : null,
-          frameUrl: sender.url
-        };
-
-        const newClicks = [...(clicks || []), enrichedAction];
-        await chrome.storage.local.set({ clicks: newClicks });
-      };
-
-      // Chain the new write operation onto the lock.
+    // Handles the 'addMarker' action. Records a 'marker' step that labels the steps after it.
+    } else if (message.action === 'addMarker') {
       recordActionLock = recordActionLock.then(async () => {
         try {
-          await writeOperation();
+          await addMarker(message.label);
           sendResponse({ success: true });
         } catch (e) {
-          console.error(`Error recording action: ${e.message}`);
+          console.error(`Error adding marker: ${e.message}`);
+          sendResponse({ success: false, error: e.message });
+        }
+      });
+    // Handles the 'replayRecording' action. Validates the request, responds straight away and
+    // runs the replay in the background; progress and results are published as 'replayReport'.
+    } else if (message.action === 'replayRecording') {
+      try {
+        const { isRecording } = await chrome.storage.local.get('isRecording');
+        if (isRecording) throw new Error('Stop recording before replaying.');
+        if (isReplaying) throw new Error('A replay is already running.');
+        const session = await getActiveSession();
+        const { steps } = await getSessionData(session.id);
+        if (steps.length === 0) throw new Error('No actions recorded yet!');
+        sendResponse({ success: true });
+        replayRecording(steps, message.speed === 'fast' ? 'fast' : 'original')
+          .catch(e => console.error(`Error replaying recording: ${e.message}`));
+      } catch (e) {
+        console.error(`Error starting replay: ${e.message}`);
+        sendResponse({ success: false, error: e.message });
+      }
+    // Handles the 'setupSessions' action. Creates the first session for a page that found none.
+    } else if (message.action === 'setupSessions') {
+      try {
+        await setupFirstSession();
+        sendResponse({ success: true });
+      } catch (e) {
+        console.error(`Error creating the first session: ${e.message}`);
+        sendResponse({ success: false, error: e.message });
+      }
+    // Handles the 'recordBatch' action. Stores the steps and network requests queued in a
+    // content script's outbox. Uses a lock to prevent race conditions.
+    } else if (message.action === 'recordBatch') {
+      // Chain the new write operation onto the lock.
+      recordActionLock = recordActionLock.then(async () => {
+        try {
+          const ackedSeq = await recordBatch(message.sourceId, message.items, sender, message.frameUrl, message.ackedSeq);
+          await clearStorageError();
+          sendResponse({ success: true, ackedSeq });
+        } catch (e) {
+          console.error(`Error recording actions: ${e.message}`);
+          await reportStorageError(e);
           sendResponse({ success: false, error: e.message });
         }
       });
@@ -133,10 +278,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * Handles the keyboard shortcuts declared under `commands` in the manifest, so recording can
+ * be controlled without opening the popup. Users can remap them on the browser's shortcuts page.
+ * @listens chrome.commands.onCommand
+ * @param {string} command The name of the command.
+ * @param {chrome.tabs.Tab} [tab] The active tab when the shortcut was pressed.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (!tab) [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const { isRecording, isPaused } = await chrome.storage.local.get(['isRecording', 'isPaused']);
+    if (command === 'toggle-recording') {
+      if (isRecording) {
+        await stopRecording();
+      } else {
+        await startRecording(tab);
+      }
+    } else if (command === 'toggle-pause') {
+      if (isPaused) {
+        await resumeRecording();
+      } else {
+        await pauseRecording();
+      }
+    } else if (command === 'add-marker' || command === 'undo-last-step') {
+      if (!isRecording) throw new Error('Recording is not active.');
+      await sendToolbarCommand(tab, command === 'add-marker' ? 'marker' : 'undo');
+    }
+  } catch (e) {
+    console.error(`Error running command ${command}: ${e.message}`);
+    showCommandError(tab, e.message).catch(error => console.warn(`Could not show the error: ${error.message}`));
+  }
+});
+
 /**
  * Listens for navigation events, specifically when a navigation is committed.
  * If recording is active, it injects the content script into the newly loaded frame early.
  * This ensures that recording continues seamlessly across page navigations and captures early interactions.
+ * Only the tabs followed by the recording are injected. Frames outside the recording scope
+ * are not injected; an 'outOfScopeNavigation' step is recorded for them instead, unless
+ * recording is paused.
  * @listens chrome.webNavigation.onCommitted
  * @param {object} details Information about the navigation event.
  * @param {number} details.tabId The ID of the tab where the navigation occurred.
@@ -150,15 +331,14 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
   }
 
   try {
-    const { isRecording } = await chrome.storage.local.get('isRecording');
-    if (isRecording) {
+    const { isRecording, scopeRules } = await chrome.storage.local.get(['isRecording', 'scopeRules']);
+    if (!isRecording || !(await isTabRecorded(details.tabId))) return;
+    if (!isUrlInScope(details.url, scopeRules)) {
+      recordOutOfScopeFrames(details.tabId, [details]);
+    } else {
       // Inject the content script if recording is active, targeting the specific frame that loaded.
       try {
-        await chrome.scripting.executeScript({
-          target: { tabId: details.tabId, frameIds: [details.frameId] },
-          files: ['constants.js', 'content.js'],
-          injectImmediately: true,
-        });
+        await injectRecordingScripts(details.tabId, details.frameId, true);
       } catch (e) {
         // The "already injected" message is not a critical error, so we can ignore it.
         if (!e.message.includes('already injected')) {
@@ -172,3 +352,961 @@ chrome.webNavigation.onCommitted.addListener(async (details) => {
     console.error(`Error during webNavigation.onCommitted for tab ${details.tabId}: ${e.message}`);
   }
 });
+
+/**
+ * Follows the tabs and popup windows opened by a recorded tab, e.g. by a link with
+ * target="_blank" or window.open().
+ * @listens chrome.tabs.onCreated
+ * @param {chrome.tabs.Tab} tab The new tab.
+ */
+chrome.tabs.onCreated.addListener(async (tab) => {
+  if (tab.openerTabId === undefined) return;
+  try {
+    await followTab(tab.id, tab.openerTabId);
+  } catch (e) {
+    console.error(`Error following tab ${tab.id}: ${e.message}`);
+  }
+});
+
+/**
+ * Follows the tabs and windows created to host a navigation started in a recorded tab.
+ * Some, such as popups opened without an opener, are only reported here.
+ * @listens chrome.webNavigation.onCreatedNavigationTarget
+ * @param {object} details Information about the navigation.
+ * @param {number} details.sourceTabId The tab the navigation started in.
+ * @param {number} details.tabId The new tab.
+ */
+chrome.webNavigation.onCreatedNavigationTarget.addListener(async (details) => {
+  try {
+    await followTab(details.tabId, details.sourceTabId);
+  } catch (e) {
+    console.error(`Error following tab ${details.tabId}: ${e.message}`);
+  }
+});
+
+/**
+ * Records a 'switchTab' step when the user brings a recorded tab to the front, unless it
+ * already was the recorded tab in front.
+ * @listens chrome.tabs.onActivated
+ * @param {{tabId: number, windowId: number}} activeInfo The tab brought to the front.
+ */
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  try {
+    const { isRecording } = await chrome.storage.local.get('isRecording');
+    const tabs = await getRecordedTabs();
+    if (!isRecording || !tabs || tabs.activeTabId === tabId) return;
+    // Switching back from a tab that is not recorded counts as a switch
+    const isRecorded = tabs.tabIds.includes(tabId);
+    tabs.activeTabId = isRecorded ? tabId : null;
+    await setRecordedTabs(tabs);
+    if (isRecorded) {
+      recordBackgroundSteps('tab switch', async (relativeTime) => [{ type: 'switchTab', relativeTime, frameId: 0, tabId }]);
+    }
+  } catch (e) {
+    console.error(`Error recording the switch to tab ${tabId}: ${e.message}`);
+  }
+});
+
+/**
+ * Records a 'closeTab' step when a recorded tab or popup window is closed, and stops
+ * following it.
+ * @listens chrome.tabs.onRemoved
+ * @param {number} tabId The closed tab.
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  try {
+    const { isRecording } = await chrome.storage.local.get('isRecording');
+    const tabs = await getRecordedTabs();
+    if (!isRecording || !tabs || !tabs.tabIds.includes(tabId)) return;
+    tabs.tabIds = tabs.tabIds.filter(id => id !== tabId);
+    if (tabs.activeTabId === tabId) tabs.activeTabId = null;
+    await setRecordedTabs(tabs);
+    recordBackgroundSteps('closed tab', async (relativeTime) => [{ type: 'closeTab', relativeTime, frameId: 0, tabId }]);
+  } catch (e) {
+    console.error(`Error recording the closing of tab ${tabId}: ${e.message}`);
+  }
+});
+
+/**
+ * Injects the recording scripts into a frame: content.js, and network-hook.js in the
+ * page's main world so it can wrap the page's own fetch() and XMLHttpRequest.
+ * @param {number} tabId The tab to inject into.
+ * @param {number} frameId The frame to inject into.
+ * @param {boolean} injectImmediately Whether to inject before the document has loaded.
+ * @returns {Promise<void>}
+ */
+async function injectRecordingScripts(tabId, frameId, injectImmediately) {
+  const target = { tabId, frameIds: [frameId] };
+  await chrome.scripting.executeScript({ target, files: ['constants.js', 'redaction.js', 'content.js'], injectImmediately });
+  await chrome.scripting.executeScript({ target, files: ['network-hook.js'], world: 'MAIN', injectImmediately });
+}
+
+/**
+ * Appends steps observed by the background script, rather than by a content script, to the
+ * active session. Runs under recordActionLock; nothing is recorded while recording is
+ * paused or stopped.
+ * @param {string} description What the steps record, for the error log.
+ * @param {function(number): Promise<Array<object>>} createSteps Creates the steps, given
+ *     their time relative to the start of the recording.
+ */
+function recordBackgroundSteps(description, createSteps) {
+  const time = Date.now();
+  recordActionLock = recordActionLock.then(async () => {
+    try {
+      const { isRecording, isPaused, startTime } = await chrome.storage.local.get(['isRecording', 'isPaused', 'startTime']);
+      if (!isRecording || isPaused) return;
+      const steps = await createSteps(startTime ? time - startTime : 0);
+      const session = await getActiveSession();
+      await appendSessionSteps(session.id, steps.map(step => ({ ...step, id: crypto.randomUUID() })));
+      await clearStorageError();
+    } catch (e) {
+      console.error(`Error recording ${description}: ${e.message}`);
+      await reportStorageError(e);
+    }
+  });
+}
+
+/**
+ * Records an 'outOfScopeNavigation' step for each frame outside the recording scope, in
+ * place of the frame's content. Only the origin of the frame's URL is stored, as the
+ * content of out-of-scope frames may not be recorded.
+ * @param {number} tabId The tab of the frames.
+ * @param {Array<{frameId: number, url: string}>} frames The frames.
+ */
+function recordOutOfScopeFrames(tabId, frames) {
+  recordBackgroundSteps('out-of-scope navigation', async (relativeTime) => frames.map(({ frameId, url }) => {
+    const origin = new URL(url).origin;
+    return { type: 'outOfScopeNavigation', relativeTime, url: origin, frameId, tabId, frameUrl: origin };
+  }));
+}
+
+/**
+ * Returns the tabs followed while recording, loading them from session storage once.
+ * @returns {Promise<{tabIds: Array<number>, activeTabId: number|null}|null>} The tabs, or
+ *     null if every tab is recorded.
+ */
+async function getRecordedTabs() {
+  if (recordedTabs === undefined) {
+    const { [RECORDED_TABS_KEY]: stored } = await chrome.storage.session.get(RECORDED_TABS_KEY);
+    // Another call may have loaded them meanwhile; keep the object it may have changed
+    if (recordedTabs === undefined) recordedTabs = stored || null;
+  }
+  return recordedTabs;
+}
+
+/**
+ * Stores the tabs followed while recording.
+ * @param {{tabIds: Array<number>, activeTabId: number|null}|null} tabs The tabs, or null to record every tab.
+ * @returns {Promise<void>}
+ */
+async function setRecordedTabs(tabs) {
+  recordedTabs = tabs;
+  if (tabs) {
+    await chrome.storage.session.set({ [RECORDED_TABS_KEY]: tabs });
+  } else {
+    await chrome.storage.session.remove(RECORDED_TABS_KEY);
+  }
+}
+
+/**
+ * Checks whether the recording follows a tab. A tab opened by a followed tab is followed
+ * from here if the events reporting it have not been handled yet, e.g. because the service
+ * worker was restarted.
+ * @param {number} tabId The tab.
+ * @returns {Promise<boolean>} True if the tab's frames should be recorded.
+ */
+async function isTabRecorded(tabId) {
+  const tabs = await getRecordedTabs();
+  if (!tabs || tabs.tabIds.includes(tabId)) return true;
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || tab.openerTabId === undefined || !tabs.tabIds.includes(tab.openerTabId)) return false;
+  return followTab(tabId, tab.openerTabId);
+}
+
+/**
+ * Follows a tab or popup window opened by a followed tab, recording a 'newTab' step. A tab
+ * is reported by several events; it is followed once.
+ * @param {number} tabId The new tab.
+ * @param {number|undefined} openerTabId The tab that opened it.
+ * @returns {Promise<boolean>} True if the tab is followed.
+ */
+async function followTab(tabId, openerTabId) {
+  const { isRecording } = await chrome.storage.local.get('isRecording');
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const tabs = await getRecordedTabs();
+  if (!isRecording || !tab || !tabs || !tabs.tabIds.includes(openerTabId)) return false;
+  // Nothing is awaited between the check and the update, so concurrent calls see each other
+  if (tabs.tabIds.includes(tabId)) return true;
+  tabs.tabIds.push(tabId);
+  // A tab opened in front is switched to by opening it
+  if (tab.active) tabs.activeTabId = tabId;
+  await setRecordedTabs(tabs);
+  recordBackgroundSteps('new tab', async (relativeTime) => {
+    const url = await redactTabUrl(tab.pendingUrl || tab.url);
+    return [{
+      type: 'newTab',
+      relativeTime,
+      url,
+      openerTabId,
+      frameId: 0,
+      tabId,
+      frameUrl: url
+    }];
+  });
+  return true;
+}
+
+/**
+ * Starts recording into the active session. Injects the content script into every frame
+ * of the tab in the recording scope first, then appends new steps after the session's
+ * existing ones, starting with an 'outOfScopeNavigation' step for each frame out of scope.
+ * The tab is followed, along with the tabs and popup windows opened from it later.
+ * @param {chrome.tabs.Tab} [tab] The tab to record.
+ * @returns {Promise<void>}
+ */
+async function startRecording(tab) {
+  const outOfScopeFrames = [];
+  if (tab) {
+    const { scopeRules } = await chrome.storage.local.get('scopeRules');
+    // Inject the content script into all frames individually for robustness.
+    const frames = await chrome.webNavigation.getAllFrames({ tabId: tab.id });
+    for (const frame of frames) {
+      // Skip frames where script injection is likely to fail or not useful.
+      if (!frame.url || !frame.url.startsWith('http')) {
+        continue;
+      }
+      if (!isUrlInScope(frame.url, scopeRules)) {
+        outOfScopeFrames.push(frame);
+        continue;
+      }
+      try {
+        await injectRecordingScripts(tab.id, frame.frameId, false);
+      } catch (e) {
+        // Log errors for frames that couldn't be injected, but don't stop the process.
+        // The "already injected" message is not an error, so we can ignore it.
+        if (!e.message.includes('already injected')) {
+          console.warn(`Could not inject script in frame ${frame.frameId} (${frame.url}): ${e.message}`);
+        }
+      }
+    }
+  }
+  // ONLY after we are sure the content script is ready, we perform the state change.
+  // This is non-destructive: new steps are appended to the active session.
+  const session = await getActiveSession();
+  const { chunkCount } = await getStepIndex(session.id);
+  const lastChunk = chunkCount > 0 ? await readStepChunk(session.id, chunkCount - 1) : [];
+  // Resuming a session continues its timeline a second after its last step.
+  const lastStep = lastChunk[lastChunk.length - 1];
+  const startTime = lastStep ? Date.now() - lastStep.relativeTime - 1000 : Date.now();
+  await updateSession(session.id, { startTime, startUrl: session.startUrl || (tab ? await redactTabUrl(tab.url) : null) });
+  await setRecordedTabs(tab ? { tabIds: [tab.id], activeTabId: tab.id } : null);
+  await chrome.storage.local.set({ isRecording: true, isPaused: false, startTime });
+  await chrome.storage.local.remove('storageError');
+  hasStorageError = false;
+  if (outOfScopeFrames.length > 0) recordOutOfScopeFrames(tab.id, outOfScopeFrames);
+}
+
+/**
+ * Pauses the recording, remembering when the pause began.
+ * @returns {Promise<void>}
+ */
+async function pauseRecording() {
+  const { isRecording, isPaused } = await chrome.storage.local.get(['isRecording', 'isPaused']);
+  if (!isRecording) throw new Error('Recording is not active.');
+  if (!isPaused) await chrome.storage.local.set({ isPaused: true, pausedAt: Date.now() });
+}
+
+/**
+ * Resumes a paused recording. Moves the start time forward by the length of the pause,
+ * so the paused duration is left out of the steps' relative times.
+ * @returns {Promise<void>}
+ */
+async function resumeRecording() {
+  const { isRecording, isPaused, pausedAt, startTime } = await chrome.storage.local.get(['isRecording', 'isPaused', 'pausedAt', 'startTime']);
+  if (!isRecording) throw new Error('Recording is not active.');
+  if (isPaused) {
+    const resumedStartTime = startTime + (Date.now() - (pausedAt ?? Date.now()));
+    const session = await getActiveSession();
+    await updateSession(session.id, { startTime: resumedStartTime });
+    await chrome.storage.local.set({ isPaused: false, startTime: resumedStartTime });
+    await chrome.storage.local.remove('pausedAt');
+  }
+}
+
+/**
+ * Stops recording and resets the recording state.
+ * @returns {Promise<void>}
+ */
+async function stopRecording() {
+  // Clear recording state in parallel for efficiency.
+  await Promise.all([
+    chrome.storage.local.set({ isRecording: false, isPaused: false, assertMode: false }),
+    chrome.storage.local.remove(['startTime', 'pausedAt']),
+    setRecordedTabs(null)
+  ]);
+  const session = await getActiveSession();
+  await updateSession(session.id, {});
+}
+
+/**
+ * Redacts the sensitive query parameters of a tab's URL with the configured redaction
+ * rules, as the content script does for the URLs it records.
+ * @param {string|undefined} url The tab's URL.
+ * @returns {Promise<string|null>} The redacted URL.
+ */
+async function redactTabUrl(url) {
+  if (!url) return null;
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    return url;
+  }
+  const { redactionRules } = await chrome.storage.local.get('redactionRules');
+  return redactUrl(url, compileRedactionRules(redactionRules, hostname), []);
+}
+
+/**
+ * Appends a 'marker' step to the active session. Exports group the steps recorded after
+ * a marker under its label. Must run under recordActionLock.
+ * @param {string} label The marker's label, e.g. "Checkout".
+ * @returns {Promise<void>}
+ */
+async function addMarker(label) {
+  const trimmed = String(label || '').trim();
+  if (!trimmed) throw new Error('Enter a label for the marker.');
+  const { isRecording, isPaused, startTime } = await chrome.storage.local.get(['isRecording', 'isPaused', 'startTime']);
+  if (!isRecording || isPaused) throw new Error('Markers can only be added while recording.');
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const url = tab ? await redactTabUrl(tab.url) : null;
+  const session = await getActiveSession();
+  await appendSessionSteps(session.id, [{
+    type: 'marker',
+    label: trimmed,
+    relativeTime: Date.now() - startTime,
+    url,
+    id: crypto.randomUUID(),
+    frameId: 0,
+    tabId: tab ? tab.id : null,
+    frameUrl: url
+  }]);
+}
+
+/**
+ * Runs a recorder toolbar command in the top frame of a tab. Undo goes through the page's
+ * outbox, so it applies after the steps still queued there. If the page has no content
+ * script, e.g. a browser page or a page outside the recording scope, the last step is
+ * discarded directly; a marker cannot be added there.
+ * @param {chrome.tabs.Tab} [tab] The tab the shortcut was pressed in.
+ * @param {string} command The toolbar command, 'marker' or 'undo'.
+ * @returns {Promise<void>}
+ */
+async function sendToolbarCommand(tab, command) {
+  let response = null;
+  try {
+    if (tab) response = await chrome.tabs.sendMessage(tab.id, { action: 'toolbarCommand', command }, { frameId: 0 });
+  } catch (e) {
+    // Any other failure may have happened after the page ran the command
+    if (!e.message.includes('Receiving end does not exist')) throw e;
+  }
+  if (response) {
+    if (!response.success) throw new Error(response.error);
+    return;
+  }
+  if (command !== 'undo') throw new Error('Markers can only be added on recorded pages.');
+  const session = await getActiveSession();
+  const undo = recordActionLock.then(() => undoLastStep(session.id));
+  recordActionLock = undo.catch(error => console.error(`Error discarding the last step: ${error.message}`));
+  await undo;
+}
+
+/**
+ * Shows that a keyboard shortcut failed, as a badge on the toolbar icon with the error as
+ * its tooltip, since shortcuts have no other place to report errors. The badge is cleared
+ * after COMMAND_ERROR_BADGE_MS.
+ * @param {chrome.tabs.Tab} [tab] The tab the shortcut was pressed in.
+ * @param {string} message The error message.
+ * @returns {Promise<void>}
+ */
+async function showCommandError(tab, message) {
+  const tabId = tab ? tab.id : undefined;
+  const title = await chrome.action.getTitle({ tabId });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: '#d93025' });
+  await chrome.action.setBadgeText({ tabId, text: '!' });
+  await chrome.action.setTitle({ tabId, title: message });
+  await delay(COMMAND_ERROR_BADGE_MS);
+  await chrome.action.setBadgeText({ tabId, text: '' });
+  await chrome.action.setTitle({ tabId, title });
+}
+
+/**
+ * Checks whether a step can have triggered a network request: a step of a
+ * NETWORK_TRIGGER_TYPES type recorded in the request's tab before it started.
+ * @param {object} action The recorded action.
+ * @param {object} entry The network request.
+ * @returns {boolean} Whether the step qualifies.
+ */
+function canTriggerRequest(action, entry) {
+  return !!action.id && action.tabId === entry.tabId && NETWORK_TRIGGER_TYPES.includes(action.type) &&
+    action.relativeTime <= entry.startTime;
+}
+
+/**
+ * Finds the step that triggered a network request: the latest step that can have
+ * triggered it. Steps not stored yet are searched first, then the chunks from the newest,
+ * since the step is almost always among the last ones recorded, so the whole session is
+ * rarely read.
+ * @param {string} sessionId The session the request was recorded in.
+ * @param {object} entry The network request.
+ * @param {Array<object>} [newSteps=[]] Steps recorded after the stored ones but not stored yet.
+ * @returns {Promise<object|null>} The step, or null if no step precedes the request.
+ */
+async function findTriggeringStep(sessionId, entry, newSteps = []) {
+  const findLatest = (steps) => {
+    let trigger = null;
+    for (const action of steps) {
+      if (!canTriggerRequest(action, entry)) continue;
+      if (!trigger || action.relativeTime >= trigger.relativeTime) trigger = action;
+    }
+    return trigger;
+  };
+  const newTrigger = findLatest(newSteps);
+  if (newTrigger) return newTrigger;
+  const { chunkCount } = await getStepIndex(sessionId);
+  for (let i = chunkCount - 1; i >= 0; i--) {
+    const trigger = findLatest(await readStepChunk(sessionId, i));
+    if (trigger) return trigger;
+  }
+  return null;
+}
+
+/**
+ * Re-links the network requests newly recorded steps may have triggered. Steps such as
+ * input sequences are only saved once they finish, after the requests they caused.
+ * A request moves to a new step if it started after it and its current step is older, so
+ * only the requests recorded since the earliest new step are read.
+ * @param {string} sessionId The session the steps were recorded in.
+ * @param {Array<object>} actions The new steps, in recording order.
+ * @returns {Promise<void>}
+ */
+async function relinkNetworkEntries(sessionId, actions) {
+  const since = Math.min(...actions.map(action => action.relativeTime));
+  await updateNetworkEntries(sessionId, entry => {
+    let linked = entry;
+    for (const action of actions) {
+      if (!canTriggerRequest(action, linked) || (linked.stepTime ?? -Infinity) > action.relativeTime) continue;
+      linked = { ...linked, stepId: action.id, stepTime: action.relativeTime };
+    }
+    return linked;
+  }, since);
+}
+
+/**
+ * Stores a batch of items from a content script's outbox in the active session: steps
+ * of type 'action', network requests of type 'network', and 'undo' requests that remove
+ * the last step. Items carry sequence numbers that increase per outbox, so items already
+ * stored from an earlier copy of the batch, e.g. one resent after its response was lost,
+ * are skipped. A batch that does not continue where the stored items end, because an
+ * earlier batch failed, is not stored, so that the content script resends its items in
+ * order. The sequence number of the last item stored is saved in the same storage write
+ * as the items.
+ * @param {string} sourceId The id of the content script's outbox.
+ * @param {Array<{seq: number, type: string, data: object}>} items The items, in sequence order.
+ * @param {chrome.runtime.MessageSender} sender The content script that sent them.
+ * @param {string} [frameUrl] The frame's URL with sensitive query parameters redacted;
+ *     defaults to the sender's URL.
+ * @param {number} [sentAckedSeq=0] The highest sequence number the content script had
+ *     acknowledged, used once the outbox's stored sequence number has been forgotten.
+ * @returns {Promise<number>} The highest sequence number stored for the outbox.
+ */
+async function recordBatch(sourceId, items, sender, frameUrl, sentAckedSeq = 0) {
+  const { [OUTBOX_SEQUENCES_KEY]: sequences = {} } = await chrome.storage.local.get(OUTBOX_SEQUENCES_KEY);
+  const lastSeq = sequences[sourceId] ? sequences[sourceId].seq : sentAckedSeq;
+  const fresh = (items || []).filter(item => item.seq > lastSeq);
+  if (fresh.length === 0 || fresh[0].seq !== lastSeq + 1) return lastSeq;
+
+  const { id: activeSessionId } = await getActiveSession();
+  // Add context to the data; the step ids link network requests to the steps
+  const context = {
+    frameId: sender.frameId,
+    tabId: sender.tab ? sender.tab.id : null,
+    frameUrl: frameUrl || sender.url
+  };
+  const now = Date.now();
+  for (const [id, { time }] of Object.entries(sequences)) {
+    if (now - time > OUTBOX_SEQUENCE_TTL_MS) delete sequences[id];
+  }
+  const getSequenceItems = (seq) => ({ [OUTBOX_SEQUENCES_KEY]: { ...sequences, [sourceId]: { seq, time: now } } });
+  // Undo requests apply to everything recorded before them, so the items are stored in runs
+  let run = [];
+  for (const item of fresh) {
+    if (item.type !== 'undo') {
+      run.push(item);
+      continue;
+    }
+    if (run.length > 0) await storeBatchItems(activeSessionId, run, context, getSequenceItems(run[run.length - 1].seq));
+    run = [];
+    await undoLastStep(activeSessionId, getSequenceItems(item.seq));
+  }
+  if (run.length > 0) await storeBatchItems(activeSessionId, run, context, getSequenceItems(run[run.length - 1].seq));
+  return fresh[fresh.length - 1].seq;
+}
+
+/**
+ * Appends the steps and network requests of a run of outbox items to a session, in a
+ * single storage write with the outbox's new sequence number.
+ * @param {string} sessionId The session's id.
+ * @param {Array<{seq: number, type: string, data: object}>} items The items, in sequence order.
+ * @param {{frameId: number, tabId: number|null, frameUrl: string}} context Where the items were recorded.
+ * @param {object} sequenceItems The storage items holding the outbox's new sequence number.
+ * @returns {Promise<void>}
+ */
+async function storeBatchItems(sessionId, items, context, sequenceItems) {
+  const steps = items.filter(item => item.type === 'action').map(item => ({ ...item.data, id: crypto.randomUUID(), ...context }));
+  const entries = items.filter(item => item.type === 'network').map(item => ({ ...item.data, id: crypto.randomUUID(), ...context }));
+  for (const entry of entries) {
+    const trigger = await findTriggeringStep(sessionId, entry, steps);
+    entry.stepId = trigger ? trigger.id : null;
+    entry.stepTime = trigger ? trigger.relativeTime : null;
+  }
+  await appendSessionData(sessionId, steps, entries, sequenceItems);
+
+  if (steps.length > 0) {
+    const triggers = steps.filter(step => NETWORK_TRIGGER_TYPES.includes(step.type));
+    if (triggers.length > 0) await relinkNetworkEntries(sessionId, triggers);
+    await scheduleScreenshots(sessionId, steps);
+  }
+}
+
+/**
+ * Removes a session's last user step, and the attribute changes recorded after it, and
+ * links the network requests it triggered to the step before it. Its screenshot is removed.
+ * @param {string} sessionId The session's id.
+ * @param {object} [extraItems={}] Further storage items to write together with the removal,
+ *     e.g. the outbox sequence number of the undo request.
+ * @returns {Promise<Array<object>>} The removed steps.
+ */
+async function undoLastStep(sessionId, extraItems = {}) {
+  const removed = await removeLastSessionStep(sessionId, extraItems);
+  const removedIds = new Set(removed.map(step => step.id).filter(Boolean));
+  await removeScreenshots(sessionId, [...removedIds]);
+  if (removedIds.size === 0) return removed;
+
+  await updateNetworkEntries(sessionId, async entry => {
+    if (!removedIds.has(entry.stepId)) return entry;
+    const trigger = await findTriggeringStep(sessionId, entry);
+    return { ...entry, stepId: trigger ? trigger.id : null, stepTime: trigger ? trigger.relativeTime : null };
+  });
+  return removed;
+}
+
+/**
+ * Queues a screenshot for each step of a SCREENSHOT_STEP_TYPES type if screenshots are
+ * turned on. Page loads of subframes are skipped, as the tab looks the same, and so are
+ * steps with redacted values, since the screenshot would show them.
+ * @param {string} sessionId The session the steps were recorded in.
+ * @param {Array<object>} steps The newly stored steps.
+ * @returns {Promise<void>}
+ */
+async function scheduleScreenshots(sessionId, steps) {
+  const { captureScreenshots = false } = await chrome.storage.local.get('captureScreenshots');
+  if (!captureScreenshots) return;
+  for (const step of steps) {
+    if (!SCREENSHOT_STEP_TYPES.includes(step.type) || step.tabId === null) continue;
+    if (step.redactions || (step.element && step.element.redactions)) continue;
+    if (step.type === 'pageLoad' && step.frameId !== 0) continue;
+    const queuedAt = Date.now();
+    screenshotQueue = screenshotQueue.then(() => captureStepScreenshot(sessionId, step, queuedAt))
+      .catch(e => console.warn(`Could not capture a screenshot for step ${step.id}: ${e.message}`));
+  }
+}
+
+/**
+ * Takes a screenshot of the tab a step was recorded in and links it to the step. Tabs
+ * that are no longer visible are skipped, since only the visible tab can be captured, and
+ * so are steps whose frame has since navigated, e.g. by the step itself, or that waited
+ * longer than SCREENSHOT_MAX_DELAY_MS, as the screenshot would show a later state.
+ * @param {string} sessionId The session the step was recorded in.
+ * @param {object} step The recorded step.
+ * @param {number} queuedAt When the screenshot was queued.
+ * @returns {Promise<void>}
+ */
+async function captureStepScreenshot(sessionId, step, queuedAt) {
+  if (step.type === 'pageLoad') await delay(SCREENSHOT_PAGE_LOAD_DELAY_MS);
+  await delay(lastScreenshotAt + SCREENSHOT_INTERVAL_MS - Date.now());
+  if (Date.now() - queuedAt > SCREENSHOT_MAX_DELAY_MS) return;
+  const tab = await chrome.tabs.get(step.tabId);
+  if (!tab.active) return;
+  const frame = await chrome.webNavigation.getFrame({ tabId: step.tabId, frameId: step.frameId });
+  if (!frame || !step.url || frame.url.split('#')[0] !== step.url.split('#')[0]) return;
+  lastScreenshotAt = Date.now();
+  const capture = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 90 });
+  const image = await downscaleScreenshot(capture);
+  const box = getScreenshotBox(step, tab);
+  const saved = recordActionLock.then(() => saveScreenshot(sessionId, step.id, image, box));
+  recordActionLock = saved.catch(e => console.warn(`Could not save the screenshot of step ${step.id}: ${e.message}`));
+  await saved;
+}
+
+/**
+ * Downscales a screenshot to SCREENSHOT_MAX_WIDTH and compresses it. The image's id is a
+ * hash of the result, so identical screenshots are only stored once.
+ * @param {string} dataUrl The screenshot, as captured.
+ * @returns {Promise<{id: string, dataUrl: string}>} The downscaled image and its id.
+ */
+async function downscaleScreenshot(dataUrl) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = Math.min(1, SCREENSHOT_MAX_WIDTH / bitmap.width);
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: SCREENSHOT_JPEG_QUALITY });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const id = Array.from(digest.subarray(0, 12), byte => byte.toString(16).padStart(2, '0')).join('');
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { id, dataUrl: `data:image/jpeg;base64,${btoa(binary)}` };
+}
+
+/**
+ * Works out where a step's element was on the screenshot of its tab, from the bounding
+ * box recorded with the element. Only elements of the top frame can be placed, as frame
+ * offsets are not recorded; the page itself is not highlighted.
+ * @param {object} step The recorded step.
+ * @param {chrome.tabs.Tab} tab The tab, whose size is the viewport's size in CSS pixels.
+ * @returns {?{x: number, y: number, width: number, height: number}} The box as fractions of
+ *     the image's width and height, or null.
+ */
+function getScreenshotBox(step, tab) {
+  const style = step.element && step.element.style;
+  if (!style || step.frameId !== 0 || !tab.width || !tab.height) return null;
+  if (['BODY', 'HTML'].includes(step.element.tagName) || !style.width || !style.height) return null;
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    x: round(style.left / tab.width),
+    y: round(style.top / tab.height),
+    width: round(style.width / tab.width),
+    height: round(style.height / tab.height)
+  };
+}
+
+/**
+ * Publishes a failed write of a recorded step or request as 'storageError', so the
+ * popup can tell the user that actions are being lost.
+ * @param {Error} error The error.
+ * @returns {Promise<void>}
+ */
+async function reportStorageError(error) {
+  hasStorageError = true;
+  try {
+    await chrome.storage.local.set({ storageError: { message: error.message, time: Date.now() } });
+  } catch (e) {
+    // Storage may be too full for the error itself; it is logged by the caller.
+  }
+}
+
+/**
+ * Removes the published storage error once recording writes succeed again.
+ * @returns {Promise<void>}
+ */
+async function clearStorageError() {
+  if (!hasStorageError) return;
+  hasStorageError = false;
+  await chrome.storage.local.remove('storageError');
+}
+
+/**
+ * Returns a Promise that resolves after the given delay.
+ * @param {number} ms The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Records every completed top-level navigation and every tab opened during a replay, so
+ * that the replay can check for events that happened before it started waiting for them.
+ * @returns {{waitFor: function(number, number, number): Promise<string>,
+ *     waitForNewTab: function(number, number, number): Promise<number>, dispose: function(): void}} The tracker.
+ */
+function createNavigationTracker() {
+  const completed = [];
+  const created = [];
+  let notify = null;
+  const listener = (details) => {
+    if (details.frameId !== 0) return;
+    completed.push({ tabId: details.tabId, url: details.url, time: Date.now() });
+    if (notify) notify();
+  };
+  const tabListener = (tab) => {
+    created.push({ tabId: tab.id, openerTabId: tab.openerTabId, time: Date.now() });
+    if (notify) notify();
+  };
+  chrome.webNavigation.onCompleted.addListener(listener);
+  chrome.tabs.onCreated.addListener(tabListener);
+
+  // Waits until an event is found, or rejects with the message once the time is up.
+  const waitUntil = async (find, timeout, message) => {
+    const deadline = Date.now() + timeout;
+    while (true) {
+      const match = find();
+      if (match) return match;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new Error(message);
+      await new Promise(resolve => {
+        notify = resolve;
+        setTimeout(resolve, remaining);
+      });
+      notify = null;
+    }
+  };
+
+  return {
+    /**
+     * Waits for a top-level navigation in a tab that completed after the given time.
+     * @param {number} tabId The tab.
+     * @param {number} since The earliest completion time to accept.
+     * @param {number} timeout The maximum time to wait, in milliseconds.
+     * @returns {Promise<string>} The URL of the completed navigation.
+     */
+    async waitFor(tabId, since, timeout) {
+      const match = await waitUntil(() => completed.find(entry => entry.tabId === tabId && entry.time >= since),
+        timeout, 'Timed out waiting for the page to load.');
+      return match.url;
+    },
+    /**
+     * Waits for a tab opened by another tab after the given time.
+     * @param {number} openerTabId The tab expected to open it.
+     * @param {number} since The earliest opening time to accept.
+     * @param {number} timeout The maximum time to wait, in milliseconds.
+     * @returns {Promise<number>} The ID of the new tab.
+     */
+    async waitForNewTab(openerTabId, since, timeout) {
+      const match = await waitUntil(() => created.find(entry => entry.openerTabId === openerTabId && entry.time >= since),
+        timeout, 'Timed out waiting for the tab to open.');
+      // A tab is only matched to one recorded tab
+      created.splice(created.indexOf(match), 1);
+      return match.tabId;
+    },
+    dispose() {
+      chrome.webNavigation.onCompleted.removeListener(listener);
+      chrome.tabs.onCreated.removeListener(tabListener);
+    }
+  };
+}
+
+/**
+ * Finds the live frame that corresponds to a recorded frame URL, polling until it appears.
+ * Frames are matched on their full URL first, then on origin and path.
+ * @param {number} tabId The ID of the replay tab.
+ * @param {string} frameUrl The recorded URL of the frame.
+ * @param {number} timeout The maximum time to wait, in milliseconds.
+ * @returns {Promise<number>} The ID of the live frame.
+ * @throws {Error} If no matching frame appeared in time.
+ */
+async function waitForFrame(tabId, frameUrl, timeout) {
+  const stripQuery = (url) => {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname}`;
+    } catch (e) {
+      return url;
+    }
+  };
+  const deadline = Date.now() + timeout;
+  while (true) {
+    const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+    const subFrames = frames.filter(frame => frame.frameId !== 0);
+    const match = subFrames.find(frame => frame.url === frameUrl) ||
+      subFrames.find(frame => stripQuery(frame.url) === stripQuery(frameUrl));
+    if (match) return match.frameId;
+    if (Date.now() >= deadline) throw new Error(`Frame not found: ${frameUrl}`);
+    await delay(200);
+  }
+}
+
+/**
+ * Executes a recorded step in a frame through replay.js, injecting the script first
+ * if the frame's current document does not have it yet.
+ * @param {number} tabId The ID of the replay tab.
+ * @param {number} frameId The ID of the target frame.
+ * @param {object} action The recorded action.
+ * @returns {Promise<{status: string, error?: string}>} The outcome reported by replay.js.
+ */
+async function executeReplayStep(tabId, frameId, action) {
+  const target = { tabId, frameIds: [frameId] };
+  const run = async () => {
+    const [injection] = await chrome.scripting.executeScript({
+      target,
+      func: (step, timeout) => (typeof runReplayStep === 'function' ? runReplayStep(step, timeout) : null),
+      args: [action, REPLAY_STEP_TIMEOUT_MS],
+    });
+    return injection ? injection.result : null;
+  };
+
+  let result = await run();
+  if (!result) {
+    await chrome.scripting.executeScript({ target, files: ['replay.js'] });
+    result = await run();
+  }
+  return result || { status: 'failed', error: 'The replay script did not respond.' };
+}
+
+/**
+ * Replays a single recorded step. Top-level page loads either wait for the navigation
+ * caused by the previous step or, if nothing navigated, load the recorded URL directly.
+ * New tabs are waited for in the same way, and opened directly if the previous step did
+ * not open them.
+ * @param {Map<number, number>} tabIds The replay tab of each recorded tab; steps of other
+ *     tabs run in the replay tab of the first one, stored under the key null.
+ * @param {object} action The recorded action.
+ * @param {object|null} previous The previously replayed action.
+ * @param {number} previousStartedAt When the previous action started, in milliseconds since the epoch.
+ * @param {object} navigations The replay's navigation tracker.
+ * @returns {Promise<{status: string, error?: string, note?: string}>} The outcome of the step.
+ */
+async function replayStep(tabIds, action, previous, previousStartedAt, navigations) {
+  const isTopFrame = !action.frameId;
+  const getReplayTab = (recordedTabId) => tabIds.get(recordedTabId) ?? tabIds.get(null);
+
+  if (action.type === 'newTab') {
+    const openerTabId = getReplayTab(action.openerTabId);
+    if (previous && NEW_TAB_TRIGGER_TYPES.includes(previous.type)) {
+      try {
+        tabIds.set(action.tabId, await navigations.waitForNewTab(openerTabId, previousStartedAt, REPLAY_STEP_TIMEOUT_MS));
+        return { status: 'passed' };
+      } catch (e) {
+        // Nothing opened a tab, so it was most likely opened from the browser's tab strip.
+      }
+    }
+    const tab = await chrome.tabs.create({ url: 'about:blank', active: true, openerTabId });
+    tabIds.set(action.tabId, tab.id);
+    return previous ? { status: 'passed', note: 'Opened the tab directly.' } : { status: 'passed' };
+  }
+  const tabId = getReplayTab(action.tabId);
+  if (action.type === 'switchTab') {
+    await chrome.tabs.update(tabId, { active: true });
+    return { status: 'passed' };
+  }
+  if (action.type === 'closeTab') {
+    try {
+      await chrome.tabs.remove(tabId);
+      return { status: 'passed' };
+    } catch (e) {
+      // Popups often close themselves once they are done.
+      return { status: 'passed', note: 'The tab was already closed.' };
+    }
+  }
+
+  if (action.type === 'pageLoad') {
+    if (!isTopFrame) {
+      await waitForFrame(tabId, action.url, REPLAY_NAVIGATION_TIMEOUT_MS);
+      return { status: 'passed' };
+    }
+    if (previous && NAVIGATION_TRIGGER_TYPES.includes(previous.type)) {
+      try {
+        await navigations.waitFor(tabId, previousStartedAt, REPLAY_STEP_TIMEOUT_MS);
+        return { status: 'passed' };
+      } catch (e) {
+        // Nothing navigated, so the page was most likely loaded from the address bar.
+      }
+    }
+    const since = Date.now();
+    await chrome.tabs.update(tabId, { url: action.url });
+    await navigations.waitFor(tabId, since, REPLAY_NAVIGATION_TIMEOUT_MS);
+    return previous ? { status: 'passed', note: 'Loaded the recorded URL directly.' } : { status: 'passed' };
+  }
+
+  const frameId = isTopFrame ? 0 : await waitForFrame(tabId, action.frameUrl, REPLAY_STEP_TIMEOUT_MS);
+  return executeReplayStep(tabId, frameId, action);
+}
+
+/**
+ * Plays a recording back step by step. A recording that starts with a page load is
+ * replayed in a new tab, otherwise in the active tab, which is expected to show the
+ * page the recording started on. At 'original' speed the recorded gaps between steps
+ * are kept; at 'fast' speed steps only wait for their elements and navigations. Steps of
+ * tabs opened during the recording run in the tabs opened during the replay.
+ * The report in storage is updated after every step, and the replay stops at the first failure.
+ * @param {Array<object>} clicks The recorded actions.
+ * @param {string} speed Either 'original' or 'fast'.
+ * @returns {Promise<void>}
+ */
+async function replayRecording(clicks, speed) {
+  const steps = clicks
+    .map((action, index) => ({ action, index }))
+    .filter(({ action }) => REPLAYABLE_STEP_TYPES.includes(action.type));
+  const report = {
+    status: 'running',
+    speed,
+    startedAt: Date.now(),
+    finishedAt: null,
+    steps: steps.map(({ action, index }) => ({ index, type: action.type, status: 'pending' }))
+  };
+
+  isReplaying = true;
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), SERVICE_WORKER_KEEPALIVE_MS);
+  let navigations = null;
+
+  try {
+    await chrome.storage.local.set({ replayReport: report });
+    const first = steps[0] ? steps[0].action : null;
+    const [tab] = (first && first.type === 'pageLoad' && !first.frameId)
+      ? [await chrome.tabs.create({ url: 'about:blank', active: true })]
+      : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) throw new Error('No tab available for the replay.');
+    report.tabId = tab.id;
+    navigations = createNavigationTracker();
+    // The steps of the first recorded tab, and of steps recorded without a tab, run in this tab
+    const tabIds = new Map([[null, tab.id]]);
+    if (first && first.tabId != null) tabIds.set(first.tabId, tab.id);
+
+    let previous = null;
+    let previousStartedAt = 0;
+    let failed = false;
+    for (let i = 0; i < steps.length; i++) {
+      const { action } = steps[i];
+      const result = report.steps[i];
+      if (failed) {
+        result.status = 'skipped';
+        continue;
+      }
+      if (speed === 'original' && previous) {
+        await delay((action.relativeTime - previous.relativeTime) - (Date.now() - previousStartedAt));
+      }
+
+      const startedAt = Date.now();
+      // The submit button click or Enter key before a 'submit' step already submitted the form,
+      // and remains the step whose navigation the next page load waits for.
+      const isImplicitSubmit = action.type === 'submit' && previous && SUBMIT_TRIGGER_TYPES.includes(previous.type);
+      try {
+        Object.assign(result, isImplicitSubmit
+          ? { status: 'passed', note: 'Submitted by the previous step.' }
+          : await replayStep(tabIds, action, previous, previousStartedAt, navigations));
+      } catch (e) {
+        Object.assign(result, { status: 'failed', error: e.message });
+      }
+      result.durationMs = Date.now() - startedAt;
+      failed = result.status === 'failed';
+      if (!isImplicitSubmit) {
+        previous = action;
+        previousStartedAt = startedAt;
+      }
+      await chrome.storage.local.set({ replayReport: report });
+    }
+    report.status = failed ? 'failed' : 'passed';
+  } catch (e) {
+    report.status = 'failed';
+    report.error = e.message;
+  } finally {
+    clearInterval(keepAlive);
+    if (navigations) navigations.dispose();
+    isReplaying = false;
+    report.finishedAt = Date.now();
+    await chrome.storage.local.set({ replayReport: report });
+  }
+}
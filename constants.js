@@ -7,3 +7,28 @@ var LOGGING_LEVELS = {
   DETAILED: 2,
   VERBOSE: 3
 };
+
+// What is recorded about the page's fetch and XMLHttpRequest traffic
+var NETWORK_CAPTURE = {
+  OFF: 'off',
+  REQUESTS: 'requests',
+  BODIES: 'bodies'
+};
+
+// What a redaction rule does with the data it matches
+var REDACTION_ACTIONS = {
+  REDACT: 'redact',
+  EXEMPT: 'exempt'
+};
+
+// What a redaction rule matches: names by regular expression, or elements by CSS selector
+var REDACTION_MATCHES = {
+  PATTERN: 'pattern',
+  SELECTOR: 'selector'
+};
+
+// What a recording scope rule does with the frames whose host it matches
+var SCOPE_ACTIONS = {
+  INCLUDE: 'include',
+  EXCLUDE: 'exclude'
+};
@@ -10,21 +10,89 @@
  * The async nature allows for top-level await during state initialization.
  */
 (async () => {
+  // The script is injected again whenever recording starts; the instance already in the
+  // document picks up the new recording state itself, so only the first one runs.
+  if (window.__recordStepsContentScript) return;
+  Object.defineProperty(window, '__recordStepsContentScript', { value: true });
+
   // --- Constants ---
   const MAX_BATCH_SIZE = 50;
   const DYNAMIC_ID_MIN_DIGITS = 5;
   const DYNAMIC_ID_MAX_LENGTH = 30;
   const HOVER_DEBOUNCE_MS = 500;
+  // Input types whose changes are recorded as 'check' and 'fileUpload' steps rather than typing
+  const CHANGE_INPUT_TYPES = ['checkbox', 'radio', 'file'];
+  // The pointer has to move this far with the button held for a pointer drag to be recorded
+  const DRAG_THRESHOLD_PX = 12;
+  // A container's scroll position is recorded once it stopped scrolling for this long
+  const SCROLL_DEBOUNCE_MS = 500;
+  // Scrolls starting this soon after a wheel turn, touch, scroll key or focus change are attributed to it
+  const SCROLL_CAUSE_WINDOW_MS = 1000;
+  const SCROLL_KEYS = ['PageUp', 'PageDown', 'Home', 'End', ' ', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+  const MAX_LOCATOR_TEXT_LENGTH = 80;
+  // Elements whose raw text is longer are not compared by text when counting locator matches
+  const MAX_LOCATOR_RAW_TEXT_LENGTH = 1000;
+  const FINGERPRINT_ANCESTOR_DEPTH = 5;
+  const FINGERPRINT_ATTRIBUTES = ['name', 'type', 'placeholder', 'title', 'alt', 'href', 'for', 'value'];
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-cy', 'data-test-id', 'data-test'];
+  // Base stability scores per locator strategy, before penalties for ambiguity and brittle paths
+  const LOCATOR_STABILITY = { testId: 100, role: 90, label: 85, text: 75, css: 70, xpath: 40 };
+  // Elements with an implicit ARIA role, per role, used to count role-based matches.
+  // Roles with an empty entry are only located through an explicit role attribute.
+  const IMPLICIT_ROLE_SELECTORS = {
+    button: 'button, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]',
+    link: 'a[href], area[href]',
+    checkbox: 'input[type="checkbox"]',
+    radio: 'input[type="radio"]',
+    textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"], input[type="password"], textarea',
+    searchbox: 'input[type="search"]',
+    combobox: 'select',
+    listbox: 'select',
+    slider: 'input[type="range"]',
+    spinbutton: 'input[type="number"]',
+    heading: 'h1, h2, h3, h4, h5, h6',
+    img: 'img',
+    option: 'option',
+    tab: '',
+    menuitem: '',
+    switch: ''
+  };
   const SENSITIVE_ATTRIBUTES = ['id', 'name', 'autocomplete', 'type', 'placeholder', 'aria-label', 'title', 'aria-description', 'aria-placeholder'];
-  // Pre-compiled regex for sensitive data detection (case-insensitive)
-  // Uses non-alphanumeric lookarounds to handle snake_case and kebab-case (e.g., api_key, card-number)
-  const SENSITIVE_REGEX = /(?<![a-zA-Z])(password|card|cvv|cvc|ssn|email|phone|mobile|tax|social|security|api|key|token|secret|auth|otp|pin|credit|cc)(?![a-zA-Z])/i;
+  const MAX_NETWORK_BODY_LENGTH = 10000;
+  // DOM events shared with network-hook.js, which runs in the page's main world
+  const NETWORK_ENTRY_EVENT = 'record-steps:network-entry';
+  const NETWORK_CONFIG_EVENT = 'record-steps:network-config';
+  const NETWORK_READY_EVENT = 'record-steps:network-ready';
+  // Recorded items wait this long in the outbox, so bursts of events are sent as one batch
+  const OUTBOX_FLUSH_DELAY_MS = 100;
+  const OUTBOX_MAX_BATCH_SIZE = 100;
+  // Delays before resending a batch the background did not acknowledge, e.g. while its service worker starts
+  const OUTBOX_RETRY_DELAYS_MS = [250, 1000, 2000, 5000];
+  // Tag of the toolbar's host element; a custom element name that page selectors are unlikely to match
+  const TOOLBAR_TAG = 'record-steps-toolbar';
+  const TOOLBAR_STYLE = `
+    .bar { display: flex; align-items: center; gap: 6px; padding: 6px 8px; border-radius: 6px;
+      background: #263238; color: white; font: 600 12px Arial, sans-serif; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3); }
+    .bar.paused .status { color: #ffb300; }
+    .grip { cursor: move; padding: 0 2px; font-size: 16px; user-select: none; touch-action: none; }
+    .status { color: #ff4087; }
+    .counter { min-width: 52px; color: #cfd8dc; }
+    button { padding: 4px 8px; border: none; border-radius: 4px; background: #455a64; color: white;
+      font: 600 12px Arial, sans-serif; cursor: pointer; }
+    button:hover { background: #546e7a; }
+    button[aria-pressed="true"] { background: #00c853; }
+    form { display: flex; gap: 4px; }
+    form[hidden] { display: none; }
+    input { padding: 3px 6px; border: none; border-radius: 4px; font: 12px Arial, sans-serif; }
+  `;
 
   // Pre-compiled regex for dynamic IDs to avoid re-creation on every call
   const dynamicIdPattern = new RegExp(`\\d{${DYNAMIC_ID_MIN_DIGITS},}`);
 
   // --- State Initialization ---
   let isRecording = false;
+  // While paused, recording stays active but nothing is captured
+  let isPaused = false;
   let startTime = null;
   let eventSequence = [];
   let lastInputElement = null;
@@ -32,6 +100,42 @@
   // 0=Minimal, 1=Standard, 2=Detailed, 3=Verbose
   let loggingLevel = 0;
 
+  // When active, clicks record an 'assert' step instead of being performed
+  let assertMode = false;
+
+  // One of NETWORK_CAPTURE: off, requests only, or requests with redacted bodies
+  let networkCapture = NETWORK_CAPTURE.REQUESTS;
+
+  // The redaction rules from the options page that apply to this document's host
+  let redactionRules = compileRedactionRules([], location.hostname);
+
+  // Set when this document loaded while recording was paused, so its page load is recorded on resume
+  let hasPendingPageLoad = false;
+
+  // The recorder toolbar shown in the top frame while recording, its controls, and the
+  // step count of the active session it displays
+  let toolbarHost = null;
+  let toolbarElements = null;
+  let toolbarStepCount = 0;
+  let activeSessionId = null;
+
+  // Outbox of recorded items not yet acknowledged by the background. Each item has a
+  // sequence number, unique for this document's source id, which the background uses to
+  // store every item once and in order, even if a batch is sent more than once or an
+  // earlier batch failed. outboxAckedSeq is the highest one the background acknowledged.
+  const outboxSourceId = crypto.randomUUID();
+  let outbox = [];
+  let outboxSeq = 0;
+  let outboxAckedSeq = 0;
+  let outboxTimeout = null;
+  let outboxInFlight = 0;
+  let outboxRetries = 0;
+
+  // Keys that identify the elements of this document in recorded element info, whatever
+  // selector they were recorded with, so exports can tell that two steps share an element
+  const elementKeys = new WeakMap();
+  let nextElementKey = 1;
+
   /**
    * Parses the logging level to ensure it's a valid integer.
    * Defaults to 0 if invalid.
@@ -47,10 +151,14 @@
   }
 
   try {
-    const result = await chrome.storage.local.get(['isRecording', 'startTime', 'loggingLevel']);
+    const result = await chrome.storage.local.get(['isRecording', 'isPaused', 'startTime', 'loggingLevel', 'assertMode', 'networkCapture', 'redactionRules']);
     isRecording = result.isRecording || false;
+    isPaused = !!result.isPaused;
     startTime = result.startTime || null;
     loggingLevel = parseLoggingLevel(result.loggingLevel);
+    assertMode = !!result.assertMode;
+    networkCapture = result.networkCapture || NETWORK_CAPTURE.REQUESTS;
+    redactionRules = compileRedactionRules(result.redactionRules, location.hostname);
   } catch (e) {
     console.error(`Error initializing content script state: ${e.message}`);
     return;
@@ -58,23 +166,63 @@
 
   // --- Utility Functions ---
 
+  /**
+   * Checks whether events should be captured: recording is active and not paused.
+   * @returns {boolean} True if events should be captured.
+   */
+  function isCapturing() {
+    return isRecording && !isPaused;
+  }
+
+  /**
+   * Finds the first of a list of CSS selectors that matches an element or one of its
+   * ancestors. Invalid selectors never match.
+   * @param {Element} element The element.
+   * @param {Array<string>} selectors The selectors.
+   * @returns {string|null} The matching selector, or null.
+   */
+  function findMatchingSelector(element, selectors) {
+    return selectors.find(selector => {
+      try {
+        return !!element.closest(selector);
+      } catch (e) {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Explains why an element is likely to contain sensitive information. Password fields
+   * and elements matching a redacting selector are always sensitive; otherwise exempting
+   * rules win over the names in SENSITIVE_ATTRIBUTES matching a redacted pattern.
+   * @param {HTMLElement} element The element to check.
+   * @returns {string|null} The reason, or null if the element is not sensitive.
+   */
+  function getRedactionReason(element) {
+    if (element.type === 'password') return 'password field';
+    if (typeof element.closest !== 'function') return null;
+    const redactSelector = findMatchingSelector(element, redactionRules.redactSelectors);
+    if (redactSelector) return `custom selector ${redactSelector}`;
+    if (findMatchingSelector(element, redactionRules.exemptSelectors)) return null;
+
+    const attributes = SENSITIVE_ATTRIBUTES.filter(attr => element.hasAttribute(attr));
+    if (attributes.some(attr => redactionRules.exemptPatterns.some(pattern => pattern.test(element.getAttribute(attr))))) {
+      return null;
+    }
+    for (const attr of attributes) {
+      const reason = getNameRedactionReason(element.getAttribute(attr), redactionRules);
+      if (reason) return `${reason} in ${attr}`;
+    }
+    return null;
+  }
+
   /**
    * Checks if an element is likely to contain sensitive information.
    * @param {HTMLElement} element The element to check.
    * @returns {boolean} True if the element is sensitive, false otherwise.
    */
   function isSensitive(element) {
-    if (element.type === 'password') return true;
-
-    for (const attr of SENSITIVE_ATTRIBUTES) {
-      if (element.hasAttribute(attr)) {
-         const value = element.getAttribute(attr);
-         if (SENSITIVE_REGEX.test(value)) {
-           return true;
-         }
-      }
-    }
-    return false;
+    return getRedactionReason(element) !== null;
   }
 
   /**
@@ -87,8 +235,7 @@
    */
   function getSelector(element, skipVerification = false) {
     // Prioritize test attributes for stability
-    const testAttributes = ['data-testid', 'data-cy', 'data-test-id', 'data-test'];
-    for (const attr of testAttributes) {
+    for (const attr of TEST_ID_ATTRIBUTES) {
       if (element.hasAttribute(attr)) {
         const value = element.getAttribute(attr);
         const selector = `[${attr}="${CSS.escape(value)}"]`;
@@ -176,6 +323,323 @@
     return path;
   }
 
+  /**
+   * Collapses whitespace and trims text for use in text-based locators.
+   * @param {string|null} text The raw text.
+   * @returns {string} The normalized text.
+   */
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Determines the ARIA role of an element, explicit or implicit.
+   * Only the roles that are useful for locating elements are resolved.
+   * @param {Element} element The element to inspect.
+   * @returns {string|null} The role, or null if the element has no relevant role.
+   */
+  function getRole(element) {
+    const explicitRole = element.getAttribute('role');
+    if (explicitRole) return explicitRole.trim().split(/\s+/)[0];
+
+    const tagName = element.tagName;
+    if (tagName === 'BUTTON') return 'button';
+    if ((tagName === 'A' || tagName === 'AREA') && element.hasAttribute('href')) return 'link';
+    if (tagName === 'TEXTAREA') return 'textbox';
+    if (tagName === 'SELECT') return (element.multiple || element.size > 1) ? 'listbox' : 'combobox';
+    if (tagName === 'OPTION') return 'option';
+    if (tagName === 'IMG') return 'img';
+    if (/^H[1-6]$/.test(tagName)) return 'heading';
+    if (tagName === 'INPUT') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (['checkbox', 'radio'].includes(type)) return type;
+      if (type === 'search') return 'searchbox';
+      if (type === 'range') return 'slider';
+      if (type === 'number') return 'spinbutton';
+      if (['text', 'email', 'tel', 'url', 'password'].includes(type)) return 'textbox';
+    }
+    return null;
+  }
+
+  /**
+   * Returns the text of the <label> elements associated with a form control.
+   * @param {Element} element The element to inspect.
+   * @returns {string} The normalized label text, or an empty string.
+   */
+  function getLabelText(element) {
+    if (!element.labels || element.labels.length === 0) return '';
+    return normalizeText(Array.from(element.labels).map(label => label.textContent).join(' '));
+  }
+
+  /**
+   * Computes a simplified accessible name for an element, following the main steps of
+   * the accessible name computation: aria-labelledby, aria-label, associated labels,
+   * alt text, text content for named-from-content roles, and finally title or placeholder.
+   * @param {Element} element The element to inspect.
+   * @param {number} [maxTextLength=Infinity] A raw text content longer than this gives no
+   *     name, so that comparing names does not normalize the text of large containers.
+   * @returns {string} The accessible name, or an empty string.
+   */
+  function getAccessibleName(element, maxTextLength = Infinity) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => (root.getElementById ? root.getElementById(id) : null))
+        .filter(Boolean)
+        .map(labelElement => labelElement.textContent)
+        .join(' ');
+      if (normalizeText(text)) return normalizeText(text);
+    }
+    const ariaLabel = normalizeText(element.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+    const labelText = getLabelText(element);
+    if (labelText) return labelText;
+    if (element.tagName === 'IMG' || (element.tagName === 'INPUT' && element.type === 'image')) {
+      const alt = normalizeText(element.getAttribute('alt'));
+      if (alt) return alt;
+    }
+    if (['button', 'link', 'heading', 'option', 'tab', 'menuitem', 'checkbox', 'radio', 'switch'].includes(getRole(element))) {
+      const rawText = element.textContent || '';
+      if (rawText.length > maxTextLength) return '';
+      const text = normalizeText(rawText);
+      if (text) return text;
+    }
+    if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+      const value = normalizeText(element.value);
+      if (value) return value;
+    }
+    return normalizeText(element.getAttribute('title') || element.getAttribute('placeholder'));
+  }
+
+  /**
+   * Builds an XPath expression for an element, anchored at the nearest ancestor
+   * with a stable ID, or at the document root.
+   * @param {Element} element The element to build the XPath for.
+   * @returns {string} The XPath expression.
+   */
+  function getXPath(element) {
+    const steps = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      const isStableId = current.id && !current.id.includes('"') &&
+        !dynamicIdPattern.test(current.id) && current.id.length <= DYNAMIC_ID_MAX_LENGTH;
+      if (isStableId) {
+        steps.unshift(`//*[@id="${current.id}"]`);
+        return steps.join('/');
+      }
+      const isHtml = current.namespaceURI === 'http://www.w3.org/1999/xhtml';
+      const name = isHtml ? current.tagName.toLowerCase() : `*[local-name()="${current.localName}"]`;
+      let index = 1;
+      let sibling = current;
+      while ((sibling = sibling.previousElementSibling)) {
+        if (sibling.localName === current.localName) index++;
+      }
+      steps.unshift(`${name}[${index}]`);
+      current = current.parentElement;
+    }
+    return `/${steps.join('/')}`;
+  }
+
+  /**
+   * Counts the elements matched by a CSS selector, returning 0 for invalid selectors.
+   * @param {Document|ShadowRoot} root The root to search in.
+   * @param {string} selector The CSS selector.
+   * @returns {number} The number of matches.
+   */
+  function countSelectorMatches(root, selector) {
+    try {
+      return root.querySelectorAll(selector).length;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * Checks whether an element's normalized text equals a given text. The raw text's
+   * length is checked first, so that the text of most elements is never normalized.
+   * @param {Element} element The element to check.
+   * @param {string} text The normalized text to look for.
+   * @param {number} maxRawLength Elements with a longer raw text are assumed not to match.
+   * @returns {boolean} True if the element's text matches.
+   */
+  function hasNormalizedText(element, text, maxRawLength) {
+    const rawText = element.textContent || '';
+    if (rawText.length < text.length || rawText.length > maxRawLength) return false;
+    return normalizeText(rawText) === text;
+  }
+
+  /**
+   * Scores a locator candidate. Unique candidates keep their strategy's base score,
+   * ambiguous ones are heavily penalized and candidates that match nothing score 0.
+   * @param {string} strategy The locator strategy.
+   * @param {number} matches The number of elements the candidate matches.
+   * @param {number} [penalty=0] A strategy-specific penalty, e.g. for positional paths.
+   * @returns {number} The stability score, from 0 to 100.
+   */
+  function scoreLocator(strategy, matches, penalty = 0) {
+    if (matches === 0) return 0;
+    const base = Math.max(0, LOCATOR_STABILITY[strategy] - penalty);
+    return matches === 1 ? base : Math.round(base / (matches + 1));
+  }
+
+  /**
+   * Generates candidate locators for an element using several strategies: test IDs,
+   * ARIA role plus accessible name, visible text, label association, CSS and XPath.
+   * Each candidate records how many elements it matches in the element's document or
+   * shadow root and a stability score, and the list is sorted from best to worst.
+   * This lets exporters pick a robust locator instead of relying on a single CSS path.
+   * @param {Element} element The element to generate locators for.
+   * @returns {Array<{strategy: string, value: string, matches: number, score: number}>} The ranked candidates.
+   */
+  function getLocators(element) {
+    const root = element.getRootNode();
+    const candidates = [];
+    // Always long enough for the element itself to count as a match
+    const maxRawLength = Math.max(MAX_LOCATOR_RAW_TEXT_LENGTH, (element.textContent || '').length);
+
+    for (const attribute of TEST_ID_ATTRIBUTES) {
+      const value = element.getAttribute(attribute);
+      if (value) {
+        const matches = countSelectorMatches(root, `[${attribute}="${CSS.escape(value)}"]`);
+        candidates.push({ strategy: 'testId', attribute, value, matches, score: scoreLocator('testId', matches) });
+      }
+    }
+
+    const role = getRole(element);
+    const name = getAccessibleName(element);
+    if (role && name && name.length <= MAX_LOCATOR_TEXT_LENGTH && Object.hasOwn(IMPLICIT_ROLE_SELECTORS, role)) {
+      const selector = [`[role="${role}"]`, IMPLICIT_ROLE_SELECTORS[role]].filter(Boolean).join(', ');
+      const matches = Array.from(root.querySelectorAll(selector))
+        .filter(candidate => getRole(candidate) === role && getAccessibleName(candidate, maxRawLength) === name).length;
+      candidates.push({ strategy: 'role', role, value: name, matches, score: scoreLocator('role', matches) });
+    }
+
+    const labelText = getLabelText(element);
+    if (labelText && labelText.length <= MAX_LOCATOR_TEXT_LENGTH) {
+      const matches = Array.from(root.querySelectorAll('label'))
+        .filter(label => label.control && hasNormalizedText(label, labelText, maxRawLength)).length;
+      candidates.push({ strategy: 'label', value: labelText, matches, score: scoreLocator('label', matches) });
+    }
+
+    const text = normalizeText(element.textContent);
+    if (text && text.length <= MAX_LOCATOR_TEXT_LENGTH && !['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+      const matches = Array.from(root.querySelectorAll(element.localName))
+        .filter(candidate => hasNormalizedText(candidate, text, maxRawLength)).length;
+      // Text containing numbers is often dynamic (prices, counters, dates).
+      const penalty = /\d/.test(text) ? 20 : 0;
+      candidates.push({ strategy: 'text', value: text, matches, score: scoreLocator('text', matches, penalty) });
+    }
+
+    const css = getSelector(element);
+    const cssMatches = countSelectorMatches(root, css);
+    // Positional paths break as soon as the surrounding markup changes.
+    const cssPenalty = css.includes(':nth-of-type') || css.includes(' > ') ? 40 : (css.startsWith('#') ? 0 : 10);
+    candidates.push({ strategy: 'css', value: css, matches: cssMatches, score: scoreLocator('css', cssMatches, cssPenalty) });
+
+    // XPath cannot reach into shadow roots.
+    if (!(root instanceof ShadowRoot)) {
+      const xpath = getXPath(element);
+      let matches = 0;
+      try {
+        matches = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+      } catch (e) {
+        if (loggingLevel >= 3) console.warn('Invalid XPath generated:', xpath, e);
+      }
+      const penalty = xpath.startsWith('//*[@id=') ? 0 : 20;
+      candidates.push({ strategy: 'xpath', value: xpath, matches, score: scoreLocator('xpath', matches, penalty) });
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Finds the text that visually labels an element: its associated labels, its
+   * aria-label, or failing that a short text right before it, unless that text is
+   * redacted by a selector rule.
+   * @param {Element} element The element to inspect.
+   * @returns {string} The label text, or an empty string.
+   */
+  function getNearbyLabel(element) {
+    const label = getLabelText(element) || normalizeText(element.getAttribute('aria-label'));
+    if (label) return label.substring(0, MAX_LOCATOR_TEXT_LENGTH);
+    const previous = element.previousElementSibling;
+    const isPreviousRedacted = previous && findMatchingSelector(previous, redactionRules.redactSelectors);
+    const previousText = previous && !isPreviousRedacted ? normalizeText(previous.textContent) : '';
+    return previousText.length <= MAX_LOCATOR_TEXT_LENGTH ? previousText : '';
+  }
+
+  /**
+   * Captures a fingerprint of an element that is independent of any single selector:
+   * its tag, text, nearby label, ARIA and key attributes, page position, ancestor chain
+   * and sibling index. The replay engine scores live elements against it to heal steps
+   * whose selector no longer resolves.
+   * @param {Element} element The element to fingerprint.
+   * @param {DOMRect} boundingBox The element's bounding box.
+   * @param {Array<{field: string, reason: string}>} redactions Receives what was redacted.
+   * @returns {object} The fingerprint.
+   */
+  function getFingerprint(element, boundingBox, redactions) {
+    const aria = {};
+    const attributes = {};
+    for (const attr of element.attributes || []) {
+      if (attr.name.startsWith('aria-')) aria[attr.name] = attr.value.substring(0, 200);
+    }
+    for (const name of FINGERPRINT_ATTRIBUTES) {
+      // The value attribute of sensitive fields is as private as their value.
+      if (element.hasAttribute(name) && !(name === 'value' && isSensitive(element))) {
+        attributes[name] = element.getAttribute(name).substring(0, 200);
+      }
+    }
+    if (attributes.href && typeof element.href === 'string') {
+      // A redacted link is kept absolute, as the relative form cannot be parsed
+      const href = redactUrl(element.href, redactionRules, redactions);
+      if (href !== element.href) attributes.href = href.substring(0, 200);
+    }
+
+    const ancestors = [];
+    let current = element.parentElement;
+    while (current && ancestors.length < FINGERPRINT_ANCESTOR_DEPTH) {
+      ancestors.push({
+        tagName: current.tagName,
+        id: current.id || null,
+        className: (typeof current.className === 'string') ? current.className : '',
+        role: current.getAttribute('role')
+      });
+      current = current.parentElement;
+    }
+
+    const siblings = element.parentElement ? Array.from(element.parentElement.children) : [element];
+    return {
+      tagName: element.tagName,
+      text: normalizeText(element.textContent).substring(0, 200),
+      label: getNearbyLabel(element),
+      role: getRole(element),
+      aria,
+      attributes,
+      boundingBox: {
+        x: boundingBox.left + window.scrollX,
+        y: boundingBox.top + window.scrollY,
+        width: boundingBox.width,
+        height: boundingBox.height
+      },
+      ancestors,
+      siblingIndex: siblings.indexOf(element),
+      siblingCount: siblings.length
+    };
+  }
+
+  /**
+   * Returns the key that identifies an element of this document in recorded element info.
+   * @param {Element} element The element.
+   * @returns {string} The key, unique across documents.
+   */
+  function getElementKey(element) {
+    if (!elementKeys.has(element)) elementKeys.set(element, `${outboxSourceId.substring(0, 8)}.${nextElementKey++}`);
+    return elementKeys.get(element);
+  }
+
   /**
    * Collects a comprehensive set of properties from an HTML element.
    * This includes its selector, dimensions, attributes, and computed styles.
@@ -187,24 +651,43 @@
     if (!element) return null;
     const computedStyle = window.getComputedStyle(element);
     const boundingBox = element.getBoundingClientRect();
+    const redactions = [];
+    const redactionReason = getRedactionReason(element);
+    // Elements inside a redacting selector hide their text too, not just their value
+    const isTextRedacted = !!redactionReason && redactionReason.startsWith('custom selector');
+    const textContent = element.textContent ? element.textContent.trim().substring(0, 200) : null;
+    if (redactionReason && element.value) noteRedaction(redactions, 'value', redactionReason);
+    if (isTextRedacted && textContent) noteRedaction(redactions, 'text', redactionReason);
+    const locators = skipVerification ? [] : getLocators(element);
+    const fingerprint = skipVerification ? null : getFingerprint(element, boundingBox, redactions);
+    if (isTextRedacted && fingerprint) {
+      fingerprint.text = '[REDACTED]';
+      // The label and ARIA attributes describe the element in words too; left out, so replay does not score them
+      fingerprint.label = '';
+      fingerprint.aria = {};
+    }
     const info = {
+      key: getElementKey(element),
       selector: getSelector(element, skipVerification),
       shadowDOMPath: getShadowDOMPath(element, skipVerification),
+      // Ranked alternatives to the selector; skipped along with verification for bulk attribute changes.
+      // Text and accessible names of redacted text are left out.
+      locators: isTextRedacted ? locators.filter(locator => !['text', 'role', 'label'].includes(locator.strategy)) : locators,
       tagName: element.tagName,
       className: (typeof element.className === 'string') ? element.className : (element.className.baseVal || ''),
       id: element.id || null,
-      textContent: element.textContent ? element.textContent.trim().substring(0, 200) : null,
+      textContent: isTextRedacted && textContent ? '[REDACTED]' : textContent,
       // REDACT SENSITIVE DATA
-      value: isSensitive(element) ? '[REDACTED]' : (element.value != null ? String(element.value).substring(0, 200) : null),
-      href: element.href || null,
+      value: redactionReason ? '[REDACTED]' : (element.value != null ? String(element.value).substring(0, 200) : null),
+      href: redactUrl(element.href || null, redactionRules, redactions),
       // ADD SCROLL METADATA
       scrollX: window.scrollX,
       scrollY: window.scrollY,
-      src: element.src || null,
+      src: redactUrl(element.src || null, redactionRules, redactions),
       alt: element.alt || null,
       title: element.title || null,
       role: element.getAttribute('role') || null,
-      ariaLabel: element.getAttribute('aria-label') || null,
+      ariaLabel: isTextRedacted && element.hasAttribute('aria-label') ? '[REDACTED]' : element.getAttribute('aria-label') || null,
       dataAttributes: {},
       style: {
         display: computedStyle.display,
@@ -215,27 +698,103 @@
         left: boundingBox.left,
       },
       parentElement: element.parentElement ? getSelector(element.parentElement, skipVerification) : null,
+      fingerprint,
     };
     if (element.attributes) {
       for (let attr of element.attributes) {
         if (attr.name.startsWith('data-')) {
-          info.dataAttributes[attr.name] = attr.value;
+          const reason = isTextRedacted ? redactionReason : getNameRedactionReason(attr.name.substring(5), redactionRules);
+          if (reason && attr.value) noteRedaction(redactions, `attribute ${attr.name}`, reason);
+          info.dataAttributes[attr.name] = reason && attr.value ? '[REDACTED]' : attr.value;
         }
       }
     }
+    if (redactions.length) info.redactions = redactions;
     return info;
   }
 
   /**
-   * Sends a recorded action to the background script for storage.
+   * Queues a recorded item in the outbox and schedules sending it.
+   * @param {string} type 'action' for a step, 'network' for a network request.
+   * @param {object} data The recorded data.
+   */
+  function enqueue(type, data) {
+    outbox.push({ seq: ++outboxSeq, type, data });
+    if (!outboxTimeout && outboxInFlight === 0) {
+      outboxTimeout = setTimeout(flushOutbox, OUTBOX_FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Sends a batch of outbox items to the background script. Acknowledged items are
+   * removed from the outbox; if the batch fails, sending is retried after a delay. A batch
+   * sent after one that failed is acknowledged without being stored, and the outbox is
+   * then resent from its oldest item.
+   * @param {Array<object>} items The items, in sequence order.
+   */
+  function sendBatch(items) {
+    outboxInFlight++;
+    try {
+      // The frame's URL as recorded, with sensitive query parameters redacted
+      const frameUrl = redactUrl(location.href, redactionRules, []);
+      const message = { action: 'recordBatch', sourceId: outboxSourceId, frameUrl, items, ackedSeq: outboxAckedSeq };
+      chrome.runtime.sendMessage(message, response => {
+        outboxInFlight--;
+        const error = chrome.runtime.lastError?.message || (!response ? 'No response from the background script.' : response.error);
+        if (response && response.success) {
+          outboxAckedSeq = Math.max(outboxAckedSeq, response.ackedSeq);
+          outbox = outbox.filter(item => item.seq > outboxAckedSeq);
+          outboxRetries = 0;
+          if (outboxInFlight === 0 && outbox.length > 0) flushOutbox();
+        } else if (outboxInFlight === 0 && !outboxTimeout) {
+          console.warn(`Error saving recorded actions, retrying: ${error}`);
+          const retryDelay = OUTBOX_RETRY_DELAYS_MS[Math.min(outboxRetries, OUTBOX_RETRY_DELAYS_MS.length - 1)];
+          outboxRetries++;
+          outboxTimeout = setTimeout(flushOutbox, retryDelay);
+        }
+      });
+    } catch (e) {
+      // The extension was reloaded or removed, so this script can no longer reach it
+      outboxInFlight--;
+      console.error(`Error saving recorded actions: ${e.message}`);
+    }
+  }
+
+  /**
+   * Sends the oldest outbox items, unless a batch is already on its way.
+   */
+  function flushOutbox() {
+    clearTimeout(outboxTimeout);
+    outboxTimeout = null;
+    if (outboxInFlight > 0 || outbox.length === 0) return;
+    sendBatch(outbox.slice(0, OUTBOX_MAX_BATCH_SIZE));
+  }
+
+  /**
+   * Sends every outbox item straight away, also those of a batch already on its way,
+   * because the page may be unloaded before that batch's response arrives.
+   */
+  function flushOutboxNow() {
+    clearTimeout(outboxTimeout);
+    outboxTimeout = null;
+    for (let i = 0; i < outbox.length; i += OUTBOX_MAX_BATCH_SIZE) {
+      sendBatch(outbox.slice(i, i + OUTBOX_MAX_BATCH_SIZE));
+    }
+  }
+
+  /**
+   * Queues a recorded action to be sent to the background script for storage.
    * @param {object} actionData The data object representing the user action.
    */
   function saveAction(actionData) {
-    chrome.runtime.sendMessage({ action: 'recordAction', data: actionData }, response => {
-      if (chrome.runtime.lastError || (response && !response.success)) {
-        console.error(`Error saving action: ${chrome.runtime.lastError?.message || response?.error}`);
-      }
-    });
+    // Scrolls still settling happened before this action, so they are saved first
+    if (!['scroll', 'batchAttributeChange'].includes(actionData.type)) flushScrolls();
+    if (actionData.url) {
+      const redactions = actionData.redactions || [];
+      actionData.url = redactUrl(actionData.url, redactionRules, redactions);
+      if (redactions.length) actionData.redactions = redactions;
+    }
+    enqueue('action', actionData);
   }
 
   /**
@@ -244,15 +803,16 @@
    */
   function flushInputEvents() {
     if (lastInputElement && eventSequence.length > 0) {
-      const isTargetSensitive = isSensitive(lastInputElement);
+      const redactionReason = getRedactionReason(lastInputElement);
       const sequenceData = {
         type: 'inputSequence',
         relativeTime: eventSequence[0].relativeTime,
         element: getElementInfo(lastInputElement),
         events: eventSequence,
-        finalValue: isTargetSensitive && lastInputElement.value ? '[REDACTED]' : lastInputElement.value,
+        finalValue: redactionReason && lastInputElement.value ? '[REDACTED]' : lastInputElement.value,
         url: window.location.href,
       };
+      if (redactionReason) sequenceData.redactions = [{ field: 'typed text', reason: redactionReason }];
       saveAction(sequenceData);
     }
     eventSequence = [];
@@ -296,16 +856,103 @@
 
   // --- Event Listeners ---
 
+  /**
+   * Checks whether a mouse event should record an assertion instead of an action,
+   * either because assertion mode is on or because Alt+Shift was held.
+   * @param {MouseEvent} e The mouse event object.
+   * @returns {boolean} True if the event is an assertion click.
+   */
+  function isAssertionClick(e) {
+    return assertMode || (e.altKey && e.shiftKey);
+  }
+
+  /**
+   * Captures the state of an element that an 'assert' step can check.
+   * @param {Element} element The element to inspect.
+   * @returns {{text: string, value: string|null, checked: boolean|null, disabled: boolean, visible: boolean}} The state.
+   */
+  function getAssertionState(element) {
+    const computedStyle = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const isCheckable = element.tagName === 'INPUT' && ['checkbox', 'radio'].includes(element.type);
+    const ariaChecked = element.getAttribute('aria-checked');
+    const redactionReason = getRedactionReason(element);
+    let value = null;
+    if (element.value != null && ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+      value = redactionReason ? '[REDACTED]' : String(element.value).substring(0, 200);
+    }
+    const text = normalizeText(element.innerText ?? element.textContent).substring(0, 200);
+    return {
+      text: text && redactionReason && redactionReason.startsWith('custom selector') ? '[REDACTED]' : text,
+      value,
+      checked: isCheckable ? element.checked : (ariaChecked ? ariaChecked === 'true' : null),
+      disabled: !!element.disabled || element.getAttribute('aria-disabled') === 'true',
+      visible: computedStyle.display !== 'none' && computedStyle.visibility !== 'hidden' && rect.width > 0 && rect.height > 0
+    };
+  }
+
+  /**
+   * Chooses the default property for an 'assert' step: the checked state of checkable
+   * elements, the value of form fields, the text of elements with text, else visibility.
+   * The other captured properties stay in the step so a different one can be chosen later.
+   * @param {object} state The state captured by getAssertionState().
+   * @returns {string} The name of the property to assert.
+   */
+  function getDefaultAssertion(state) {
+    if (state.checked !== null) return 'checked';
+    if (state.value !== null && state.value !== '[REDACTED]') return 'value';
+    if (state.text && state.text !== '[REDACTED]') return 'text';
+    return 'visible';
+  }
+
+  /**
+   * Handles mousedown events in assertion mode, preventing the element from taking focus
+   * so that asserting does not change the page.
+   * @param {MouseEvent} e The mouse event object.
+   */
+  function handleMouseDown(e) {
+    if (!isCapturing() || isToolbarEvent(e) || !isAssertionClick(e)) return;
+    e.preventDefault();
+  }
+
   /**
    * Handles click events on the document.
+   * In assertion mode, the click is swallowed and recorded as an 'assert' step.
    * @param {MouseEvent} e The mouse event object.
    */
   function handleClick(e) {
-    if (!isRecording) return;
+    if (!isCapturing() || isToolbarEvent(e)) return;
 
     // Force save any pending typing before clicking
     flushInputEvents();
 
+    if (isAssertionClick(e)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      const assertions = getAssertionState(e.target);
+      const assertData = {
+        type: 'assert',
+        relativeTime: startTime ? Date.now() - startTime : 0,
+        element: getElementInfo(e.target),
+        assertions,
+        assertion: getDefaultAssertion(assertions),
+        url: window.location.href
+      };
+      const redactionReason = getRedactionReason(e.target);
+      if (redactionReason) assertData.redactions = [{ field: 'asserted state', reason: redactionReason }];
+      saveAction(assertData);
+      showFeedback(e.clientX, e.clientY, '#00c853');
+      return;
+    }
+
+    // Clicks that pick an option, tick a box or open a file dialog are recorded by the change they make
+    if (getChangeControl(e.target)) return;
+    // The click that ends a pointer drag is part of the drag
+    if (isDragClick) {
+      isDragClick = false;
+      return;
+    }
+
     const clickData = {
       type: 'click',
       relativeTime: startTime ? Date.now() - startTime : 0,
@@ -324,10 +971,10 @@
   function handleFocus(e) {
     const target = e.target;
     // Log focus if recording AND (input element OR Level 1+ Standard Logging)
-    if (!isRecording) return;
+    if (!isCapturing() || isToolbarEvent(e)) return;
 
     // Always track inputs for typing sequences regardless of level
-    const isInput = (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+    const isInput = (target.tagName === 'INPUT' && !CHANGE_INPUT_TYPES.includes(target.type)) || target.tagName === 'TEXTAREA' || target.isContentEditable;
 
     if (!isInput && loggingLevel < 1) return; // Skip non-inputs on Minimal level
 
@@ -361,7 +1008,7 @@
    * @param {FocusEvent} e The focus event object.
    */
   function handleBlur(e) {
-    if (!isRecording || e.target !== lastInputElement) return;
+    if (!isCapturing() || e.target !== lastInputElement) return;
     flushInputEvents();
     lastInputElement = null;
   }
@@ -372,7 +1019,7 @@
    * @param {KeyboardEvent} e The keyboard event object.
    */
   function handleKeydown(e) {
-    if (!isRecording) return;
+    if (!isCapturing() || isToolbarEvent(e)) return;
     const eventTime = startTime ? Date.now() - startTime : 0;
 
     if (e.target === lastInputElement) {
@@ -387,6 +1034,8 @@
     }
 
     const specialKeys = ['Enter', 'Tab', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Backspace', 'Delete'];
+    // Arrow keys that change a dropdown or radio group are recorded by the change they make
+    if (e.key.startsWith('Arrow') && getChangeControl(e.target)) return;
     if (specialKeys.includes(e.key)) {
       const keyData = { type: 'keyDown', relativeTime: eventTime, element: getElementInfo(e.target), key: e.key, code: e.code, ctrlKey: e.ctrlKey, shiftKey: e.shiftKey, altKey: e.altKey, metaKey: e.metaKey, url: window.location.href };
       saveAction(keyData);
@@ -402,7 +1051,7 @@
    * @param {InputEvent} e The input event object.
    */
   function handleInput(e) {
-    if (!isRecording || e.target !== lastInputElement) return;
+    if (!isCapturing() || e.target !== lastInputElement) return;
     const isTargetSensitive = isSensitive(lastInputElement);
     eventSequence.push({
       type: 'input',
@@ -420,12 +1069,12 @@
    * @param {ClipboardEvent} e The clipboard event object.
    */
   function handlePaste(e) {
-    if (!isRecording) return;
+    if (!isCapturing() || isToolbarEvent(e)) return;
     const eventTime = startTime ? Date.now() - startTime : 0;
     const pastedText = e.clipboardData?.getData('text') || null;
 
-    const isTargetSensitive = isSensitive(e.target);
-    const safePastedText = isTargetSensitive && pastedText ? '[REDACTED]' : pastedText;
+    const redactionReason = getRedactionReason(e.target);
+    const safePastedText = redactionReason && pastedText ? '[REDACTED]' : pastedText;
 
     if (e.target === lastInputElement) {
       eventSequence.push({ type: 'paste', relativeTime: eventTime, pastedText: safePastedText });
@@ -437,12 +1086,260 @@
         pastedText: safePastedText,
         url: window.location.href
       };
+      if (redactionReason && pastedText) pasteData.redactions = [{ field: 'pasted text', reason: redactionReason }];
       saveAction(pasteData);
     }
     const rect = e.target.getBoundingClientRect();
     showFeedback(rect.left + 10, rect.top + 10, '#0000ff');
   }
 
+  /**
+   * Returns the form control whose changes are recorded as their own steps that an element
+   * belongs to: a dropdown, checkbox, radio button or file input, or one of their options or labels.
+   * @param {Element} element The element.
+   * @returns {HTMLSelectElement|HTMLInputElement|null} The control, or null.
+   */
+  function getChangeControl(element) {
+    if (!element || !element.closest) return null;
+    const select = element.closest('select');
+    if (select) return select;
+    const label = element.closest('label');
+    const control = element.tagName === 'INPUT' ? element : (label && label.control);
+    return control && control.tagName === 'INPUT' && CHANGE_INPUT_TYPES.includes(control.type) ? control : null;
+  }
+
+  /**
+   * Handles change events of dropdowns, checkboxes, radio buttons and file inputs, which
+   * are recorded as 'select', 'check' and 'fileUpload' steps. Dropdowns record the value
+   * and label of each selected option; checkboxes and radio buttons their type ('control') and
+   * state; file inputs only the names, sizes and types of the chosen files, never their content.
+   * @param {Event} e The change event object.
+   */
+  function handleChange(e) {
+    const target = e.target;
+    if (!isCapturing() || isToolbarEvent(e) || getChangeControl(target) !== target) return;
+    const redactionReason = getRedactionReason(target);
+    const type = target.tagName === 'SELECT' ? 'select' : (target.type === 'file' ? 'fileUpload' : 'check');
+    const changeData = {
+      type,
+      relativeTime: startTime ? Date.now() - startTime : 0,
+      element: getElementInfo(target),
+      url: window.location.href
+    };
+    if (type === 'select') {
+      changeData.options = Array.from(target.selectedOptions, option => (redactionReason
+        ? { value: '[REDACTED]', label: '[REDACTED]' }
+        : { value: option.value, label: normalizeText(option.label) }));
+      if (redactionReason) changeData.redactions = [{ field: 'selected option', reason: redactionReason }];
+    } else if (type === 'fileUpload') {
+      changeData.files = Array.from(target.files || [], file => ({
+        name: redactionReason ? '[REDACTED]' : file.name,
+        size: file.size,
+        type: file.type
+      }));
+      if (redactionReason && changeData.files.length) changeData.redactions = [{ field: 'file names', reason: redactionReason }];
+    } else {
+      changeData.control = target.type;
+      changeData.checked = target.checked;
+    }
+    saveAction(changeData);
+    const rect = target.getBoundingClientRect();
+    showFeedback(rect.left + 10, rect.top + 10, '#ff9800');
+  }
+
+  /**
+   * Handles form submissions. Typing still buffered, e.g. the Enter key that submitted the
+   * form, is saved first so the steps stay in order.
+   * @param {SubmitEvent} e The submit event object.
+   */
+  function handleSubmit(e) {
+    if (!isCapturing() || isToolbarEvent(e)) return;
+    flushInputEvents();
+    const submitData = {
+      type: 'submit',
+      relativeTime: startTime ? Date.now() - startTime : 0,
+      element: getElementInfo(e.target),
+      submitter: e.submitter ? getElementInfo(e.submitter) : null,
+      url: window.location.href
+    };
+    saveAction(submitData);
+  }
+
+  /**
+   * Handles double clicks. The two clicks before a double click are recorded too; exports
+   * and replays fold them into it.
+   * @param {MouseEvent} e The mouse event object.
+   */
+  function handleDoubleClick(e) {
+    if (!isCapturing() || isToolbarEvent(e) || isAssertionClick(e) || getChangeControl(e.target)) return;
+    const doubleClickData = {
+      type: 'doubleClick',
+      relativeTime: startTime ? Date.now() - startTime : 0,
+      element: getElementInfo(e.target),
+      url: window.location.href
+    };
+    saveAction(doubleClickData);
+    showFeedback(e.clientX, e.clientY, '#ff0000');
+  }
+
+  /**
+   * Handles context menu events, which right clicks and the context menu key open.
+   * @param {MouseEvent} e The mouse event object.
+   */
+  function handleContextMenu(e) {
+    if (!isCapturing() || isToolbarEvent(e) || isAssertionClick(e)) return;
+    flushInputEvents();
+    const contextMenuData = {
+      type: 'contextMenu',
+      relativeTime: startTime ? Date.now() - startTime : 0,
+      element: getElementInfo(e.target),
+      url: window.location.href
+    };
+    saveAction(contextMenuData);
+    showFeedback(e.clientX, e.clientY, '#9c27b0');
+  }
+
+  // --- Drag and Drop ---
+
+  /**
+   * The HTML5 drag in progress: its source element's info and when it started.
+   * @type {{element: object, relativeTime: number}|null}
+   */
+  let html5Drag = null;
+
+  /**
+   * The pointer drag in progress, from the primary button going down until it goes up:
+   * where it started, the source element's box at that point, and the source element's
+   * info once the pointer moved far enough. isDragClick is set when a recorded pointer
+   * drag ends, to skip the click that follows it.
+   * @type {{element: Element, x: number, y: number, rect: DOMRect, info: object|null, relativeTime: number}|null}
+   */
+  let pointerDrag = null;
+  let isDragClick = false;
+
+  /**
+   * Saves a 'dragAndDrop' step.
+   * @param {string} method 'html5' for the HTML5 drag and drop API, 'pointer' for pointer events.
+   * @param {object} source The dragged element's info.
+   * @param {Element} target The element it was dropped on.
+   * @param {number} relativeTime When the drag started.
+   * @param {{x: number, y: number}|null} offset How far the pointer moved, for pointer drags.
+   */
+  function saveDragAndDrop(method, source, target, relativeTime, offset) {
+    flushInputEvents();
+    const dragData = {
+      type: 'dragAndDrop',
+      relativeTime,
+      method,
+      element: source,
+      target: getElementInfo(target),
+      url: window.location.href
+    };
+    if (offset) dragData.offset = offset;
+    saveAction(dragData);
+  }
+
+  /**
+   * Remembers the source of an HTML5 drag. Pointer events stop once it starts.
+   * @param {DragEvent} e The drag event object.
+   */
+  function handleDragStart(e) {
+    pointerDrag = null;
+    if (!isCapturing() || isToolbarEvent(e)) return;
+    html5Drag = { element: getElementInfo(e.target), relativeTime: startTime ? Date.now() - startTime : 0 };
+  }
+
+  /**
+   * Records an HTML5 drag dropped in this frame. Drops of files or of elements dragged in
+   * another frame have no source here and are not recorded.
+   * @param {DragEvent} e The drag event object.
+   */
+  function handleDrop(e) {
+    if (!isCapturing() || !html5Drag) return;
+    saveDragAndDrop('html5', html5Drag.element, e.target, html5Drag.relativeTime, null);
+    html5Drag = null;
+  }
+
+  /**
+   * Forgets an HTML5 drag once it ends, whether it was dropped or cancelled.
+   */
+  function handleDragEnd() {
+    html5Drag = null;
+  }
+
+  /**
+   * Starts tracking a possible pointer drag when the primary button goes down. Form fields
+   * are left out, as dragging in them selects text or moves a slider, and so are scrollbars.
+   * @param {PointerEvent} e The pointer event object.
+   */
+  function handlePointerDown(e) {
+    pointerDrag = null;
+    isDragClick = false;
+    if (!isCapturing() || isToolbarEvent(e) || !e.isPrimary || e.button !== 0 || isAssertionClick(e)) return;
+    const target = e.target;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) return;
+    if (e.offsetX > target.clientWidth && target.clientWidth > 0) return;
+    if (e.offsetY > target.clientHeight && target.clientHeight > 0) return;
+    pointerDrag = { element: target, x: e.clientX, y: e.clientY, rect: target.getBoundingClientRect(), info: null, relativeTime: 0 };
+  }
+
+  /**
+   * Starts a pointer drag once the pointer moved far enough with the button held, capturing
+   * the source element before the page moves it.
+   * @param {PointerEvent} e The pointer event object.
+   */
+  function handlePointerMove(e) {
+    if (!pointerDrag || pointerDrag.info || !e.isPrimary) return;
+    if (Math.hypot(e.clientX - pointerDrag.x, e.clientY - pointerDrag.y) < DRAG_THRESHOLD_PX) return;
+    pointerDrag.info = getElementInfo(pointerDrag.element);
+    pointerDrag.relativeTime = startTime ? Date.now() - startTime : 0;
+  }
+
+  /**
+   * Checks whether the source of a pointer drag was moved by the page while it was dragged:
+   * it left the document, or its box moved away from where it was when the drag started.
+   * @param {{element: Element, rect: DOMRect}} drag The pointer drag.
+   * @returns {boolean} True if the element moved.
+   */
+  function hasDragSourceMoved(drag) {
+    if (!drag.element.isConnected) return true;
+    const rect = drag.element.getBoundingClientRect();
+    return Math.abs(rect.left - drag.rect.left) >= 1 || Math.abs(rect.top - drag.rect.top) >= 1;
+  }
+
+  /**
+   * Records a pointer drag when the button goes up. The drop target is the topmost element
+   * under the pointer outside the dragged element, which often follows the pointer. Presses
+   * that end over the source's own box, or that did not move the source, are clicks with
+   * a shaky pointer rather than drags, and so are drags that selected text.
+   * @param {PointerEvent} e The pointer event object.
+   */
+  function handlePointerUp(e) {
+    const drag = pointerDrag;
+    pointerDrag = null;
+    if (!drag || !drag.info || !e.isPrimary || !isCapturing()) return;
+    if (String(window.getSelection() || '').trim()) return;
+    const { left, right, top, bottom } = drag.rect;
+    if (e.clientX >= left && e.clientX <= right && e.clientY >= top && e.clientY <= bottom) return;
+    if (!hasDragSourceMoved(drag)) return;
+    const target = document.elementsFromPoint(e.clientX, e.clientY)
+      .find(element => !drag.element.contains(element) && !(toolbarHost && toolbarHost.contains(element))) || e.target;
+    saveDragAndDrop('pointer', drag.info, target, drag.relativeTime, {
+      x: Math.round(e.clientX - drag.x),
+      y: Math.round(e.clientY - drag.y)
+    });
+    // The click, if any, is dispatched right after the pointer goes up
+    isDragClick = true;
+    setTimeout(() => { isDragClick = false; }, 0);
+  }
+
+  /**
+   * Forgets a pointer drag the browser took over, e.g. for scrolling or an HTML5 drag.
+   */
+  function handlePointerCancel() {
+    pointerDrag = null;
+  }
+
   // --- Mutation Observer for Attributes (Level 2 & 3) ---
 
   let attributeChangeTimeout = null;
@@ -456,7 +1353,7 @@
    */
   const observer = new MutationObserver((mutations) => {
     // If Minimal (0) or Standard (1), do NOT record attribute changes.
-    if (!isRecording || loggingLevel < 2) return;
+    if (!isCapturing() || loggingLevel < 2) return;
 
     clearTimeout(attributeChangeTimeout);
 
@@ -550,7 +1447,7 @@
     observer.disconnect();
 
     // Only connect if we are recording AND logging level is Detailed (2) or Verbose (3)
-    if (isRecording && loggingLevel >= 2) {
+    if (isCapturing() && loggingLevel >= 2) {
       const observerConfig = {
         attributes: true,
         attributeOldValue: true,
@@ -562,7 +1459,7 @@
         observerConfig.attributeFilter = [
           'disabled', 'hidden', 'readonly', 'checked', 'selected',
           'aria-checked', 'aria-disabled', 'aria-expanded', 'aria-hidden',
-          'aria-pressed', 'aria-selected', 'role', 'data-state', 'value'
+          'aria-pressed', 'aria-selected', 'aria-busy', 'role', 'data-state', 'value'
         ];
       }
 
@@ -573,7 +1470,7 @@
     document.removeEventListener('mouseover', handleMouseOver, true);
 
     // Only add if recording is active AND Logging Level is Standard (1) or higher
-    if (isRecording && loggingLevel >= 1) {
+    if (isCapturing() && loggingLevel >= 1) {
       document.addEventListener('mouseover', handleMouseOver, true);
     }
   }
@@ -583,13 +1480,13 @@
 
   function handleMouseOver(e) {
     // Only record hovers if recording is active AND Logging Level is Standard (1) or higher
-    if (!isRecording || loggingLevel < 1) return;
+    if (!isCapturing() || loggingLevel < 1 || isToolbarEvent(e)) return;
 
     clearTimeout(hoverTimeout);
 
     hoverTimeout = setTimeout(() => {
       // Double check state after the delay
-      if (!isRecording) return;
+      if (!isCapturing()) return;
 
       const hoverData = {
         type: 'hover',
@@ -601,19 +1498,530 @@
     }, HOVER_DEBOUNCE_MS); // threshold prevents recording accidental mouse movements
   }
 
+  // --- Scroll Tracking (Debounced) ---
+
+  /**
+   * The latest input that can scroll the page and when it happened: 'user' for a wheel turn,
+   * touch, scroll key or pointer press, 'focus' for a focus change. isScrollPointerHeld is
+   * set while the pointer is pressed, e.g. to drag a scrollbar, and cleared when it is
+   * released or the page loses focus or is hidden.
+   * @type {{cause: string, time: number}|null}
+   */
+  let scrollIntent = null;
+  let isScrollPointerHeld = false;
+
+  /**
+   * The containers still scrolling, keyed by the scrolled element, or the document for the
+   * window: what caused the scroll, when it started and the timer that saves it.
+   * @type {Map<Element|Document, {cause: string, relativeTime: number, timeout: number}>}
+   */
+  const pendingScrolls = new Map();
+
+  /**
+   * Remembers the latest input that can scroll the page, to tell the scrolls the user made,
+   * directly or by moving the focus, from those the page made by itself.
+   * @param {Event} e A wheel, touchmove, keydown, pointerdown, pointerup, pointercancel or focusin event.
+   */
+  function handleScrollIntent(e) {
+    if (e.type === 'pointerup' || e.type === 'pointercancel') {
+      isScrollPointerHeld = false;
+      return;
+    }
+    if (!isCapturing() || isToolbarEvent(e)) return;
+    if (e.type === 'keydown' && !SCROLL_KEYS.includes(e.key)) return;
+    if (e.type === 'pointerdown') isScrollPointerHeld = true;
+    scrollIntent = { cause: e.type === 'focusin' ? 'focus' : 'user', time: Date.now() };
+  }
+
+  /**
+   * Forgets a pointer press when the page loses focus or is hidden, as the pointer may
+   * then be released where this document does not see it.
+   */
+  function releaseScrollPointer() {
+    isScrollPointerHeld = false;
+  }
+
+  /**
+   * Handles scroll events of the window and of scrollable elements, which are caught in the
+   * capture phase as they do not bubble. Scrolls the user did not cause, such as restored
+   * scroll positions or the page's own scrolling, are left out, as the page repeats them.
+   * @param {Event} e The scroll event object.
+   */
+  function handleScroll(e) {
+    if (!isCapturing()) return;
+    const container = e.target;
+    if (toolbarHost && container !== document && toolbarHost.contains(container)) return;
+    const pending = pendingScrolls.get(container);
+    if (pending) {
+      clearTimeout(pending.timeout);
+      pending.timeout = setTimeout(() => saveScroll(container), SCROLL_DEBOUNCE_MS);
+      return;
+    }
+    let cause = null;
+    if (isScrollPointerHeld) cause = 'user';
+    else if (scrollIntent && Date.now() - scrollIntent.time <= SCROLL_CAUSE_WINDOW_MS) cause = scrollIntent.cause;
+    if (!cause) return;
+    pendingScrolls.set(container, {
+      cause,
+      relativeTime: startTime ? Date.now() - startTime : 0,
+      timeout: setTimeout(() => saveScroll(container), SCROLL_DEBOUNCE_MS)
+    });
+  }
+
+  /**
+   * Records a 'scroll' step with a container's final scroll position. Window scrolls have
+   * no element; others record the scrolled element.
+   * @param {Element|Document} container The scrolled element, or the document for the window.
+   */
+  function saveScroll(container) {
+    const pending = pendingScrolls.get(container);
+    if (!pending) return;
+    clearTimeout(pending.timeout);
+    pendingScrolls.delete(container);
+    if (container !== document && !container.isConnected) return;
+    const isWindow = container === document;
+    saveAction({
+      type: 'scroll',
+      relativeTime: pending.relativeTime,
+      element: isWindow ? null : getElementInfo(container),
+      scrollX: Math.round(isWindow ? window.scrollX : container.scrollLeft),
+      scrollY: Math.round(isWindow ? window.scrollY : container.scrollTop),
+      cause: pending.cause,
+      url: window.location.href
+    });
+  }
+
+  /**
+   * Saves the scrolls still settling, e.g. before the next action or when the page is hidden.
+   */
+  function flushScrolls() {
+    for (const container of [...pendingScrolls.keys()]) saveScroll(container);
+  }
+
+  // --- Network Capture ---
+
+  /**
+   * Tells network-hook.js whether to report requests and whether to include their bodies.
+   */
+  function sendNetworkConfig() {
+    const config = {
+      enabled: isCapturing() && networkCapture !== NETWORK_CAPTURE.OFF,
+      captureBodies: networkCapture === NETWORK_CAPTURE.BODIES
+    };
+    document.dispatchEvent(new CustomEvent(NETWORK_CONFIG_EVENT, { detail: JSON.stringify(config) }));
+  }
+
+  /**
+   * Redacts the values of headers that carry credentials or have sensitive names.
+   * @param {Array<{name: string, value: string}>} headers The headers.
+   * @param {string} kind 'request' or 'response', naming the headers in redactions.
+   * @param {Array<{field: string, reason: string}>} redactions Receives what was redacted.
+   * @returns {Array<{name: string, value: string}>} The redacted headers.
+   */
+  function redactHeaders(headers, kind, redactions) {
+    return (headers || []).map(({ name, value }) => {
+      const reason = SENSITIVE_HEADER_REGEX.test(name) ? 'credential header' : getNameRedactionReason(name, redactionRules);
+      if (!reason) return { name, value };
+      noteRedaction(redactions, `${kind} header ${name.toLowerCase()}`, reason);
+      return { name, value: '[REDACTED]' };
+    });
+  }
+
+  /**
+   * Recursively redacts the values of JSON properties with sensitive names.
+   * @param {*} value The parsed JSON value.
+   * @param {string} kind 'request' or 'response', naming the body in redactions.
+   * @param {Array<{field: string, reason: string}>} redactions Receives what was redacted.
+   * @returns {*} The redacted value.
+   */
+  function redactJsonValue(value, kind, redactions) {
+    if (Array.isArray(value)) return value.map(item => redactJsonValue(item, kind, redactions));
+    if (value && typeof value === 'object') {
+      const redacted = {};
+      for (const [key, item] of Object.entries(value)) {
+        const reason = getNameRedactionReason(key, redactionRules);
+        if (reason) noteRedaction(redactions, `${kind} body field ${key}`, reason);
+        redacted[key] = reason ? '[REDACTED]' : redactJsonValue(item, kind, redactions);
+      }
+      return redacted;
+    }
+    return value;
+  }
+
+  /**
+   * Redacts the sensitive fields of a JSON or form-encoded body and truncates it.
+   * Other bodies, and bodies that do not parse as their content type claims, cannot be
+   * searched for sensitive fields, so they are left out and the omission is noted.
+   * @param {string|null} body The body text.
+   * @param {string|null} mimeType The body's content type.
+   * @param {string} kind 'request' or 'response', naming the body in redactions.
+   * @param {Array<{field: string, reason: string}>} redactions Receives what was redacted.
+   * @returns {string|null} The redacted body, or null if it was left out.
+   */
+  function redactBody(body, mimeType, kind, redactions) {
+    if (body == null) return null;
+    if (body === '') return body;
+    let redacted = null;
+    try {
+      if (/json/i.test(mimeType || '') || /^\s*[[{]/.test(body)) {
+        redacted = JSON.stringify(redactJsonValue(JSON.parse(body), kind, redactions));
+      } else if (/x-www-form-urlencoded/i.test(mimeType || '')) {
+        const params = new URLSearchParams(body);
+        for (const key of new Set(params.keys())) {
+          const reason = getNameRedactionReason(key, redactionRules);
+          if (!reason) continue;
+          params.set(key, '[REDACTED]');
+          noteRedaction(redactions, `${kind} body field ${key}`, reason);
+        }
+        redacted = params.toString();
+      }
+    } catch (e) {
+      // Not parseable as its content type claims
+    }
+    if (redacted === null) {
+      noteRedaction(redactions, `${kind} body`, 'body could not be checked for sensitive fields');
+      return null;
+    }
+    return redacted.substring(0, MAX_NETWORK_BODY_LENGTH);
+  }
+
+  /**
+   * Receives a finished request from network-hook.js, redacts it and sends it to the
+   * background script, which links it to the step that triggered it.
+   * @param {CustomEvent} e The event, whose detail is the request entry as JSON.
+   */
+  function handleNetworkEntry(e) {
+    if (!isCapturing() || networkCapture === NETWORK_CAPTURE.OFF) return;
+    let entry;
+    try {
+      entry = JSON.parse(e.detail);
+    } catch (error) {
+      return;
+    }
+    const requestHeaders = entry.requestHeaders || [];
+    const requestMimeType = (requestHeaders.find(h => h.name.toLowerCase() === 'content-type') || {}).value || null;
+    const captureBodies = networkCapture === NETWORK_CAPTURE.BODIES;
+    const redactions = [];
+    const networkData = {
+      type: entry.type,
+      method: entry.method,
+      url: redactUrl(entry.url, redactionRules, redactions),
+      status: entry.status,
+      statusText: entry.statusText,
+      mimeType: entry.mimeType,
+      startTime: startTime ? entry.startedAt - startTime : 0,
+      startedDateTime: new Date(entry.startedAt).toISOString(),
+      duration: entry.duration,
+      requestHeaders: redactHeaders(requestHeaders, 'request', redactions),
+      responseHeaders: redactHeaders(entry.responseHeaders, 'response', redactions),
+      requestBody: captureBodies ? redactBody(entry.requestBody, requestMimeType, 'request', redactions) : null,
+      requestMimeType,
+      responseBody: captureBodies ? redactBody(entry.responseBody, entry.mimeType, 'response', redactions) : null,
+      error: entry.error,
+      pageUrl: redactUrl(window.location.href, redactionRules, [])
+    };
+    for (const kind of ['request', 'response']) {
+      if (captureBodies && entry[`${kind}BodyTooLarge`]) {
+        noteRedaction(redactions, `${kind} body`, 'body too large to check for sensitive fields');
+      }
+    }
+    if (redactions.length) networkData.redactions = redactions;
+    enqueue('network', networkData);
+  }
+
+  // --- Recorder Toolbar ---
+
+  /**
+   * Checks whether an event comes from the recorder toolbar, whose own clicks, focus
+   * changes and key presses are never recorded. Events from its closed shadow root are
+   * retargeted to the host element, which stays in their composed path.
+   * @param {Event} e The event.
+   * @returns {boolean} True if the event comes from the toolbar.
+   */
+  function isToolbarEvent(e) {
+    return !!toolbarHost && e.composedPath().includes(toolbarHost);
+  }
+
+  /**
+   * Sends a control message for the recording to the background script.
+   * @param {string} action The message action, e.g. 'stopRecording'.
+   */
+  function sendToolbarCommand(action) {
+    chrome.runtime.sendMessage({ action }, response => {
+      if (chrome.runtime.lastError || (response && !response.success)) {
+        console.error(`Error running toolbar command ${action}: ${chrome.runtime.lastError?.message || response?.error}`);
+      }
+    });
+  }
+
+  /**
+   * Runs a toolbar button's command. Pending typing is saved first, so that markers,
+   * undo and stop apply after everything typed so far.
+   * @param {string} command One of 'pause', 'stop', 'assert', 'marker' or 'undo'.
+   */
+  function handleToolbarCommand(command) {
+    switch (command) {
+      case 'pause':
+        flushInputEvents();
+        flushScrolls();
+        sendToolbarCommand(isPaused ? 'resumeRecording' : 'pauseRecording');
+        break;
+      case 'stop':
+        flushInputEvents();
+        flushScrolls();
+        flushAttributeBuffer();
+        flushOutbox();
+        sendToolbarCommand('stopRecording');
+        break;
+      case 'assert':
+        chrome.storage.local.set({ assertMode: !assertMode });
+        break;
+      case 'marker':
+        toolbarElements.markerForm.hidden = !toolbarElements.markerForm.hidden;
+        if (!toolbarElements.markerForm.hidden) toolbarElements.markerInput.focus();
+        break;
+      case 'undo':
+        // The undo request travels through the outbox, behind the steps recorded before it
+        flushInputEvents();
+        flushScrolls();
+        flushAttributeBuffer();
+        enqueue('undo', null);
+        flushOutbox();
+        break;
+    }
+  }
+
+  /**
+   * Records a 'marker' step with the label entered in the toolbar.
+   * @param {SubmitEvent} e The submit event of the marker form.
+   */
+  function handleMarkerSubmit(e) {
+    e.preventDefault();
+    const label = toolbarElements.markerInput.value.trim();
+    if (!label || !isCapturing()) return;
+    flushInputEvents();
+    saveAction({
+      type: 'marker',
+      label,
+      relativeTime: startTime ? Date.now() - startTime : 0,
+      url: window.location.href
+    });
+    toolbarElements.markerInput.value = '';
+    toolbarElements.markerForm.hidden = true;
+  }
+
+  /**
+   * Moves the toolbar, keeping it inside the viewport.
+   * @param {number} left The distance from the left edge of the viewport, in pixels.
+   * @param {number} top The distance from the top edge of the viewport, in pixels.
+   */
+  function moveToolbar(left, top) {
+    const { width, height } = toolbarHost.getBoundingClientRect();
+    toolbarHost.style.left = `${Math.max(0, Math.min(left, window.innerWidth - width))}px`;
+    toolbarHost.style.top = `${Math.max(0, Math.min(top, window.innerHeight - height))}px`;
+    toolbarHost.style.right = 'auto';
+    toolbarHost.style.bottom = 'auto';
+  }
+
+  /**
+   * Starts dragging the toolbar by its grip. The position is remembered for other pages.
+   * @param {PointerEvent} e The pointerdown event on the grip.
+   */
+  function handleToolbarDrag(e) {
+    e.preventDefault();
+    const grip = e.currentTarget;
+    const rect = toolbarHost.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+    const move = (event) => moveToolbar(event.clientX - offsetX, event.clientY - offsetY);
+    grip.setPointerCapture(e.pointerId);
+    grip.addEventListener('pointermove', move);
+    grip.addEventListener('pointerup', () => {
+      grip.removeEventListener('pointermove', move);
+      const { left, top } = toolbarHost.getBoundingClientRect();
+      chrome.storage.local.set({ toolbarPosition: { left, top } });
+    }, { once: true });
+  }
+
+  /**
+   * Creates a toolbar button.
+   * @param {string} label The button text.
+   * @param {string} command The command it runs.
+   * @returns {HTMLButtonElement} The button.
+   */
+  function createToolbarButton(label, command) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => handleToolbarCommand(command));
+    return button;
+  }
+
+  /**
+   * Injects the toolbar into the top frame, isolated from the page's styles and scripts
+   * in a closed shadow root. Its styles use a constructed stylesheet, which the page's
+   * Content Security Policy does not restrict.
+   * @returns {Promise<void>}
+   */
+  async function showToolbar() {
+    if (toolbarHost || window !== window.top || !document.documentElement) return;
+    toolbarHost = document.createElement(TOOLBAR_TAG);
+    toolbarHost.style.cssText = 'all: initial; position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;';
+    const root = toolbarHost.attachShadow({ mode: 'closed' });
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(TOOLBAR_STYLE);
+    root.adoptedStyleSheets = [sheet];
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Record Steps');
+    const grip = document.createElement('span');
+    grip.className = 'grip';
+    grip.title = 'Drag to move';
+    grip.textContent = '\u2807';
+    grip.addEventListener('pointerdown', handleToolbarDrag);
+    const status = document.createElement('span');
+    status.className = 'status';
+    const counter = document.createElement('span');
+    counter.className = 'counter';
+    const pauseButton = createToolbarButton('Pause', 'pause');
+    const assertButton = createToolbarButton('Assert', 'assert');
+    const markerForm = document.createElement('form');
+    markerForm.hidden = true;
+    const markerInput = document.createElement('input');
+    markerInput.placeholder = 'Marker label';
+    markerInput.setAttribute('aria-label', 'Marker label');
+    const addMarkerButton = document.createElement('button');
+    addMarkerButton.textContent = 'Add';
+    markerForm.append(markerInput, addMarkerButton);
+    markerForm.addEventListener('submit', handleMarkerSubmit);
+    bar.append(grip, status, counter, pauseButton, createToolbarButton('Stop', 'stop'), assertButton,
+      createToolbarButton('Marker', 'marker'), createToolbarButton('Undo', 'undo'), markerForm);
+    root.appendChild(bar);
+    // Buttons do not take focus, so the field being typed into keeps it and no blur is recorded
+    root.addEventListener('mousedown', (e) => {
+      if (e.target !== markerInput) e.preventDefault();
+    });
+
+    toolbarElements = { bar, status, counter, pauseButton, assertButton, markerForm, markerInput };
+    document.documentElement.appendChild(toolbarHost);
+
+    try {
+      const result = await chrome.storage.local.get(['activeSessionId', 'toolbarPosition']);
+      activeSessionId = result.activeSessionId || null;
+      const stepsKey = `steps:${activeSessionId}`;
+      const { [stepsKey]: index } = await chrome.storage.local.get(stepsKey);
+      toolbarStepCount = index ? index.stepCount : 0;
+      if (toolbarHost && result.toolbarPosition) moveToolbar(result.toolbarPosition.left, result.toolbarPosition.top);
+    } catch (e) {
+      console.error(`Error loading toolbar state: ${e.message}`);
+    }
+    updateToolbar();
+  }
+
+  /**
+   * Removes the toolbar from the page.
+   */
+  function removeToolbar() {
+    if (!toolbarHost) return;
+    toolbarHost.remove();
+    toolbarHost = null;
+    toolbarElements = null;
+  }
+
+  /**
+   * Shows the toolbar while recording, hides it otherwise, and updates its state:
+   * the step counter, the pause button and whether assertion mode is on.
+   */
+  function updateToolbar() {
+    if (!isRecording) {
+      removeToolbar();
+      return;
+    }
+    if (!toolbarHost) {
+      showToolbar();
+      return;
+    }
+    const { bar, status, counter, pauseButton, assertButton } = toolbarElements;
+    bar.classList.toggle('paused', isPaused);
+    status.textContent = isPaused ? 'Paused' : 'REC';
+    counter.textContent = `${toolbarStepCount} step${toolbarStepCount === 1 ? '' : 's'}`;
+    pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+    assertButton.setAttribute('aria-pressed', String(assertMode));
+  }
+
+  // --- Page Lifecycle ---
+
+  /**
+   * Saves everything still buffered when the page is hidden or unloaded, such as the keys
+   * typed just before a form submit navigates away, and sends the outbox immediately.
+   */
+  function handlePageHide() {
+    flushInputEvents();
+    flushScrolls();
+    flushAttributeBuffer();
+    flushOutboxNow();
+  }
+
+  /**
+   * Handles visibility changes, saving buffered actions and forgetting a pointer press
+   * when the page is hidden.
+   * Hidden pages may be discarded without a pagehide event.
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState !== 'hidden') return;
+    releaseScrollPointer();
+    handlePageHide();
+  }
+
+  /**
+   * Resends the outbox when a page is restored from the back/forward cache, in case a
+   * batch sent while it was being hidden did not arrive.
+   * @param {PageTransitionEvent} e The pageshow event.
+   */
+  function handlePageShow(e) {
+    if (e.persisted) flushOutbox();
+  }
+
+  document.addEventListener(NETWORK_ENTRY_EVENT, handleNetworkEntry);
+  document.addEventListener(NETWORK_READY_EVENT, sendNetworkConfig);
+  sendNetworkConfig();
+
+  document.addEventListener('mousedown', handleMouseDown, true);
   document.addEventListener('click', handleClick, true);
   document.addEventListener('focus', handleFocus, true);
   document.addEventListener('blur', handleBlur, true);
   document.addEventListener('input', handleInput, true);
   document.addEventListener('keydown', handleKeydown, true);
   document.addEventListener('paste', handlePaste, true);
+  document.addEventListener('change', handleChange, true);
+  document.addEventListener('submit', handleSubmit, true);
+  document.addEventListener('dblclick', handleDoubleClick, true);
+  document.addEventListener('contextmenu', handleContextMenu, true);
+  document.addEventListener('dragstart', handleDragStart, true);
+  document.addEventListener('drop', handleDrop, true);
+  document.addEventListener('dragend', handleDragEnd, true);
+  document.addEventListener('pointerdown', handlePointerDown, true);
+  document.addEventListener('pointermove', handlePointerMove, true);
+  document.addEventListener('pointerup', handlePointerUp, true);
+  document.addEventListener('pointercancel', handlePointerCancel, true);
+  for (const type of ['wheel', 'touchmove', 'keydown', 'pointerdown', 'pointerup', 'pointercancel', 'focusin']) {
+    document.addEventListener(type, handleScrollIntent, { capture: true, passive: true });
+  }
+  document.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+  window.addEventListener('blur', releaseScrollPointer);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('pagehide', handlePageHide);
+  window.addEventListener('pageshow', handlePageShow);
 
   // Initialize dynamic listeners state
   updateDynamicListeners();
 
   /**
    * Listens for changes in chrome.storage to keep the content script's state
-   * (isRecording, startTime) in sync with the rest of the extension.
+   * (isRecording, isPaused, startTime) in sync with the rest of the extension.
+   * Pausing saves the typing, scrolls and attribute changes captured before the pause.
    * @param {object} changes Object describing the changes.
    * @param {string} namespace The storage area ('local' or 'sync') that changed.
    */
@@ -624,27 +2032,98 @@
       if (changes.isRecording) {
         isRecording = !!changes.isRecording.newValue;
         shouldUpdate = true;
+        // Stopping from the toolbar or a shortcut does not blur the field being typed into
+        if (!isRecording) {
+          flushInputEvents();
+          flushScrolls();
+          flushAttributeBuffer();
+        }
       }
 
       if (changes.startTime) startTime = changes.startTime.newValue || null;
 
+      if (changes.isPaused) {
+        isPaused = !!changes.isPaused.newValue;
+        shouldUpdate = true;
+        if (isPaused) {
+          flushInputEvents();
+          flushScrolls();
+          flushAttributeBuffer();
+        } else if (hasPendingPageLoad && isRecording) {
+          recordPageLoad();
+        }
+      }
+
+      if (changes.assertMode) assertMode = !!changes.assertMode.newValue;
+
+      if (changes.networkCapture) networkCapture = changes.networkCapture.newValue || NETWORK_CAPTURE.REQUESTS;
+
+      if (changes.redactionRules) redactionRules = compileRedactionRules(changes.redactionRules.newValue, location.hostname);
+
+      if (changes.isRecording || changes.isPaused || changes.networkCapture) sendNetworkConfig();
+
       if (changes.loggingLevel) {
         loggingLevel = parseLoggingLevel(changes.loggingLevel.newValue);
         shouldUpdate = true;
       }
 
+      if (changes.activeSessionId) activeSessionId = changes.activeSessionId.newValue || null;
+
+      if (activeSessionId && changes[`steps:${activeSessionId}`]) {
+        const index = changes[`steps:${activeSessionId}`].newValue;
+        toolbarStepCount = index ? index.stepCount : 0;
+      }
+
       if (shouldUpdate) {
         updateDynamicListeners();
       }
+      updateToolbar();
     }
   });
 
   /**
-   * On initial script injection, if recording is already active,
-   * log a 'pageLoad' event to mark the entry point.
+   * Listens for recorder commands sent by the background script for keyboard shortcuts,
+   * and runs them as if the toolbar button had been clicked. Undo does not need the
+   * toolbar; the other commands fail while it is not shown.
+   * @param {object} message The message.
+   * @param {string} message.action 'toolbarCommand'.
+   * @param {string} message.command The toolbar command, e.g. 'marker' or 'undo'.
+   * @param {chrome.runtime.MessageSender} sender The sender.
+   * @param {function(object): void} sendResponse Reports whether the command ran.
+   */
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'toolbarCommand') return;
+    if (!toolbarElements && message.command !== 'undo') {
+      sendResponse({ success: false, error: 'The recorder toolbar is not shown on this page.' });
+      return;
+    }
+    handleToolbarCommand(message.command);
+    sendResponse({ success: true });
+  });
+
+  /**
+   * Logs a 'pageLoad' event to mark this document as an entry point.
+   * The top frame also records its viewport so exports can restore the window size.
+   */
+  function recordPageLoad() {
+    hasPendingPageLoad = false;
+    const pageLoadData = { type: 'pageLoad', relativeTime: startTime ? Date.now() - startTime : 0, url: window.location.href, title: document.title };
+    if (window === window.top) {
+      pageLoadData.viewport = { width: window.innerWidth, height: window.innerHeight, deviceScaleFactor: window.devicePixelRatio };
+    }
+    saveAction(pageLoadData);
+  }
+
+  /**
+   * On initial script injection, if recording is already active, log the page load.
+   * A page loaded during a pause is logged when the recording resumes, so that the
+   * steps recorded afterwards start from the page they were recorded on.
    */
-  if (isRecording) {
-    saveAction({ type: 'pageLoad', relativeTime: startTime ? Date.now() - startTime : 0, url: window.location.href, title: document.title });
+  if (isCapturing()) {
+    recordPageLoad();
+  } else if (isRecording) {
+    hasPendingPageLoad = true;
   }
+  updateToolbar();
 
 })();
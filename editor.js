@@ -0,0 +1,642 @@
+/**
+ * @fileoverview Script for the step editor page of the Record Steps extension.
+ * Lists the steps of a session in a table and lets them be deleted, reordered,
+ * merged, edited and supplemented with manual steps before saving them back to
+ * chrome.storage. Edits are made on a copy and only stored on "Save". Recordings are
+ * imported here too, as the popup closes when a file dialog opens.
+ * Opened from the popup; the session to edit can be passed as the 'session' URL parameter,
+ * and the 'import' parameter focuses the import button.
+ */
+
+/**
+ * Step types that can be merged: input sequences typed into the same element and
+ * batches of attribute changes.
+ * @type {string[]}
+ */
+const MERGEABLE_STEP_TYPES = ['inputSequence', 'batchAttributeChange'];
+
+/**
+ * The property holding the editable value of each step type, shown in the Value column.
+ * 'assert' steps are handled separately, as their value depends on the asserted property.
+ * @type {Object<string, string>}
+ */
+const STEP_VALUE_FIELDS = { inputSequence: 'finalValue', keyDown: 'key', paste: 'pastedText', pageLoad: 'url', marker: 'label' };
+
+/**
+ * Step types that need a selector when they are inserted manually.
+ * @type {string[]}
+ */
+const ELEMENT_STEP_TYPES = ['click', 'hover', 'inputSequence', 'assert'];
+
+/**
+ * The id of the session being edited, its steps as currently edited, and the selected steps.
+ * @type {string|null}
+ */
+let sessionId = null;
+let steps = [];
+let selectedSteps = new Set();
+
+/**
+ * The screenshot links of the session being edited, keyed by step id.
+ * @type {Object<string, {imageId: string, box: ?object}>}
+ */
+let screenshots = {};
+
+/**
+ * The sessions, keyed by id, and whether recording is active, mirrored from chrome.storage.
+ * @type {Object<string, object>}
+ */
+let sessionsById = {};
+let activeSessionId = null;
+let isRecording = false;
+
+/**
+ * Whether the steps were changed since they were loaded or saved, and whether a save is running.
+ * @type {boolean}
+ */
+let isDirty = false;
+let isSaving = false;
+
+// DOM element references
+const sessionSelect = document.getElementById('sessionSelect');
+const saveBtn = document.getElementById('saveBtn');
+const revertBtn = document.getElementById('revertBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const status = document.getElementById('status');
+const recordingNotice = document.getElementById('recordingNotice');
+const moveUpBtn = document.getElementById('moveUpBtn');
+const moveDownBtn = document.getElementById('moveDownBtn');
+const mergeBtn = document.getElementById('mergeBtn');
+const deleteBtn = document.getElementById('deleteBtn');
+const insertType = document.getElementById('insertType');
+const insertSelector = document.getElementById('insertSelector');
+const insertValue = document.getElementById('insertValue');
+const insertBtn = document.getElementById('insertBtn');
+const selectAll = document.getElementById('selectAll');
+const stepsBody = document.getElementById('steps');
+const emptyMessage = document.getElementById('emptyMessage');
+const screenshotDialog = document.getElementById('screenshotDialog');
+const screenshotTitle = document.getElementById('screenshotTitle');
+const screenshotImage = document.getElementById('screenshotImage');
+const screenshotHighlight = document.getElementById('screenshotHighlight');
+const closeScreenshotBtn = document.getElementById('closeScreenshotBtn');
+
+/**
+ * Loads the sessions and the steps of the requested or active session when the page opens.
+ * @listens DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const { isRecording: recording } = await chrome.storage.local.get('isRecording');
+    isRecording = !!recording;
+    await refreshSessions();
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get('session');
+    await loadSteps(sessionsById[requested] ? requested : activeSessionId);
+    if (params.has('import')) importBtn.focus();
+  } catch (e) {
+    console.error('Error loading the step editor:', e);
+    status.textContent = `Could not load the recording: ${e.message}`;
+  }
+});
+
+/**
+ * Loads the sessions into the session select, oldest first.
+ * @returns {Promise<void>}
+ */
+async function refreshSessions() {
+  const result = await loadSessions();
+  sessionsById = result.sessions;
+  activeSessionId = result.activeSessionId;
+  const ordered = Object.values(sessionsById).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  sessionSelect.replaceChildren(...ordered.map(session => {
+    const option = document.createElement('option');
+    option.value = session.id;
+    option.textContent = session.name;
+    return option;
+  }));
+  if (sessionId) sessionSelect.value = sessionId;
+}
+
+/**
+ * Loads a session's steps into the editor, discarding unsaved edits.
+ * @param {string} id The session's id.
+ * @returns {Promise<void>}
+ */
+async function loadSteps(id) {
+  sessionId = id;
+  sessionSelect.value = id;
+  steps = await readSessionSteps(id);
+  screenshots = await readScreenshots(id);
+  selectedSteps = new Set();
+  isDirty = false;
+  render();
+}
+
+/**
+ * Marks the steps as changed and renders them again.
+ */
+function markDirty() {
+  isDirty = true;
+  render();
+}
+
+/**
+ * Summarizes a recorded element for the Element column, e.g. 'button "Sign in"'.
+ * @param {object|null} element The recorded element info.
+ * @returns {string} The summary, or an empty string for steps without an element.
+ */
+function describeElement(element) {
+  if (!element) return '';
+  const name = element.ariaLabel || element.textContent || element.alt || element.title || '';
+  const tag = element.tagName ? element.tagName.toLowerCase() : 'element';
+  return name ? `${tag} "${name.replace(/\s+/g, ' ').substring(0, 40)}"` : tag;
+}
+
+/**
+ * Returns the editable value of a step as text.
+ * @param {object} step The recorded step.
+ * @returns {string|null} The value, or null if the step type has no editable value.
+ */
+function getStepValue(step) {
+  if (step.type === 'assert') {
+    const value = (step.assertions || {})[step.assertion || 'visible'];
+    return value === null || value === undefined ? '' : String(value);
+  }
+  const field = STEP_VALUE_FIELDS[step.type];
+  return field ? (step[field] ?? '') : null;
+}
+
+/**
+ * Changes the editable value of a step. Boolean assertions, such as 'checked', accept
+ * 'true' and 'false'.
+ * @param {object} step The recorded step.
+ * @param {string} value The new value.
+ */
+function setStepValue(step, value) {
+  if (step.type === 'assert') {
+    const name = step.assertion || 'visible';
+    const isBoolean = ['checked', 'disabled', 'visible'].includes(name);
+    step.assertions = { ...step.assertions, [name]: isBoolean ? value.trim() === 'true' : value };
+  } else {
+    step[STEP_VALUE_FIELDS[step.type]] = value;
+  }
+}
+
+/**
+ * Changes the selector of a step's element. The ranked locators recorded with the
+ * element are removed, as exports would otherwise keep preferring them.
+ * @param {object} step The recorded step.
+ * @param {string} selector The new CSS selector.
+ */
+function setStepSelector(step, selector) {
+  step.element = { ...step.element, selector, locators: [] };
+}
+
+/**
+ * Renders the steps table and updates the state of the controls.
+ */
+function render() {
+  stepsBody.replaceChildren(...steps.map((step, index) => {
+    const row = document.createElement('tr');
+    row.className = selectedSteps.has(step) ? 'selected' : '';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedSteps.has(step);
+    checkbox.setAttribute('aria-label', `Select step ${index + 1}`);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selectedSteps.add(step);
+      else selectedSteps.delete(step);
+      render();
+    });
+
+    const selectorCell = document.createElement('td');
+    if (step.element) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = step.element.selector || '';
+      input.setAttribute('aria-label', `Selector of step ${index + 1}`);
+      input.addEventListener('change', () => {
+        setStepSelector(step, input.value.trim());
+        // Only the controls are updated, so focus stays in the table while editing
+        isDirty = true;
+        updateControls();
+      });
+      selectorCell.appendChild(input);
+    }
+
+    const valueCell = document.createElement('td');
+    const value = getStepValue(step);
+    if (value !== null) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = value;
+      input.setAttribute('aria-label', `Value of step ${index + 1}`);
+      input.addEventListener('change', () => {
+        setStepValue(step, input.value);
+        isDirty = true;
+        updateControls();
+      });
+      valueCell.appendChild(input);
+    } else if (step.type === 'batchAttributeChange') {
+      valueCell.textContent = `${step.changes.length} attribute changes`;
+    }
+
+    const screenshotCell = document.createElement('td');
+    if (step.id && screenshots[step.id]) {
+      const button = document.createElement('button');
+      button.textContent = 'View';
+      button.setAttribute('aria-label', `View the screenshot of step ${index + 1}`);
+      button.addEventListener('click', () => {
+        showScreenshot(step, index).catch(e => console.error('Error loading screenshot:', e));
+      });
+      screenshotCell.appendChild(button);
+    }
+
+    const cells = [
+      checkbox,
+      String(index + 1),
+      step.type === 'assert' ? `assert (${step.assertion || 'visible'})` : step.type,
+      describeElement(step.element),
+      selectorCell,
+      valueCell,
+      `${((step.relativeTime || 0) / 1000).toFixed(1)}s`,
+      step.url || '',
+      screenshotCell
+    ];
+    row.replaceChildren(...cells.map((content, i) => {
+      if (content instanceof HTMLTableCellElement) return content;
+      const cell = document.createElement('td');
+      if (typeof content === 'string') cell.textContent = content;
+      else cell.appendChild(content);
+      if (i === 6) cell.className = 'time';
+      if (i === 7) {
+        cell.className = 'url';
+        cell.title = content;
+      }
+      return cell;
+    }));
+    return row;
+  }));
+
+  emptyMessage.hidden = steps.length > 0;
+  selectAll.checked = steps.length > 0 && selectedSteps.size === steps.length;
+  updateControls();
+}
+
+/**
+ * Shows the screenshot taken for a step, with the step's element highlighted.
+ * @param {object} step The step.
+ * @param {number} index The step's position, for the title.
+ * @returns {Promise<void>}
+ */
+async function showScreenshot(step, index) {
+  const { imageId, box } = screenshots[step.id];
+  const image = await readScreenshotImage(sessionId, imageId);
+  if (!image) {
+    alert('The screenshot is no longer stored.');
+    return;
+  }
+  screenshotTitle.textContent = `Step ${index + 1}: ${step.type} ${describeElement(step.element)}`.trim();
+  screenshotImage.src = image;
+  screenshotHighlight.hidden = !box;
+  if (box) {
+    // The box is stored as fractions of the image, so it scales with it
+    Object.assign(screenshotHighlight.style, {
+      left: `${box.x * 100}%`,
+      top: `${box.y * 100}%`,
+      width: `${box.width * 100}%`,
+      height: `${box.height * 100}%`
+    });
+  }
+  screenshotDialog.showModal();
+}
+
+/**
+ * Closes the screenshot dialog.
+ * @listens click
+ */
+closeScreenshotBtn.addEventListener('click', () => screenshotDialog.close());
+
+/**
+ * Enables the controls that apply to the current selection, and disables editing
+ * while the session is being recorded into.
+ */
+function updateControls() {
+  const locked = isRecording && sessionId === activeSessionId;
+  recordingNotice.hidden = !locked;
+  const hasSelection = selectedSteps.size > 0;
+  moveUpBtn.disabled = locked || !hasSelection;
+  moveDownBtn.disabled = locked || !hasSelection;
+  mergeBtn.disabled = locked || selectedSteps.size < 2;
+  deleteBtn.disabled = locked || !hasSelection;
+  insertBtn.disabled = locked;
+  saveBtn.disabled = locked || !isDirty || isSaving;
+  revertBtn.disabled = !isDirty || isSaving;
+  // An import becomes the active session, which must not change while recording
+  importBtn.disabled = isRecording || isSaving;
+  sessionSelect.disabled = isSaving;
+  status.className = isDirty ? 'dirty' : '';
+  status.textContent = isDirty ? 'Unsaved changes' : `${steps.length} steps`;
+}
+
+/**
+ * Returns the positions of the selected steps, in ascending order.
+ * @returns {number[]} The positions.
+ */
+function getSelectedIndexes() {
+  return steps.map((step, index) => (selectedSteps.has(step) ? index : -1)).filter(index => index !== -1);
+}
+
+/**
+ * Swaps two neighbouring steps. Their times are swapped too, so the timeline stays in
+ * order for replays and exports that rely on the gaps between steps.
+ * @param {number} index The position of the first step.
+ */
+function swapSteps(index) {
+  const first = steps[index];
+  const second = steps[index + 1];
+  [first.relativeTime, second.relativeTime] = [second.relativeTime, first.relativeTime];
+  steps[index] = second;
+  steps[index + 1] = first;
+}
+
+/**
+ * Moves the selected steps one position up or down, keeping their order among each other.
+ * @param {number} direction -1 to move up, 1 to move down.
+ */
+function moveSelected(direction) {
+  const indexes = getSelectedIndexes();
+  if (direction > 0) indexes.reverse();
+  for (const index of indexes) {
+    const target = index + direction;
+    if (target < 0 || target >= steps.length || selectedSteps.has(steps[target])) continue;
+    swapSteps(Math.min(index, target));
+  }
+  markDirty();
+}
+
+/**
+ * Merges adjacent steps into one: input sequences on the same element keep all their
+ * events and the last value, attribute change batches keep all their changes.
+ * @param {Array<object>} group The steps to merge, in order.
+ * @returns {object} The merged step, which takes the place and time of the first.
+ * @throws {Error} If the steps cannot be merged.
+ */
+function mergeSteps(group) {
+  const [first] = group;
+  if (!MERGEABLE_STEP_TYPES.includes(first.type) || group.some(step => step.type !== first.type)) {
+    throw new Error('Only input sequences or attribute changes of the same type can be merged.');
+  }
+  if (first.type === 'inputSequence') {
+    if (group.some(step => step.element?.selector !== first.element?.selector)) {
+      throw new Error('Input sequences can only be merged when they target the same element.');
+    }
+    return { ...first, events: group.flatMap(step => step.events || []), finalValue: group[group.length - 1].finalValue };
+  }
+  return { ...first, changes: group.flatMap(step => step.changes) };
+}
+
+/**
+ * Creates a step entered in the editor. It belongs to the same frame and tab as the
+ * step before it and is timed halfway between its neighbours.
+ * @param {string} type The step type, one of the insert form's options.
+ * @param {string} selector The CSS selector of the target element, if any.
+ * @param {string} value The typed value, key, expected text or URL.
+ * @param {object|undefined} previous The step it is inserted after.
+ * @param {object|undefined} next The step it is inserted before.
+ * @returns {object} The step.
+ * @throws {Error} If a required field is empty.
+ */
+function createManualStep(type, selector, value, previous, next) {
+  if (ELEMENT_STEP_TYPES.includes(type) && !selector) throw new Error('Enter a CSS selector for the new step.');
+  if ((type === 'keyDown' || type === 'pageLoad') && !value) throw new Error(type === 'keyDown' ? 'Enter the key to press, e.g. Enter.' : 'Enter the URL to load.');
+  if (type === 'marker' && !value.trim()) throw new Error('Enter a label for the marker.');
+
+  let relativeTime = 0;
+  if (previous && next) relativeTime = Math.round((previous.relativeTime + next.relativeTime) / 2);
+  else if (previous) relativeTime = previous.relativeTime + 1000;
+  else if (next) relativeTime = Math.max(next.relativeTime - 1000, 0);
+
+  const element = selector ? { selector, shadowDOMPath: [], locators: [], tagName: null } : null;
+  const step = {
+    id: crypto.randomUUID(),
+    type,
+    relativeTime,
+    url: previous ? previous.url : null,
+    frameId: previous && type !== 'pageLoad' ? previous.frameId : 0,
+    tabId: previous ? previous.tabId : null,
+    frameUrl: previous && type !== 'pageLoad' ? previous.frameUrl : null
+  };
+  switch (type) {
+    case 'click':
+    case 'hover':
+      return { ...step, element };
+    case 'inputSequence':
+      return { ...step, element, events: [], finalValue: value };
+    case 'keyDown':
+      return { ...step, element, key: value, code: null, ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+    case 'assert':
+      return value
+        ? { ...step, element, assertions: { text: value }, assertion: 'text' }
+        : { ...step, element, assertions: { visible: true }, assertion: 'visible' };
+    case 'pageLoad':
+      return { ...step, url: value, title: '' };
+    case 'marker':
+      return { ...step, label: value.trim() };
+    default:
+      throw new Error(`Unknown step type: ${type}`);
+  }
+}
+
+/**
+ * Stores the edited steps. Network requests linked to deleted steps are unlinked.
+ * @returns {Promise<void>}
+ */
+async function save() {
+  isSaving = true;
+  updateControls();
+  try {
+    const stepIds = new Set(steps.map(step => step.id).filter(Boolean));
+    await writeSessionSteps(sessionId, steps);
+    await updateNetworkEntries(sessionId, entry => (entry.stepId && !stepIds.has(entry.stepId) ? { ...entry, stepId: null, stepTime: null } : entry));
+    // Screenshots of deleted steps are removed with them
+    await removeScreenshots(sessionId, Object.keys(screenshots).filter(id => !stepIds.has(id)));
+    screenshots = await readScreenshots(sessionId);
+    await updateSession(sessionId, {});
+    isDirty = false;
+  } catch (e) {
+    console.error('Error saving steps:', e);
+    alert(`Could not save the steps: ${e.message}`);
+  } finally {
+    isSaving = false;
+    render();
+  }
+}
+
+/**
+ * Switches to another session, after confirming that unsaved edits may be discarded.
+ * @listens change
+ */
+sessionSelect.addEventListener('change', () => {
+  if (isDirty && !confirm('Discard the unsaved changes?')) {
+    sessionSelect.value = sessionId;
+    return;
+  }
+  loadSteps(sessionSelect.value).catch(e => console.error('Error loading steps:', e));
+});
+
+/**
+ * Selects or deselects all steps.
+ * @listens change
+ */
+selectAll.addEventListener('change', () => {
+  selectedSteps = selectAll.checked ? new Set(steps) : new Set();
+  render();
+});
+
+moveUpBtn.addEventListener('click', () => moveSelected(-1));
+moveDownBtn.addEventListener('click', () => moveSelected(1));
+
+/**
+ * Merges the selected steps, which have to be adjacent.
+ * @listens click
+ */
+mergeBtn.addEventListener('click', () => {
+  const indexes = getSelectedIndexes();
+  if (indexes[indexes.length - 1] - indexes[0] !== indexes.length - 1) {
+    alert('Select adjacent steps to merge.');
+    return;
+  }
+  try {
+    const merged = mergeSteps(indexes.map(index => steps[index]));
+    steps.splice(indexes[0], indexes.length, merged);
+    selectedSteps = new Set([merged]);
+    markDirty();
+  } catch (e) {
+    alert(e.message);
+  }
+});
+
+/**
+ * Deletes the selected steps.
+ * @listens click
+ */
+deleteBtn.addEventListener('click', () => {
+  steps = steps.filter(step => !selectedSteps.has(step));
+  selectedSteps = new Set();
+  markDirty();
+});
+
+/**
+ * Inserts a manual step after the last selected step, or at the end, and selects it.
+ * @listens click
+ */
+insertBtn.addEventListener('click', () => {
+  const indexes = getSelectedIndexes();
+  const position = indexes.length > 0 ? indexes[indexes.length - 1] + 1 : steps.length;
+  try {
+    const step = createManualStep(insertType.value, insertSelector.value.trim(), insertValue.value, steps[position - 1], steps[position]);
+    steps.splice(position, 0, step);
+    selectedSteps = new Set([step]);
+    insertSelector.value = '';
+    insertValue.value = '';
+    markDirty();
+  } catch (e) {
+    alert(e.message);
+  }
+});
+
+saveBtn.addEventListener('click', save);
+
+/**
+ * Discards the unsaved edits by loading the stored steps again.
+ * @listens click
+ */
+revertBtn.addEventListener('click', () => {
+  loadSteps(sessionId).catch(e => console.error('Error loading steps:', e));
+});
+
+/**
+ * Opens the file picker to import a recording, after confirming that unsaved edits
+ * may be discarded.
+ * @listens click
+ */
+importBtn.addEventListener('click', () => {
+  if (isDirty && !confirm('Discard the unsaved changes?')) return;
+  importFile.click();
+});
+
+/**
+ * Handles the selection of a file to import. The file is converted with
+ * importRecording() and, after confirmation, stored as a new session named after the
+ * file, which is then opened in the editor.
+ * @listens change
+ */
+importFile.addEventListener('change', async () => {
+  const [file] = importFile.files;
+  importFile.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = importRecording(JSON.parse(await file.text()));
+  } catch (e) {
+    console.error('Error importing recording:', e);
+    alert(`Could not import recording: ${e.message}`);
+    return;
+  }
+
+  const skippedNote = imported.skipped > 0 ? ` (${imported.skipped} unsupported steps will be skipped)` : '';
+  if (!confirm(`Import ${imported.clicks.length} actions into a new session${skippedNote}?`)) {
+    return;
+  }
+  const name = file.name.replace(/\.[^.]*$/, '') || getDefaultSessionName(sessionsById);
+  try {
+    const { loggingLevel } = await chrome.storage.local.get('loggingLevel');
+    const session = await saveNewSession(createSessionRecord(name, loggingLevel), imported.clicks, imported.network);
+    await refreshSessions();
+    await loadSteps(session.id);
+  } catch (e) {
+    console.error('Error saving imported recording:', e);
+    alert('Error saving imported recording');
+  }
+});
+
+/**
+ * Warns before the page is closed with unsaved edits.
+ * @listens beforeunload
+ */
+window.addEventListener('beforeunload', (e) => {
+  if (isDirty) e.preventDefault();
+});
+
+/**
+ * Keeps the editor in sync with storage: the session list, the recording state, and
+ * the edited session's steps, which are reloaded when they change elsewhere unless
+ * there are unsaved edits.
+ * @listens chrome.storage.onChanged
+ * @param {object} changes - An object where keys are the names of items that changed.
+ * @param {string} namespace - The name of the storage area that changed.
+ */
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+  if (changes.isRecording) {
+    isRecording = !!changes.isRecording.newValue;
+    updateControls();
+  }
+  if (changes.sessions || changes.activeSessionId) {
+    refreshSessions().then(() => {
+      if (!sessionsById[sessionId]) return loadSteps(activeSessionId);
+      updateControls();
+    }).catch(e => console.error('Error loading sessions:', e));
+  } else if (sessionId && changes[getStepsKey(sessionId)] && !isDirty && !isSaving) {
+    loadSteps(sessionId).catch(e => console.error('Error loading steps:', e));
+  } else if (sessionId && changes[getScreenshotsKey(sessionId)]) {
+    // Screenshots are taken shortly after their steps are recorded
+    screenshots = changes[getScreenshotsKey(sessionId)].newValue || {};
+    if (!isDirty) render();
+  }
+});
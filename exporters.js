@@ -0,0 +1,2888 @@
+/**
+ * @fileoverview Export and import formats for the Record Steps extension.
+ * Converts the recorded actions stored in chrome.storage into downloadable
+ * files, from the raw JSON recording to runnable test scripts, and converts
+ * supported files back into recorded actions.
+ * Exports can first pass through inferWaits(), which adds explicit wait steps.
+ * Loaded by the popup before popup.js; every export format is registered in EXPORT_FORMATS.
+ */
+
+/**
+ * The placeholder content.js stores in place of sensitive values.
+ * @type {string}
+ */
+const REDACTED_VALUE = '[REDACTED]';
+
+/**
+ * Flattens batched attribute changes into individual 'attributeChange' actions
+ * so that every entry in the exported recording describes a single event. Each change
+ * keeps the page, frame and tab of its batch.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {Array<object>} The flattened array of actions.
+ */
+function flattenRecording(clicks) {
+  return clicks.flatMap(action => {
+    if (action.type === 'batchAttributeChange') {
+      return action.changes.map(change => ({
+        type: 'attributeChange',
+        relativeTime: action.relativeTime,
+        element: change.element,
+        attributeName: change.attributeName,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+        url: action.url,
+        frameId: action.frameId,
+        frameUrl: action.frameUrl,
+        tabId: action.tabId
+      }));
+    }
+    return action;
+  });
+}
+
+/**
+ * Quotes a value as a single-quoted JavaScript string literal.
+ * @param {*} value The value to quote.
+ * @returns {string} The escaped string literal.
+ */
+function jsString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  return `'${escaped}'`;
+}
+
+/**
+ * Checks whether an action belongs to the top-level frame of its tab.
+ * Imported or older recordings may not carry a frameId at all.
+ * @param {object} action The recorded action.
+ * @returns {boolean} True if the action was recorded in the top-level frame.
+ */
+function isTopFrame(action) {
+  return !action.frameId;
+}
+
+/**
+ * Builds a CSS selector for the <iframe> that hosts a recorded frame.
+ * The src attribute is matched on its host and path, or on the path alone when
+ * the frame is same-origin with the page, since such frames often use relative URLs.
+ * @param {string} frameUrl The URL of the frame the action was recorded in.
+ * @param {string|null} pageUrl The URL of the top-level page at the time.
+ * @returns {string} A CSS selector for the iframe element.
+ */
+function getFrameSelector(frameUrl, pageUrl) {
+  try {
+    const frame = new URL(frameUrl);
+    const page = pageUrl ? new URL(pageUrl) : null;
+    const match = (page && page.origin === frame.origin) ? frame.pathname : `${frame.host}${frame.pathname}`;
+    return `iframe[src*="${match.replace(/"/g, '\\"')}"]`;
+  } catch (e) {
+    return 'iframe';
+  }
+}
+
+/**
+ * Checks whether a recorded element is the page itself rather than a specific
+ * control, e.g. a key press that was dispatched to the document body.
+ * @param {object|null} element The recorded element info.
+ * @returns {boolean} True if the element represents the whole page.
+ */
+function isPageElement(element) {
+  return !element || !element.selector || element.tagName === 'BODY' || element.tagName === 'HTML';
+}
+
+/**
+ * Checks whether a recorded element is a native form field that accepts a value
+ * directly, as opposed to a contenteditable region.
+ * @param {object|null} element The recorded element info.
+ * @returns {boolean} True for input, textarea and select elements.
+ */
+function isFormField(element) {
+  return !!element && ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+/**
+ * Keys that are replayed on their own when they end an input sequence.
+ * @type {string[]}
+ */
+const TRAILING_KEYS = ['Enter', 'Tab', 'Escape'];
+
+/**
+ * Returns the keys pressed in an input sequence after the last change to its value,
+ * such as the Enter that submits a search field. These are not part of the final
+ * value and have to be replayed separately.
+ * @param {Array<object>} events The events of an 'inputSequence' action.
+ * @returns {string[]} The trailing keys, in the order they were pressed.
+ */
+function getTrailingKeys(events) {
+  const keys = [];
+  for (let i = (events || []).length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.type !== 'keydown') break;
+    if (TRAILING_KEYS.includes(event.key)) keys.unshift(event.key);
+  }
+  return keys;
+}
+
+/**
+ * Picks the best-ranked locator recorded for an element that matched exactly one
+ * element at recording time and uses one of the given strategies.
+ * @param {object} element The recorded element info.
+ * @param {string[]} strategies The locator strategies the target format supports.
+ * @returns {object|null} The locator candidate, or null if none is usable.
+ */
+function pickLocator(element, strategies) {
+  return (element.locators || []).find(candidate => candidate.matches === 1 && strategies.includes(candidate.strategy)) || null;
+}
+
+/**
+ * Creates a tracker that hands out environment variable names for redacted values,
+ * so generated scripts read secrets from the environment instead of the recording.
+ * @returns {{next: function(): string, names: string[]}} The tracker.
+ */
+function createSecretTracker() {
+  const names = [];
+  return {
+    names,
+    next() {
+      const name = `RECORDED_SECRET_${names.length + 1}`;
+      names.push(name);
+      return name;
+    }
+  };
+}
+
+/**
+ * Returns the property an 'assert' action checks and the value it expects.
+ * @param {object} action An 'assert' action.
+ * @returns {{name: string, expected: *}} The asserted property and its expected value.
+ */
+function getAssertion(action) {
+  const name = action.assertion || 'visible';
+  return { name, expected: (action.assertions || {})[name] ?? (name === 'visible' ? true : null) };
+}
+
+/**
+ * Counts what content.js redacted during recording and why, from the redactions noted on
+ * the steps, their elements and the network requests.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @param {Array<object>} [network=[]] The network requests captured alongside them.
+ * @returns {Array<{field: string, reason: string, count: number}>} The redactions, in the
+ *     order they were first recorded.
+ */
+function getRedactionSummary(clicks, network = []) {
+  const summary = new Map();
+  const add = (redactions) => {
+    for (const { field, reason } of redactions || []) {
+      const key = `${field}\n${reason}`;
+      if (!summary.has(key)) summary.set(key, { field, reason, count: 0 });
+      summary.get(key).count++;
+    }
+  };
+  for (const action of clicks) {
+    add(action.redactions);
+    if (action.element) add(action.element.redactions);
+    for (const change of action.changes || []) {
+      if (change.element) add(change.element.redactions);
+    }
+  }
+  for (const entry of network) add(entry.redactions);
+  return [...summary.values()];
+}
+
+/**
+ * Describes one entry of a redaction summary, e.g. 'typed text: keyword "password" in name (2 times)'.
+ * @param {{field: string, reason: string, count: number}} redaction The entry.
+ * @returns {string} The description.
+ */
+function describeRedaction({ field, reason, count }) {
+  return `${field}: ${reason}${count > 1 ? ` (${count} times)` : ''}`;
+}
+
+/**
+ * Formats a redaction summary as comment lines for the header of a generated file.
+ * @param {Array<{field: string, reason: string, count: number}>} summary The summary.
+ * @param {string} prefix The comment prefix, e.g. '//' or '#'.
+ * @returns {string[]} The lines followed by a blank line, or none if nothing was redacted.
+ */
+function getRedactionComments(summary, prefix) {
+  if (summary.length === 0) return [];
+  return [
+    `${prefix} Redacted during recording:`,
+    ...summary.map(redaction => `${prefix}   ${describeRedaction(redaction).replace(/\s+/g, ' ')}`),
+    ''
+  ];
+}
+
+/**
+ * Groups a flattened recording under its 'marker' steps. Each group holds the marker's
+ * fields and the steps recorded after it; steps recorded before the first marker form
+ * a group without a label.
+ * @param {Array<object>} recording The flattened recording.
+ * @returns {Array<{label: string|null, steps: Array<object>}>} The groups, in recording order.
+ */
+function groupRecording(recording) {
+  const groups = [{ label: null, steps: [] }];
+  for (const action of recording) {
+    if (action.type === 'marker') {
+      const { type, ...marker } = action;
+      groups.push({ ...marker, steps: [] });
+    } else {
+      groups[groups.length - 1].steps.push(action);
+    }
+  }
+  return groups[0].steps.length > 0 ? groups : groups.slice(1);
+}
+
+/**
+ * Splits the lines generated by an exporter at the markers it pushed among them as
+ * `{ marker: label }` objects.
+ * @param {Array<string|{marker: string}>} lines The generated lines and markers.
+ * @returns {Array<{label: string|null, lines: string[]}>} The groups of lines; the lines
+ *     before the first marker form a group without a label, which is left out if empty.
+ */
+function groupLines(lines) {
+  const groups = [{ label: null, lines: [] }];
+  for (const line of lines) {
+    if (typeof line === 'string') {
+      groups[groups.length - 1].lines.push(line);
+    } else {
+      groups.push({ label: line.marker, lines: [] });
+    }
+  }
+  return groups[0].lines.length > 0 ? groups : groups.slice(1);
+}
+
+/**
+ * Folds the clicks that are part of a double click into its 'doubleClick' step, as the
+ * browser dispatches both clicks before the dblclick event and exported double clicks
+ * repeat them. Response waits of the folded clicks move after the double click.
+ * The JSON export keeps the clicks, so replays dispatch the same events as the page saw.
+ * @param {Array<object>} recording The flattened recording.
+ * @returns {Array<object>} The recording without the folded clicks.
+ */
+function foldDoubleClicks(recording) {
+  const folded = new Map();
+  recording.forEach((action, index) => {
+    if (action.type !== 'doubleClick') return;
+    const key = getWaitElementKey(action.element, action.frameId);
+    let count = 0;
+    for (let i = index - 1; i >= 0 && count < 2; i--) {
+      const candidate = recording[i];
+      if (['focus', 'attributeChange', 'waitFor'].includes(candidate.type)) continue;
+      if (candidate.type !== 'click' || candidate.tabId !== action.tabId || getWaitElementKey(candidate.element, candidate.frameId) !== key) break;
+      folded.set(candidate, action);
+      count++;
+    }
+  });
+  if (folded.size === 0) return recording;
+  const foldedIds = new Map([...folded].filter(([click]) => click.id).map(([click, doubleClick]) => [click.id, doubleClick]));
+  const movedWaits = new Map();
+  const result = [];
+  for (const action of recording) {
+    if (folded.has(action)) continue;
+    if (action.condition === 'response' && foldedIds.has(action.stepId)) {
+      const doubleClick = foldedIds.get(action.stepId);
+      if (!movedWaits.has(doubleClick)) movedWaits.set(doubleClick, []);
+      movedWaits.get(doubleClick).push({ ...action, stepId: doubleClick.id });
+      continue;
+    }
+    result.push(action, ...(movedWaits.get(action) || []));
+  }
+  return result;
+}
+
+/**
+ * Step types that can navigate the page, e.g. a click on a link or Enter in a search
+ * field. A page load after one of them is awaited rather than navigated to.
+ * @type {string[]}
+ */
+const NAVIGATION_TRIGGER_TYPES = ['click', 'keyDown', 'inputSequence', 'submit', 'select', 'check', 'doubleClick'];
+
+/**
+ * Step types that submit a form implicitly, i.e. the submit button click or the Enter
+ * key. The 'submit' step recorded after them needs no action of its own.
+ * @type {string[]}
+ */
+const SUBMIT_TRIGGER_TYPES = ['click', 'keyDown', 'inputSequence'];
+
+/**
+ * Step types that can open a new tab, e.g. a click on a link with target="_blank".
+ * @type {string[]}
+ */
+const NEW_TAB_TRIGGER_TYPES = ['click', 'keyDown', 'inputSequence', 'paste', 'doubleClick'];
+
+/**
+ * Checks whether a 'submit' step only records the submission of the step before it,
+ * e.g. a click on the submit button, rather than a form submitted by script.
+ * @param {object|null} previous The step before the 'submit' step in the same tab.
+ * @returns {boolean} True if the previous step submitted the form.
+ */
+function isImplicitSubmit(previous) {
+  return Boolean(previous && SUBMIT_TRIGGER_TYPES.includes(previous.type));
+}
+
+/**
+ * Finds the step that opened each new tab: the last step before its 'newTab' step that
+ * was recorded in the opener tab and can open tabs. Exported scripts start waiting for
+ * the tab before that step runs.
+ * @param {Array<object>} recording The flattened recording.
+ * @returns {Map<object, Array<object>>} The 'newTab' steps, keyed by the step that opened them.
+ */
+function getNewTabTriggers(recording) {
+  const triggers = new Map();
+  recording.forEach((action, index) => {
+    if (action.type !== 'newTab') return;
+    for (let i = index - 1; i >= 0; i--) {
+      const candidate = recording[i];
+      if (candidate.tabId !== action.openerTabId || !NEW_TAB_TRIGGER_TYPES.includes(candidate.type)) continue;
+      if (!triggers.has(candidate)) triggers.set(candidate, []);
+      triggers.get(candidate).push(action);
+      break;
+    }
+  });
+  return triggers;
+}
+
+/**
+ * Numbers the tabs of a recording in the order they are first used, starting at 1.
+ * Steps without a tab id, e.g. imported ones, count as one tab.
+ * @returns {{has: function(*): boolean, number: function(*): number, count: function(): number}} The numbering.
+ */
+function createTabNumbering() {
+  const numbers = new Map();
+  return {
+    has: (tabId) => numbers.has(tabId),
+    number(tabId) {
+      if (!numbers.has(tabId)) numbers.set(tabId, numbers.size + 1);
+      return numbers.get(tabId);
+    },
+    count: () => numbers.size
+  };
+}
+
+/**
+ * Derives a function name for a group of steps from its marker label, e.g. "Add to cart"
+ * becomes stepAddToCart, or step_add_to_cart in Python.
+ * @param {string} label The marker label.
+ * @param {Set<string>} used The names already taken; the new name is added to it.
+ * @param {boolean} [snakeCase=false] Whether to use snake_case instead of camelCase.
+ * @returns {string} A unique function name.
+ */
+function getGroupFunctionName(label, used, snakeCase = false) {
+  const words = String(label).normalize('NFKD').replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  const base = snakeCase
+    ? ['step', ...words.map(word => word.toLowerCase())].join('_')
+    : `step${words.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join('')}`;
+  let name = base;
+  for (let n = 2; used.has(name); n++) name = `${base}${snakeCase ? '_' : ''}${n}`;
+  used.add(name);
+  return name;
+}
+
+/**
+ * Builds the JSON document offered by the "Download Recording" button. Recordings with
+ * 'marker' steps list their steps in `groups`, under the marker they were recorded after.
+ * What was redacted during recording is summarized in `redactions`.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @param {Array<object>} [network=[]] The network requests captured alongside them.
+ * @returns {string} The pretty-printed JSON document.
+ */
+function toJsonExport(clicks, network = []) {
+  const recording = flattenRecording(clicks);
+  const hasMarkers = recording.some(action => action.type === 'marker');
+  const data = hasMarkers ? { groups: groupRecording(recording) } : { recording };
+  data.totalActions = recording.filter(action => action.type !== 'marker').length;
+  data.duration = recording.length > 0 ? recording[recording.length - 1].relativeTime : 0;
+  data.recordedAt = new Date().toISOString();
+  const redactions = getRedactionSummary(clicks, network);
+  if (redactions.length > 0) data.redactions = redactions;
+  if (network.length > 0) data.network = network;
+  return JSON.stringify(data, null, 2);
+}
+
+// --- Wait inference ---
+
+/**
+ * Actions that need their target element to be ready before they run.
+ * @type {string[]}
+ */
+const WAIT_TARGET_TYPES = [
+  'click', 'hover', 'inputSequence', 'keyDown', 'paste', 'assert', 'select', 'check', 'doubleClick', 'contextMenu', 'dragAndDrop', 'fileUpload', 'scroll'
+];
+
+/**
+ * Actions whose fetch and XHR requests are awaited after them.
+ * @type {string[]}
+ */
+const WAIT_RESPONSE_TRIGGER_TYPES = [...NAVIGATION_TRIGGER_TYPES, 'paste', 'contextMenu', 'dragAndDrop', 'fileUpload', 'scroll'];
+
+/**
+ * Attributes of the target element whose last recorded value is waited for before an action.
+ * @type {string[]}
+ */
+const WAIT_TARGET_ATTRIBUTES = ['aria-busy', 'aria-disabled', 'aria-expanded', 'data-state'];
+
+/**
+ * Requests that started within this long after an action are awaited after it.
+ * Later requests linked to the action, such as polling, are left out.
+ * @type {number}
+ */
+const WAIT_RESPONSE_WINDOW_MS = 1000;
+
+/**
+ * Pauses longer than this between two actions mean the user waited for the page,
+ * so the next target is waited for even if no attribute change explains the pause.
+ * @type {number}
+ */
+const WAIT_GAP_THRESHOLD_MS = 1500;
+
+/**
+ * Returns a key that identifies a recorded element within its frame: the element key the
+ * content script recorded, which stays the same whether or not the selector was verified,
+ * or the selector in recordings made before element keys.
+ * @param {object} element The recorded element info.
+ * @param {number} frameId The frame the element was recorded in.
+ * @returns {string} The key.
+ */
+function getWaitElementKey(element, frameId) {
+  if (element.key) return `${frameId || 0}|${element.key}`;
+  return `${frameId || 0}|${(element.shadowDOMPath || []).join('>')}|${element.selector}`;
+}
+
+/**
+ * Derives the wait condition an attribute change implies. Changes on the next target
+ * wait for it to become enabled, visible or reach its final attribute value; changes
+ * on other elements only count when a loading indicator settles, i.e. aria-busy is
+ * cleared or the hidden attribute is set.
+ * @param {object} change An attribute change, as stored in a 'batchAttributeChange' action.
+ * @param {boolean} isTarget Whether the change is on the element the next action targets.
+ * @returns {object|null} The condition fields of a 'waitFor' step, or null if none applies.
+ */
+function getWaitCondition(change, isTarget) {
+  const { attributeName, newValue } = change;
+  if (isTarget) {
+    if (attributeName === 'disabled' && newValue === null) return { condition: 'enabled' };
+    if (attributeName === 'hidden' && newValue === null) return { condition: 'visible' };
+    if (attributeName === 'aria-hidden' && newValue !== 'true') return { condition: 'visible' };
+    if (WAIT_TARGET_ATTRIBUTES.includes(attributeName)) return { condition: 'attribute', attributeName, value: newValue };
+    return null;
+  }
+  if (attributeName === 'aria-busy' && newValue !== 'true') return { condition: 'attribute', attributeName, value: newValue };
+  if (attributeName === 'hidden' && newValue !== null) return { condition: 'hidden' };
+  return null;
+}
+
+/**
+ * Builds the 'response' waits for the requests an action triggered, one per method and
+ * URL path. Failed requests and requests that started well after the action are skipped.
+ * @param {object} action The recorded action.
+ * @param {Array<object>} network The captured network requests.
+ * @returns {Array<object>} The 'waitFor' steps.
+ */
+function getResponseWaits(action, network) {
+  const waits = [];
+  const seen = new Set();
+  for (const entry of network) {
+    if (entry.stepId !== action.id || entry.error || !entry.status) continue;
+    if (entry.startTime - action.relativeTime > WAIT_RESPONSE_WINDOW_MS) continue;
+    const url = entry.url.split(/[?#]/)[0];
+    const key = `${entry.method} ${url}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    waits.push({
+      type: 'waitFor',
+      condition: 'response',
+      element: null,
+      method: entry.method,
+      url,
+      stepId: action.id,
+      relativeTime: entry.startTime + (entry.duration || 0),
+      frameId: action.frameId,
+      frameUrl: action.frameUrl,
+      tabId: action.tabId
+    });
+  }
+  return waits;
+}
+
+/**
+ * Groups the 'response' waits of a recording by the step that sends their request, so
+ * exporters can start waiting before that step without searching the whole recording.
+ * @param {Array<object>} recording The recording, with inferred waits.
+ * @returns {Map<string, Array<object>>} The 'response' waits, keyed by the id of their step.
+ */
+function getResponseWaitsByStep(recording) {
+  const waits = new Map();
+  for (const action of recording) {
+    if (action.condition !== 'response' || !action.stepId) continue;
+    if (!waits.has(action.stepId)) waits.set(action.stepId, []);
+    waits.get(action.stepId).push(action);
+  }
+  return waits;
+}
+
+/**
+ * Inserts explicit 'waitFor' steps into a recording so exported scripts wait for the
+ * page instead of relying on the recorded timings. The attribute changes recorded at
+ * the Detailed logging level between two actions decide what the second action waits
+ * for; long pauses without such changes wait for the target to be visible; page loads
+ * caused by an action wait for the navigation to complete; the fetch and XHR requests
+ * an action triggered wait for their responses.
+ * A 'waitFor' step has a condition of 'visible', 'hidden', 'enabled', 'attribute'
+ * (with attributeName and value, null meaning absent), 'navigation' or 'response'
+ * (with method, url and the stepId of the action that sends the request).
+ * Waits on the next target use the target's element info. Waits on other elements use
+ * the selector recorded with the attribute change, which was not checked for being
+ * unique, so they are marked 'firstMatch' and wait for the first element it matches.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @param {Array<object>} [network=[]] The network requests captured alongside them.
+ * @returns {Array<object>} A copy of the recording with 'waitFor' steps inserted.
+ */
+function inferWaits(clicks, network = []) {
+  const result = [];
+  let changes = [];
+  let previous = null;
+
+  for (const action of clicks) {
+    if (action.type === 'batchAttributeChange') {
+      for (const change of action.changes) {
+        changes.push({ ...change, relativeTime: action.relativeTime, url: action.url, frameId: action.frameId || 0, frameUrl: action.frameUrl, tabId: action.tabId });
+      }
+      result.push(action);
+      continue;
+    }
+
+    if (WAIT_TARGET_TYPES.includes(action.type) && action.element && action.element.selector && !isPageElement(action.element)) {
+      const frameId = action.frameId || 0;
+      const targetKey = getWaitElementKey(action.element, frameId);
+      // Only the last change to each attribute of each element describes the state to wait for.
+      const latest = new Map();
+      for (const change of changes) {
+        if (change.frameId !== frameId || change.tabId !== action.tabId) continue;
+        latest.set(`${getWaitElementKey(change.element, frameId)}|${change.attributeName}`, change);
+      }
+      let waitsForTarget = false;
+      for (const change of latest.values()) {
+        const isTarget = getWaitElementKey(change.element, frameId) === targetKey;
+        const condition = getWaitCondition(change, isTarget);
+        if (!condition) continue;
+        waitsForTarget = waitsForTarget || isTarget;
+        result.push({
+          type: 'waitFor',
+          ...condition,
+          element: isTarget ? action.element : change.element,
+          ...(isTarget ? {} : { firstMatch: true }),
+          relativeTime: change.relativeTime,
+          url: change.url,
+          frameId,
+          frameUrl: change.frameUrl,
+          tabId: change.tabId
+        });
+      }
+      if (!waitsForTarget && previous && action.relativeTime - previous.relativeTime > WAIT_GAP_THRESHOLD_MS) {
+        result.push({
+          type: 'waitFor',
+          condition: 'visible',
+          element: action.element,
+          relativeTime: action.relativeTime,
+          url: action.url,
+          frameId,
+          frameUrl: action.frameUrl,
+          tabId: action.tabId
+        });
+      }
+    }
+
+    result.push(action);
+
+    if (action.id && WAIT_RESPONSE_TRIGGER_TYPES.includes(action.type)) {
+      result.push(...getResponseWaits(action, network));
+    }
+
+    if (action.type === 'pageLoad' && isTopFrame(action)) {
+      if (previous && NAVIGATION_TRIGGER_TYPES.includes(previous.type)) {
+        result.push({ type: 'waitFor', condition: 'navigation', element: null, relativeTime: action.relativeTime, url: action.url, frameId: 0, tabId: action.tabId });
+      }
+      changes = [];
+      previous = action;
+    } else if (WAIT_TARGET_TYPES.includes(action.type) || action.type === 'submit' || (action.type === 'outOfScopeNavigation' && isTopFrame(action))) {
+      changes = [];
+      previous = action;
+    }
+  }
+
+  return result;
+}
+
+// --- Playwright ---
+
+/**
+ * Builds a Playwright key combination string, e.g. 'Control+Shift+Enter'.
+ * @param {object} action A 'keyDown' action.
+ * @returns {string} The key combination.
+ */
+function getPlaywrightKeyCombo(action) {
+  const modifiers = [];
+  if (action.ctrlKey) modifiers.push('Control');
+  if (action.altKey) modifiers.push('Alt');
+  if (action.shiftKey) modifiers.push('Shift');
+  if (action.metaKey) modifiers.push('Meta');
+  return [...modifiers, action.key].join('+');
+}
+
+/**
+ * Builds the final Playwright locator call for a recorded element, preferring the
+ * user-facing locators (test ID, role, label, text) recorded by content.js.
+ * @param {object} element The recorded element info.
+ * @returns {string} The locator call, e.g. ".getByRole('button', { name: 'Save', exact: true })".
+ */
+function getPlaywrightLocatorCall(element) {
+  const candidate = pickLocator(element, ['testId', 'role', 'label', 'text', 'css', 'xpath']);
+  if (!candidate) return `.locator(${jsString(element.selector)})`;
+  switch (candidate.strategy) {
+    case 'testId':
+      // getByTestId() only knows the configured test ID attribute, which defaults to data-testid.
+      return candidate.attribute === 'data-testid'
+        ? `.getByTestId(${jsString(candidate.value)})`
+        : `.locator(${jsString(`[${candidate.attribute}="${candidate.value.replace(/"/g, '\\"')}"]`)})`;
+    case 'role':
+      return `.getByRole(${jsString(candidate.role)}, { name: ${jsString(candidate.value)}, exact: true })`;
+    case 'label':
+      return `.getByLabel(${jsString(candidate.value)}, { exact: true })`;
+    case 'text':
+      return `.getByText(${jsString(candidate.value)}, { exact: true })`;
+    case 'xpath':
+      return `.locator(${jsString(`xpath=${candidate.value}`)})`;
+    default:
+      return `.locator(${jsString(candidate.value)})`;
+  }
+}
+
+/**
+ * Builds the Playwright locator expression for a recorded element. Frames become a
+ * frameLocator and every Shadow DOM host becomes a chained locator.
+ * @param {object} action The recorded action that targets the element.
+ * @param {string|null} pageUrl The URL of the top-level page at the time.
+ * @param {string} [page='page'] The variable holding the page of the action's tab.
+ * @returns {string} A JavaScript expression that evaluates to a Locator.
+ */
+function getPlaywrightLocator(action, pageUrl, page = 'page') {
+  let expression = page;
+  if (!isTopFrame(action) && action.frameUrl) {
+    expression += `.frameLocator(${jsString(getFrameSelector(action.frameUrl, pageUrl))})`;
+  }
+  for (const host of action.element.shadowDOMPath || []) {
+    expression += `.locator(${jsString(host)})`;
+  }
+  return expression + getPlaywrightLocatorCall(action.element);
+}
+
+/**
+ * Builds the Playwright expect() statement for an 'assert' action.
+ * @param {object} action An 'assert' action.
+ * @param {string} locator The locator expression for the asserted element.
+ * @param {object} secrets The tracker for redacted values.
+ * @returns {string} The statement.
+ */
+function getPlaywrightAssertion(action, locator, secrets) {
+  const { name, expected } = getAssertion(action);
+  switch (name) {
+    case 'text':
+      return `await expect(${locator}).toContainText(${jsString(expected ?? '')});`;
+    case 'value': {
+      const value = expected === REDACTED_VALUE ? `process.env.${secrets.next()} ?? ''` : jsString(expected ?? '');
+      return `await expect(${locator}).toHaveValue(${value});`;
+    }
+    case 'checked':
+      return `await expect(${locator})${expected ? '' : '.not'}.toBeChecked();`;
+    case 'disabled':
+      return `await expect(${locator}).${expected ? 'toBeDisabled' : 'toBeEnabled'}();`;
+    default:
+      return `await expect(${locator}).${expected === false ? 'toBeHidden' : 'toBeVisible'}();`;
+  }
+}
+
+/**
+ * Builds the Playwright call that waits for the response to a request recorded by a
+ * 'response' wait. The query string is ignored, as it often holds cache busters.
+ * @param {object} action A 'waitFor' step with the 'response' condition.
+ * @param {string} [page='page'] The variable holding the page of the step's tab.
+ * @returns {string} The page.waitForResponse() call.
+ */
+function getPlaywrightResponseCall(action, page = 'page') {
+  return `${page}.waitForResponse(response => response.url().split('?')[0] === ${jsString(action.url)} && response.request().method() === ${jsString(action.method)})`;
+}
+
+/**
+ * Builds the Playwright statement for a 'waitFor' step.
+ * @param {object} action A 'waitFor' step.
+ * @param {string|null} locator The locator expression for the awaited element.
+ * @param {string} [page='page'] The variable holding the page of the step's tab.
+ * @returns {string} The statement.
+ */
+function getPlaywrightWait(action, locator, page = 'page') {
+  switch (action.condition) {
+    case 'navigation':
+      return `await ${page}.waitForLoadState('load');`;
+    case 'response':
+      return `await ${getPlaywrightResponseCall(action, page)};`;
+    case 'hidden':
+      return `await ${locator}.waitFor({ state: 'hidden' });`;
+    case 'enabled':
+      return `await expect(${locator}).toBeEnabled();`;
+    case 'attribute':
+      return action.value === null
+        ? `await expect(${locator}).not.toHaveAttribute(${jsString(action.attributeName)});`
+        : `await expect(${locator}).toHaveAttribute(${jsString(action.attributeName)}, ${jsString(action.value)});`;
+    default:
+      return `await ${locator}.waitFor();`;
+  }
+}
+
+/**
+ * Builds the argument of Playwright's selectOption() for a 'select' step: the value of each
+ * selected option, or its label when it has no value.
+ * @param {object} action A 'select' step.
+ * @param {object} secrets The tracker for redacted values.
+ * @returns {string} The argument.
+ */
+function getPlaywrightSelectOptions(action, secrets) {
+  const options = (action.options || []).map(option => {
+    if (option.value === REDACTED_VALUE) return `process.env.${secrets.next()} ?? ''`;
+    return option.value === '' ? `{ label: ${jsString(option.label)} }` : jsString(option.value);
+  });
+  return options.length === 1 ? options[0] : `[${options.join(', ')}]`;
+}
+
+/**
+ * Returns the names of the files a recording uploads, which exported scripts read from
+ * their working directory. Redacted names are left out.
+ * @param {Array<object>} recording The flattened recording.
+ * @returns {string[]} The distinct file names.
+ */
+function getUploadedFileNames(recording) {
+  const names = recording
+    .filter(action => action.type === 'fileUpload')
+    .flatMap(action => (action.files || []).map(file => file.name))
+    .filter(name => name !== REDACTED_VALUE);
+  return [...new Set(names)];
+}
+
+/**
+ * Returns the file paths of a 'fileUpload' step for an exported script, reading redacted
+ * names from the environment.
+ * @param {object} action A 'fileUpload' step.
+ * @param {function(string): string} quote Quotes a file name as a string literal.
+ * @param {function(string): string} secret Builds the expression reading a secret.
+ * @param {object} secrets The tracker for redacted values.
+ * @returns {string[]} The expressions, one per file.
+ */
+function getUploadFileExpressions(action, quote, secret, secrets) {
+  return (action.files || []).map(file => (file.name === REDACTED_VALUE ? secret(secrets.next()) : quote(file.name)));
+}
+
+/**
+ * Returns the variable holding the page of a tab in a Playwright spec: the test's page
+ * fixture for the first tab, page2, page3 and so on for the tabs opened later.
+ * @param {number} tab The tab's number.
+ * @returns {string} The variable name.
+ */
+function getPlaywrightPageName(tab) {
+  return tab === 1 ? 'page' : `page${tab}`;
+}
+
+/**
+ * Converts the recording into a runnable @playwright/test spec. Steps run on the page of
+ * the tab they were recorded in; a tab opened by a step is awaited with
+ * context.waitForEvent('page'), which starts listening before that step.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {string} The source of the spec file.
+ */
+function toPlaywrightTest(clicks) {
+  const recording = foldDoubleClicks(flattenRecording(clicks));
+  const secrets = createSecretTracker();
+  const lines = [];
+  // Response waits have to start listening before the action that sends the request.
+  const responses = new Map();
+  const responseWaits = getResponseWaitsByStep(recording);
+  const newTabTriggers = getNewTabTriggers(recording);
+  const awaitedTabs = new Set();
+  const tabs = createTabNumbering();
+  // The URL of each tab's top-level page and the previous step in it, by tab number
+  const pageUrls = new Map();
+  const previousSteps = new Map();
+
+  for (const action of recording) {
+    // Markers are added from the popup and belong to no tab in particular
+    if (action.type === 'marker') {
+      lines.push({ marker: action.label });
+      continue;
+    }
+    const isNewTab = !tabs.has(action.tabId);
+    const tab = tabs.number(action.tabId);
+    const page = getPlaywrightPageName(tab);
+    const pageUrl = pageUrls.get(tab) ?? null;
+    const previous = previousSteps.get(tab) ?? null;
+    // Tabs used without a 'newTab' step, e.g. opened while recording was paused, get a new page
+    if (isNewTab && tab > 1 && action.type !== 'newTab') lines.push(`${page} = await context.newPage();`);
+    for (const wait of responseWaits.get(action.id) || []) {
+      const name = `response${responses.size + 1}`;
+      responses.set(wait, name);
+      lines.push(`const ${name} = ${getPlaywrightResponseCall(wait, page)};`);
+    }
+    for (const newTab of newTabTriggers.get(action) || []) {
+      awaitedTabs.add(newTab);
+      lines.push(`${getPlaywrightPageName(tabs.number(newTab.tabId))}Promise = context.waitForEvent('page');`);
+    }
+    switch (action.type) {
+      case 'pageLoad':
+        if (!isTopFrame(action)) continue;
+        // Navigations triggered by the previous action only need to be awaited.
+        if (previous && (previous.type === 'newTab' || (pageUrl && NAVIGATION_TRIGGER_TYPES.includes(previous.type)))) {
+          lines.push(`await ${page}.waitForURL(${jsString(action.url)});`);
+        } else {
+          lines.push(`await ${page}.goto(${jsString(action.url)});`);
+        }
+        pageUrls.set(tab, action.url);
+        break;
+      case 'newTab':
+        if (awaitedTabs.has(action)) {
+          lines.push(`${page} = await ${page}Promise;`);
+          break;
+        }
+        lines.push(`${page} = await context.newPage();`);
+        continue;
+      case 'switchTab':
+        lines.push(`await ${page}.bringToFront();`);
+        continue;
+      case 'closeTab':
+        lines.push(`if (!${page}.isClosed()) await ${page}.close();`);
+        continue;
+      case 'setViewport':
+        lines.push(`await ${page}.setViewportSize({ width: ${action.width}, height: ${action.height} });`);
+        break;
+      case 'outOfScopeNavigation':
+        if (!isTopFrame(action)) continue;
+        // The steps outside the scope were not recorded, so the page the flow returns to is opened directly
+        lines.push(`// The recorded flow continued on ${action.url} here, outside the recording scope`);
+        break;
+      case 'click':
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.click();`);
+        break;
+      case 'doubleClick':
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.dblclick();`);
+        break;
+      case 'contextMenu':
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.click({ button: 'right' });`);
+        break;
+      case 'hover':
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.hover();`);
+        break;
+      case 'select':
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.selectOption(${getPlaywrightSelectOptions(action, secrets)});`);
+        break;
+      case 'check':
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.${action.checked ? 'check' : 'uncheck'}();`);
+        break;
+      case 'fileUpload': {
+        const files = getUploadFileExpressions(action, jsString, name => `process.env.${name} ?? ''`, secrets);
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.setInputFiles(${files.length === 1 ? files[0] : `[${files.join(', ')}]`});`);
+        break;
+      }
+      case 'dragAndDrop': {
+        const target = getPlaywrightLocator({ ...action, element: action.target }, pageUrl, page);
+        lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.dragTo(${target});`);
+        break;
+      }
+      case 'submit':
+        // Forms submitted by a click or the Enter key need no step of their own
+        if (!isImplicitSubmit(previous)) {
+          lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.evaluate(form => form.requestSubmit());`);
+        }
+        break;
+      case 'scroll': {
+        // Playwright scrolls elements into view before acting on them, as focus changes do
+        if (action.cause === 'focus') continue;
+        const position = `${action.scrollX}, ${action.scrollY}`;
+        if (!isPageElement(action.element)) {
+          lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.evaluate(element => element.scrollTo(${position}));`);
+        } else if (isTopFrame(action)) {
+          lines.push(`await ${page}.evaluate(() => window.scrollTo(${position}));`);
+        } else {
+          // The frame's window is scrolled from its root element, which runs the script in the frame
+          lines.push(`await ${getPlaywrightLocator({ ...action, element: { selector: 'html' } }, pageUrl, page)}.evaluate(() => window.scrollTo(${position}));`);
+        }
+        break;
+      }
+      case 'assert':
+        lines.push(getPlaywrightAssertion(action, getPlaywrightLocator(action, pageUrl, page), secrets));
+        break;
+      case 'waitFor': {
+        // Locators matching several elements would break Playwright's strict mode
+        const locator = action.element && `${getPlaywrightLocator(action, pageUrl, page)}${action.firstMatch ? '.first()' : ''}`;
+        lines.push(responses.has(action) ? `await ${responses.get(action)};` : getPlaywrightWait(action, locator, page));
+        continue;
+      }
+      case 'inputSequence': {
+        const locator = getPlaywrightLocator(action, pageUrl, page);
+        const value = action.finalValue === REDACTED_VALUE
+          ? `process.env.${secrets.next()} ?? ''`
+          : jsString(action.finalValue ?? '');
+        // Rich text editors rely on real key events, form fields can be filled directly.
+        // Imported steps may not know their tag name, in which case fill() is the safer choice.
+        const method = (action.element.tagName && !isFormField(action.element)) ? 'pressSequentially' : 'fill';
+        lines.push(`await ${locator}.${method}(${value});`);
+        for (const key of getTrailingKeys(action.events)) {
+          lines.push(`await ${locator}.press(${jsString(key)});`);
+        }
+        break;
+      }
+      case 'keyDown': {
+        const combo = jsString(getPlaywrightKeyCombo(action));
+        if (isPageElement(action.element)) {
+          lines.push(`await ${page}.keyboard.press(${combo});`);
+        } else {
+          lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.press(${combo});`);
+        }
+        break;
+      }
+      case 'paste': {
+        if (!isPageElement(action.element)) {
+          lines.push(`await ${getPlaywrightLocator(action, pageUrl, page)}.focus();`);
+        }
+        const text = action.pastedText === REDACTED_VALUE
+          ? `process.env.${secrets.next()} ?? ''`
+          : jsString(action.pastedText ?? '');
+        lines.push(`await ${page}.keyboard.insertText(${text});`);
+        break;
+      }
+      default:
+        // Focus events and attribute changes have no Playwright equivalent worth replaying.
+        continue;
+    }
+    previousSteps.set(tab, action);
+  }
+
+  const usesExpect = lines.some(line => typeof line === 'string' && line.startsWith('await expect('));
+  const header = [
+    ...getRedactionComments(getRedactionSummary(clicks), '//'),
+    `import { ${usesExpect ? 'test, expect' : 'test'} } from '@playwright/test';`,
+    ''
+  ];
+  if (secrets.names.length > 0) {
+    header.push(`// Redacted values are read from the environment: ${secrets.names.join(', ')}`, '');
+  }
+  const uploadedFiles = getUploadedFileNames(recording);
+  if (uploadedFiles.length > 0) {
+    header.push(`// Uploaded files are read from the working directory: ${uploadedFiles.join(', ')}`, '');
+  }
+  // Each marker's steps become a test.step() block, reported separately by Playwright
+  const body = groupLines(lines).flatMap(group => group.label === null ? group.lines : [
+    `await test.step(${jsString(group.label)}, async () => {`,
+    ...group.lines.map(line => `  ${line}`),
+    '});'
+  ]);
+  // The pages of later tabs are declared up front, as test.step() blocks have their own scope
+  const pageVariables = [];
+  for (let tab = 2; tab <= tabs.count(); tab++) {
+    const page = getPlaywrightPageName(tab);
+    if (lines.some(line => typeof line === 'string' && line.startsWith(`${page}Promise = `))) pageVariables.push(`${page}Promise`);
+    pageVariables.push(page);
+  }
+  if (pageVariables.length > 0) body.unshift(`let ${pageVariables.join(', ')};`);
+  const usesContext = lines.some(line => typeof line === 'string' && line.includes('context.'));
+  return [
+    ...header,
+    `test('Recorded flow', async ({ ${usesContext ? 'page, context' : 'page'} }) => {`,
+    ...body.map(line => `  ${line}`),
+    '});',
+    ''
+  ].join('\n');
+}
+
+// --- Cypress ---
+
+/**
+ * Maps KeyboardEvent.key values to cy.type() special character sequences.
+ * @type {Object<string, string>}
+ */
+const CYPRESS_SPECIAL_KEYS = {
+  Enter: '{enter}',
+  Escape: '{esc}',
+  Backspace: '{backspace}',
+  Delete: '{del}',
+  ArrowUp: '{uparrow}',
+  ArrowDown: '{downarrow}',
+  ArrowLeft: '{leftarrow}',
+  ArrowRight: '{rightarrow}',
+  Home: '{home}',
+  End: '{end}',
+  PageUp: '{pageup}',
+  PageDown: '{pagedown}',
+  Insert: '{insert}'
+};
+
+/**
+ * Escapes literal text for cy.type(), where '{' starts a special sequence.
+ * @param {string} text The text to type.
+ * @returns {string} The escaped text.
+ */
+function escapeCypressText(text) {
+  return String(text).replace(/{/g, '{{}');
+}
+
+/**
+ * Builds the cy.type() text for an input sequence from its recorded key presses,
+ * so special keys such as {enter} are replayed where they happened. Falls back to
+ * the final value when the key presses do not reproduce it on their own, e.g. when
+ * the caret was moved or the browser autofilled the field.
+ * @param {object} action An 'inputSequence' action.
+ * @returns {string} The cy.type() text.
+ */
+function getCypressTypeText(action) {
+  const finalValue = action.finalValue ?? '';
+  let typed = '';
+  let value = '';
+  let reproducible = true;
+
+  for (const event of action.events || []) {
+    if (event.type === 'paste') {
+      typed += escapeCypressText(event.pastedText ?? '');
+      value += event.pastedText ?? '';
+    } else if (event.type === 'keydown') {
+      if (event.key.length === 1) {
+        typed += escapeCypressText(event.key);
+        value += event.key;
+      } else if (event.key === 'Backspace') {
+        typed += CYPRESS_SPECIAL_KEYS.Backspace;
+        value = value.slice(0, -1);
+      } else if (TRAILING_KEYS.includes(event.key)) {
+        typed += CYPRESS_SPECIAL_KEYS[event.key] || '';
+      } else if (CYPRESS_SPECIAL_KEYS[event.key]) {
+        reproducible = false;
+      }
+    }
+  }
+
+  if (reproducible && value === finalValue) {
+    return typed;
+  }
+  const trailing = getTrailingKeys(action.events).map(key => CYPRESS_SPECIAL_KEYS[key] || '').join('');
+  return escapeCypressText(finalValue) + trailing;
+}
+
+/**
+ * Builds the cy.type() sequence for a 'keyDown' action, e.g. '{ctrl}{enter}'.
+ * @param {object} action A 'keyDown' action.
+ * @returns {string|null} The sequence, or null if cy.type() cannot press the key.
+ */
+function getCypressKeySequence(action) {
+  const key = CYPRESS_SPECIAL_KEYS[action.key] || (action.key.length === 1 ? escapeCypressText(action.key) : null);
+  if (!key) return null;
+  const modifiers = [];
+  if (action.ctrlKey) modifiers.push('{ctrl}');
+  if (action.altKey) modifiers.push('{alt}');
+  if (action.shiftKey) modifiers.push('{shift}');
+  if (action.metaKey) modifiers.push('{meta}');
+  return modifiers.join('') + key;
+}
+
+/**
+ * Builds the Cypress command chain that yields a recorded element. Frames are entered
+ * through the iframe's document body and every Shadow DOM host adds a .shadow() step.
+ * @param {object} action The recorded action that targets the element.
+ * @param {string|null} pageUrl The URL of the top-level page at the time.
+ * @returns {string} A Cypress command chain.
+ */
+function getCypressChain(action, pageUrl) {
+  const selectors = [...(action.element.shadowDOMPath || []), action.element.selector];
+  let chain;
+  if (!isTopFrame(action) && action.frameUrl) {
+    chain = `cy.get(${jsString(getFrameSelector(action.frameUrl, pageUrl))})` +
+      ".its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)" +
+      `.find(${jsString(selectors.shift())})`;
+  } else {
+    chain = `cy.get(${jsString(selectors.shift())})`;
+  }
+  for (const selector of selectors) {
+    chain += `.shadow().find(${jsString(selector)})`;
+  }
+  return chain;
+}
+
+/**
+ * Builds the Cypress .should() assertion for an 'assert' action.
+ * @param {object} action An 'assert' action.
+ * @param {object} secrets The tracker for redacted values.
+ * @returns {string} The assertion call, e.g. ".should('be.checked')".
+ */
+function getCypressAssertion(action, secrets) {
+  const { name, expected } = getAssertion(action);
+  switch (name) {
+    case 'text':
+      return `.should('contain.text', ${jsString(expected ?? '')})`;
+    case 'value': {
+      const value = expected === REDACTED_VALUE ? `Cypress.env(${jsString(secrets.next())})` : jsString(expected ?? '');
+      return `.should('have.value', ${value})`;
+    }
+    case 'checked':
+      return `.should('${expected ? 'be.checked' : 'not.be.checked'}')`;
+    case 'disabled':
+      return `.should('${expected ? 'be.disabled' : 'be.enabled'}')`;
+    default:
+      return `.should('${expected === false ? 'not.be.visible' : 'be.visible'}')`;
+  }
+}
+
+/**
+ * Builds the cy.intercept() route matcher for a 'response' wait, matching the request's
+ * method, host and path but not its query string.
+ * @param {object} action A 'waitFor' step with the 'response' condition.
+ * @returns {string} The route matcher object literal.
+ */
+function getCypressRouteMatcher(action) {
+  try {
+    const url = new URL(action.url);
+    return `{ method: ${jsString(action.method)}, hostname: ${jsString(url.hostname)}, pathname: ${jsString(url.pathname)} }`;
+  } catch (e) {
+    return `{ method: ${jsString(action.method)}, url: ${jsString(action.url)} }`;
+  }
+}
+
+/**
+ * Builds the Cypress command for a 'waitFor' step.
+ * @param {object} action A 'waitFor' step.
+ * @param {string|null} chain The command chain that yields the awaited element.
+ * @returns {string} The command.
+ */
+function getCypressWait(action, chain) {
+  switch (action.condition) {
+    case 'navigation':
+      return "cy.document().its('readyState').should('eq', 'complete');";
+    case 'response':
+      // Without an intercept registered before the request there is no alias to wait on
+      return `// The ${action.method} ${action.url} request was sent before this point`;
+    case 'hidden':
+      return `${chain}.should('not.be.visible');`;
+    case 'enabled':
+      return `${chain}.should('be.enabled');`;
+    case 'attribute':
+      return action.value === null
+        ? `${chain}.should('not.have.attr', ${jsString(action.attributeName)});`
+        : `${chain}.should('have.attr', ${jsString(action.attributeName)}, ${jsString(action.value)});`;
+    default:
+      return `${chain}.should('be.visible');`;
+  }
+}
+
+/**
+ * Converts the recording into a Cypress spec.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {string} The source of the spec file.
+ */
+function toCypressTest(clicks) {
+  const recording = foldDoubleClicks(flattenRecording(clicks));
+  const secrets = createSecretTracker();
+  const lines = [];
+  let dataTransfers = 0;
+  // Response waits need an intercept registered before the action that sends the request.
+  const responses = new Map();
+  const responseWaits = getResponseWaitsByStep(recording);
+  let pageUrl = null;
+  let previous = null;
+  // Cypress controls a single tab, so the steps of every recorded tab run in it. Returning
+  // to a tab visits its page again.
+  const tabPageUrls = new Map();
+  let currentTab = recording.length > 0 ? recording[0].tabId : undefined;
+
+  for (const action of recording) {
+    const isTopPageLoad = action.type === 'pageLoad' && isTopFrame(action);
+    if (action.tabId !== currentTab && !isTopPageLoad && !['newTab', 'switchTab', 'closeTab', 'marker'].includes(action.type)) {
+      const url = tabPageUrls.get(action.tabId);
+      if (url && url !== pageUrl) {
+        lines.push('// Back to a page left open in another tab; Cypress runs in a single tab', `cy.visit(${jsString(url)});`);
+        pageUrl = url;
+      }
+      currentTab = action.tabId;
+    }
+    for (const wait of responseWaits.get(action.id) || []) {
+      const alias = `response${responses.size + 1}`;
+      responses.set(wait, alias);
+      lines.push(`cy.intercept(${getCypressRouteMatcher(wait)}).as(${jsString(alias)});`);
+    }
+    switch (action.type) {
+      case 'pageLoad':
+        if (!isTopFrame(action)) continue;
+        // Navigations triggered by the previous action in the same tab only need to be awaited.
+        if (pageUrl && previous && previous.tabId === action.tabId && NAVIGATION_TRIGGER_TYPES.includes(previous.type)) {
+          lines.push(`cy.url().should('eq', ${jsString(action.url)});`);
+        } else {
+          lines.push(`cy.visit(${jsString(action.url)});`);
+        }
+        pageUrl = action.url;
+        tabPageUrls.set(action.tabId, action.url);
+        currentTab = action.tabId;
+        break;
+      case 'newTab':
+        lines.push('// The recorded flow opened a new tab here; Cypress continues in this one');
+        continue;
+      case 'setViewport':
+        lines.push(`cy.viewport(${action.width}, ${action.height});`);
+        break;
+      case 'outOfScopeNavigation':
+        if (!isTopFrame(action)) continue;
+        // The steps outside the scope were not recorded, so the page the flow returns to is visited directly
+        lines.push(`// The recorded flow continued on ${action.url} here, outside the recording scope`);
+        break;
+      case 'click':
+        lines.push(`${getCypressChain(action, pageUrl)}.click();`);
+        break;
+      case 'doubleClick':
+        lines.push(`${getCypressChain(action, pageUrl)}.dblclick();`);
+        break;
+      case 'contextMenu':
+        lines.push(`${getCypressChain(action, pageUrl)}.rightclick();`);
+        break;
+      case 'hover':
+        lines.push(`${getCypressChain(action, pageUrl)}.trigger('mouseover');`);
+        break;
+      case 'select': {
+        // cy.select() matches the value or the text of each option
+        const options = (action.options || []).map(option => {
+          if (option.value === REDACTED_VALUE) return `Cypress.env(${jsString(secrets.next())})`;
+          return jsString(option.value === '' ? option.label : option.value);
+        });
+        lines.push(`${getCypressChain(action, pageUrl)}.select(${options.length === 1 ? options[0] : `[${options.join(', ')}]`});`);
+        break;
+      }
+      case 'check':
+        lines.push(`${getCypressChain(action, pageUrl)}.${action.checked ? 'check' : 'uncheck'}();`);
+        break;
+      case 'fileUpload': {
+        const files = getUploadFileExpressions(action, jsString, name => `Cypress.env(${jsString(name)})`, secrets);
+        if (files.length === 0) {
+          lines.push('// cy.selectFile() cannot clear a file selection');
+          break;
+        }
+        lines.push(`${getCypressChain(action, pageUrl)}.selectFile(${files.length === 1 ? files[0] : `[${files.join(', ')}]`});`);
+        break;
+      }
+      case 'dragAndDrop': {
+        const source = getCypressChain(action, pageUrl);
+        const target = getCypressChain({ ...action, element: action.target }, pageUrl);
+        if (action.method === 'html5') {
+          // The drag events share one DataTransfer, as in the browser
+          const dataTransfer = `dataTransfer${++dataTransfers}`;
+          lines.push(
+            `const ${dataTransfer} = new DataTransfer();`,
+            `${source}.trigger('dragstart', { dataTransfer: ${dataTransfer} });`,
+            `${target}.trigger('dragover', { dataTransfer: ${dataTransfer} }).trigger('drop', { dataTransfer: ${dataTransfer} });`,
+            `${source}.trigger('dragend', { dataTransfer: ${dataTransfer} });`
+          );
+        } else {
+          lines.push(
+            `${source}.trigger('pointerdown', { button: 0 }).trigger('mousedown', { button: 0 });`,
+            `${target}.trigger('pointermove').trigger('mousemove').trigger('pointerup').trigger('mouseup');`
+          );
+        }
+        break;
+      }
+      case 'submit':
+        // Forms submitted by a click or the Enter key need no command of their own
+        if (!isImplicitSubmit(previous)) lines.push(`${getCypressChain(action, pageUrl)}.submit();`);
+        break;
+      case 'scroll': {
+        // Cypress scrolls elements into view before acting on them, as focus changes do
+        if (action.cause === 'focus') continue;
+        const position = `${action.scrollX}, ${action.scrollY}`;
+        if (!isPageElement(action.element)) {
+          lines.push(`${getCypressChain(action, pageUrl)}.scrollTo(${position});`);
+        } else if (isTopFrame(action)) {
+          lines.push(`cy.scrollTo(${position});`);
+        } else {
+          lines.push(`${getCypressChain({ ...action, element: { selector: 'html' } }, pageUrl)}.scrollTo(${position});`);
+        }
+        break;
+      }
+      case 'assert':
+        lines.push(`${getCypressChain(action, pageUrl)}${getCypressAssertion(action, secrets)};`);
+        break;
+      case 'waitFor':
+        lines.push(responses.has(action)
+          ? `cy.wait(${jsString(`@${responses.get(action)}`)});`
+          : getCypressWait(action, action.element && getCypressChain(action, pageUrl)));
+        continue;
+      case 'inputSequence': {
+        const chain = `${getCypressChain(action, pageUrl)}.clear()`;
+        const isRedacted = action.finalValue === REDACTED_VALUE ||
+          (action.events || []).some(event => event.key === REDACTED_VALUE);
+        if (isRedacted) {
+          lines.push(`${chain}.type(Cypress.env(${jsString(secrets.next())}), { log: false });`);
+        } else {
+          const text = getCypressTypeText(action);
+          lines.push(text ? `${chain}.type(${jsString(text)});` : `${chain};`);
+        }
+        break;
+      }
+      case 'keyDown': {
+        const sequence = getCypressKeySequence(action);
+        if (!sequence) {
+          lines.push(`// cy.type() cannot press ${action.key}`);
+          break;
+        }
+        const chain = isPageElement(action.element) ? "cy.get('body')" : getCypressChain(action, pageUrl);
+        lines.push(`${chain}.type(${jsString(sequence)});`);
+        break;
+      }
+      case 'paste': {
+        const chain = isPageElement(action.element) ? "cy.get('body')" : getCypressChain(action, pageUrl);
+        if (action.pastedText === REDACTED_VALUE) {
+          lines.push(`${chain}.type(Cypress.env(${jsString(secrets.next())}), { log: false });`);
+        } else {
+          lines.push(`${chain}.type(${jsString(escapeCypressText(action.pastedText ?? ''))}, { delay: 0 });`);
+        }
+        break;
+      }
+      case 'marker':
+        lines.push({ marker: action.label });
+        continue;
+      default:
+        // Focus events and attribute changes have no Cypress equivalent worth replaying.
+        continue;
+    }
+    previous = action;
+  }
+
+  const header = getRedactionComments(getRedactionSummary(clicks), '//');
+  if (secrets.names.length > 0) {
+    header.push(`// Redacted values are read with Cypress.env(): ${secrets.names.join(', ')}`, '');
+  }
+  const uploadedFiles = getUploadedFileNames(recording);
+  if (uploadedFiles.length > 0) {
+    header.push(`// Uploaded files are read from the project root: ${uploadedFiles.join(', ')}`, '');
+  }
+  // Each marker's steps become a function, called from the test in recording order
+  const functions = [];
+  const body = [];
+  const names = new Set();
+  for (const group of groupLines(lines)) {
+    if (group.label === null) {
+      body.push(...group.lines);
+      continue;
+    }
+    const name = getGroupFunctionName(group.label, names);
+    functions.push(`/** ${group.label.replace(/\*\//g, '* /')} */`, `function ${name}() {`, ...group.lines.map(line => `  ${line}`), '}', '');
+    body.push(`${name}();`);
+  }
+  return [
+    ...header,
+    ...functions,
+    "describe('Recorded flow', () => {",
+    "  it('replays the recording', () => {",
+    ...body.map(line => `    ${line}`),
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+}
+
+// --- Selenium WebDriver ---
+
+/**
+ * Maps KeyboardEvent.key values to the names of Selenium's key constants,
+ * which are the same in the Python (Keys) and JavaScript (Key) bindings.
+ * @type {Object<string, string>}
+ */
+const SELENIUM_KEYS = {
+  Enter: 'ENTER',
+  Tab: 'TAB',
+  Escape: 'ESCAPE',
+  Backspace: 'BACK_SPACE',
+  Delete: 'DELETE',
+  ArrowUp: 'ARROW_UP',
+  ArrowDown: 'ARROW_DOWN',
+  ArrowLeft: 'ARROW_LEFT',
+  ArrowRight: 'ARROW_RIGHT',
+  Home: 'HOME',
+  End: 'END',
+  PageUp: 'PAGE_UP',
+  PageDown: 'PAGE_DOWN',
+  Insert: 'INSERT'
+};
+
+/**
+ * The script Selenium exports run to drag and drop with the HTML5 drag and drop API, whose
+ * events WebDriver's pointer actions do not fire. The events share one DataTransfer.
+ * @type {string}
+ */
+const SELENIUM_HTML5_DRAG_SCRIPT = 'const [source, target] = arguments; const dataTransfer = new DataTransfer(); ' +
+  "const fire = (element, type) => element.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer })); " +
+  "fire(source, 'dragstart'); fire(target, 'dragenter'); fire(target, 'dragover'); fire(target, 'drop'); fire(source, 'dragend');";
+
+/**
+ * Language-specific code templates for the Selenium exporter. Single-quoted
+ * JavaScript string literals are also valid Python literals, so both use jsString().
+ * @type {Object<string, object>}
+ */
+const SELENIUM_DIALECTS = {
+  python: {
+    indent: '        ',
+    comment: '#',
+    keys: 'Keys',
+    header: (secrets, features) => [
+      ...(secrets.length > 0 ? [`# Redacted values are read from the environment: ${secrets.join(', ')}`] : []),
+      ...(features.files.length > 0 ? [`# Uploaded files are read from the working directory: ${features.files.join(', ')}`] : []),
+      ...(secrets.length > 0 || features.uploads ? ['import os', ''] : []),
+      'from selenium import webdriver',
+      'from selenium.webdriver.common.action_chains import ActionChains',
+      'from selenium.webdriver.common.by import By',
+      'from selenium.webdriver.common.keys import Keys',
+      'from selenium.webdriver.support import expected_conditions as EC',
+      ...(features.select ? ['from selenium.webdriver.support.select import Select'] : []),
+      'from selenium.webdriver.support.ui import WebDriverWait',
+      '',
+      'TIMEOUT = 10',
+      ...(features.windows ? ['', '# The window handle of each recorded tab', 'windows = {}'] : []),
+      ...(features.html5Drag ? ['', '# Fires the HTML5 drag and drop events, which ActionChains does not', `DRAG_AND_DROP_HTML5 = ${jsString(SELENIUM_HTML5_DRAG_SCRIPT)}`] : []),
+      '',
+      '',
+      'def find(driver, selector, shadow_path=()):',
+      '    """Waits for an element, walking through the shadow roots of its hosts first."""',
+      '    context = driver',
+      '    for host in shadow_path:',
+      '        context = WebDriverWait(driver, TIMEOUT).until(',
+      '            lambda d, root=context, css=host: root.find_element(By.CSS_SELECTOR, css)',
+      '        ).shadow_root',
+      '    return WebDriverWait(driver, TIMEOUT).until(',
+      '        lambda d: context.find_element(By.CSS_SELECTOR, selector)',
+      '    )',
+      '',
+      '',
+      'def clickable(driver, selector, shadow_path=()):',
+      '    """Waits for an element to be visible and enabled."""',
+      '    return WebDriverWait(driver, TIMEOUT).until(EC.element_to_be_clickable(find(driver, selector, shadow_path)))',
+      '',
+      ''
+    ],
+    testStart: () => [
+      'def test_recorded_flow():',
+      '    driver = webdriver.Chrome()',
+      '    try:'
+    ],
+    snakeCase: true,
+    groupFunction: (name, label, lines) => [
+      `def ${name}(driver):`,
+      `    """${label.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"""`,
+      ...lines.map(line => `    ${line}`),
+      '',
+      ''
+    ],
+    callGroup: (name) => `${name}(driver)`,
+    footer: () => [
+      '    finally:',
+      '        driver.quit()',
+      '',
+      '',
+      "if __name__ == '__main__':",
+      '    test_recorded_flow()',
+      ''
+    ],
+    emptyBody: 'pass',
+    find: (selector, shadowPath) => `find(driver, ${selector}${shadowPath.length > 0 ? `, [${shadowPath.join(', ')}]` : ''})`,
+    clickable: (selector, shadowPath) => `clickable(driver, ${selector}${shadowPath.length > 0 ? `, [${shadowPath.join(', ')}]` : ''})`,
+    navigate: (url) => `driver.get(${url})`,
+    waitForUrl: (url) => `WebDriverWait(driver, TIMEOUT).until(EC.url_to_be(${url}))`,
+    setViewport: (width, height) => `driver.set_window_size(${width}, ${height})`,
+    defaultContent: () => 'driver.switch_to.default_content()',
+    currentWindow: (tab) => `windows[${jsString(tab)}] = driver.current_window_handle`,
+    waitForNewWindow: (tab) => `windows[${jsString(tab)}] = WebDriverWait(driver, TIMEOUT).until(lambda d: next((h for h in d.window_handles if h not in windows.values()), None))`,
+    newWindow: (tab) => [
+      "driver.switch_to.new_window('tab')",
+      `windows[${jsString(tab)}] = driver.current_window_handle`
+    ],
+    switchToWindow: (tab) => `driver.switch_to.window(windows[${jsString(tab)}])`,
+    closeWindow: (tab) => [
+      `if windows[${jsString(tab)}] in driver.window_handles:`,
+      `    driver.switch_to.window(windows[${jsString(tab)}])`,
+      '    driver.close()'
+    ],
+    switchToFrame: (selector) => `WebDriverWait(driver, TIMEOUT).until(EC.frame_to_be_available_and_switch_to_it((By.CSS_SELECTOR, ${selector})))`,
+    click: (element) => `${element}.click()`,
+    doubleClick: (element) => `ActionChains(driver).double_click(${element}).perform()`,
+    contextClick: (element) => `ActionChains(driver).context_click(${element}).perform()`,
+    hover: (element) => `ActionChains(driver).move_to_element(${element}).perform()`,
+    dragAndDrop: (source, target) => `ActionChains(driver).drag_and_drop(${source}, ${target}).perform()`,
+    html5DragAndDrop: (source, target) => `driver.execute_script(DRAG_AND_DROP_HTML5, ${source}, ${target})`,
+    selectOption: (element, by, value) => `Select(${element}).select_by_${by === 'label' ? 'visible_text' : 'value'}(${value})`,
+    deselectAll: (element) => `Select(${element}).deselect_all()`,
+    submit: (element) => `${element}.submit()`,
+    scrollWindow: (x, y) => `driver.execute_script('window.scrollTo(arguments[0], arguments[1])', ${x}, ${y})`,
+    scrollElement: (element, x, y) => `driver.execute_script('arguments[0].scrollTo(arguments[1], arguments[2])', ${element}, ${x}, ${y})`,
+    filePaths: (files) => (files.length === 1 ? `os.path.abspath(${files[0]})` : `'\\n'.join([${files.map(file => `os.path.abspath(${file})`).join(', ')}])`),
+    ifThen: (condition, statement) => `if ${condition}: ${statement}`,
+    clear: (element) => `${element}.clear()`,
+    sendKeys: (element, keys) => `${element}.send_keys(${keys.join(', ')})`,
+    pressKeys: (modifiers, key) => `ActionChains(driver)${modifiers.map(m => `.key_down(${m})`).join('')}.send_keys(${key})${modifiers.map(m => `.key_up(${m})`).join('')}.perform()`,
+    secret: (name) => `os.environ[${jsString(name)}]`,
+    text: (element) => `${element}.text`,
+    value: (element) => `${element}.get_property('value')`,
+    isSelected: (element) => `${element}.is_selected()`,
+    isEnabled: (element) => `${element}.is_enabled()`,
+    isDisplayed: (element) => `${element}.is_displayed()`,
+    assertEqual: (actual, expected) => `assert ${actual} == ${expected}`,
+    assertContains: (actual, expected) => `assert ${expected} in ${actual}`,
+    assertTrue: (actual) => `assert ${actual}`,
+    assertFalse: (actual) => `assert not ${actual}`,
+    attribute: (element, name) => `${element}.get_attribute(${name})`,
+    readyState: () => "driver.execute_script('return document.readyState')",
+    isEqual: (actual, expected) => `${actual} == ${expected}`,
+    negate: (condition) => `not ${condition}`,
+    isNull: (actual) => `${actual} is None`,
+    waitUntil: (condition) => `WebDriverWait(driver, TIMEOUT).until(lambda d: ${condition})`
+  },
+  javascript: {
+    indent: '    ',
+    comment: '//',
+    keys: 'Key',
+    header: (secrets, features) => [
+      ...(secrets.length > 0 ? [`// Redacted values are read from the environment: ${secrets.join(', ')}`] : []),
+      ...(features.files.length > 0 ? [`// Uploaded files are read from the working directory: ${features.files.join(', ')}`] : []),
+      ...(features.assertions ? ["const assert = require('assert');"] : []),
+      ...(features.uploads ? ["const path = require('path');"] : []),
+      "const { Builder, By, Key, until } = require('selenium-webdriver');",
+      ...(features.select ? ["const { Select } = require('selenium-webdriver/lib/select');"] : []),
+      '',
+      'const TIMEOUT = 10000;',
+      ...(features.windows ? ['', '// The window handle of each recorded tab', 'const windows = {};'] : []),
+      ...(features.html5Drag ? ['', '// Fires the HTML5 drag and drop events, which driver.actions() does not', `const DRAG_AND_DROP_HTML5 = ${jsString(SELENIUM_HTML5_DRAG_SCRIPT)};`] : []),
+      '',
+      '/**',
+      ' * Waits for an element, walking through the shadow roots of its hosts first.',
+      ' */',
+      'async function find(driver, selector, shadowPath = []) {',
+      '  let context = driver;',
+      '  for (const host of shadowPath) {',
+      '    const root = context;',
+      '    const hostElement = await driver.wait(async () => (await root.findElements(By.css(host)))[0], TIMEOUT);',
+      '    context = await hostElement.getShadowRoot();',
+      '  }',
+      '  const root = context;',
+      '  return driver.wait(async () => (await root.findElements(By.css(selector)))[0], TIMEOUT);',
+      '}',
+      '',
+      '/**',
+      ' * Waits for an element to be visible and enabled.',
+      ' */',
+      'async function clickable(driver, selector, shadowPath = []) {',
+      '  const element = await find(driver, selector, shadowPath);',
+      '  await driver.wait(until.elementIsVisible(element), TIMEOUT);',
+      '  await driver.wait(until.elementIsEnabled(element), TIMEOUT);',
+      '  return element;',
+      '}',
+      ''
+    ],
+    testStart: () => [
+      '(async () => {',
+      "  const driver = await new Builder().forBrowser('chrome').build();",
+      '  try {'
+    ],
+    snakeCase: false,
+    groupFunction: (name, label, lines) => [
+      `/** ${label.replace(/\*\//g, '* /')} */`,
+      `async function ${name}(driver) {`,
+      ...lines.map(line => `  ${line}`),
+      '}',
+      ''
+    ],
+    callGroup: (name) => `await ${name}(driver);`,
+    footer: () => [
+      '  } finally {',
+      '    await driver.quit();',
+      '  }',
+      '})();',
+      ''
+    ],
+    emptyBody: null,
+    find: (selector, shadowPath) => `(await find(driver, ${selector}${shadowPath.length > 0 ? `, [${shadowPath.join(', ')}]` : ''}))`,
+    clickable: (selector, shadowPath) => `(await clickable(driver, ${selector}${shadowPath.length > 0 ? `, [${shadowPath.join(', ')}]` : ''}))`,
+    navigate: (url) => `await driver.get(${url});`,
+    waitForUrl: (url) => `await driver.wait(until.urlIs(${url}), TIMEOUT);`,
+    setViewport: (width, height) => `await driver.manage().window().setRect({ width: ${width}, height: ${height} });`,
+    defaultContent: () => 'await driver.switchTo().defaultContent();',
+    currentWindow: (tab) => `windows[${jsString(tab)}] = await driver.getWindowHandle();`,
+    waitForNewWindow: (tab) => `windows[${jsString(tab)}] = await driver.wait(async () => (await driver.getAllWindowHandles()).find(handle => !Object.values(windows).includes(handle)), TIMEOUT);`,
+    newWindow: (tab) => [
+      "await driver.switchTo().newWindow('tab');",
+      `windows[${jsString(tab)}] = await driver.getWindowHandle();`
+    ],
+    switchToWindow: (tab) => `await driver.switchTo().window(windows[${jsString(tab)}]);`,
+    closeWindow: (tab) => [
+      `if ((await driver.getAllWindowHandles()).includes(windows[${jsString(tab)}])) {`,
+      `  await driver.switchTo().window(windows[${jsString(tab)}]);`,
+      '  await driver.close();',
+      '}'
+    ],
+    switchToFrame: (selector) => `await driver.wait(until.ableToSwitchToFrame(By.css(${selector})), TIMEOUT);`,
+    click: (element) => `await ${element}.click();`,
+    doubleClick: (element) => `await driver.actions().doubleClick(${element}).perform();`,
+    contextClick: (element) => `await driver.actions().contextClick(${element}).perform();`,
+    hover: (element) => `await driver.actions().move({ origin: ${element} }).perform();`,
+    dragAndDrop: (source, target) => `await driver.actions().dragAndDrop(${source}, ${target}).perform();`,
+    html5DragAndDrop: (source, target) => `await driver.executeScript(DRAG_AND_DROP_HTML5, ${source}, ${target});`,
+    selectOption: (element, by, value) => `await new Select(${element}).selectBy${by === 'label' ? 'VisibleText' : 'Value'}(${value});`,
+    deselectAll: (element) => `await new Select(${element}).deselectAll();`,
+    submit: (element) => `await ${element}.submit();`,
+    scrollWindow: (x, y) => `await driver.executeScript('window.scrollTo(arguments[0], arguments[1])', ${x}, ${y});`,
+    scrollElement: (element, x, y) => `await driver.executeScript('arguments[0].scrollTo(arguments[1], arguments[2])', ${element}, ${x}, ${y});`,
+    filePaths: (files) => (files.length === 1 ? `path.resolve(${files[0]})` : `[${files.map(file => `path.resolve(${file})`).join(', ')}].join('\\n')`),
+    ifThen: (condition, statement) => `if (${condition}) ${statement}`,
+    clear: (element) => `await ${element}.clear();`,
+    sendKeys: (element, keys) => `await ${element}.sendKeys(${keys.join(', ')});`,
+    pressKeys: (modifiers, key) => `await driver.actions()${modifiers.map(m => `.keyDown(${m})`).join('')}.sendKeys(${key})${modifiers.map(m => `.keyUp(${m})`).join('')}.perform();`,
+    secret: (name) => `process.env[${jsString(name)}]`,
+    text: (element) => `await ${element}.getText()`,
+    value: (element) => `await ${element}.getAttribute('value')`,
+    isSelected: (element) => `await ${element}.isSelected()`,
+    isEnabled: (element) => `await ${element}.isEnabled()`,
+    isDisplayed: (element) => `await ${element}.isDisplayed()`,
+    assertEqual: (actual, expected) => `assert.strictEqual(${actual}, ${expected});`,
+    assertContains: (actual, expected) => `assert.ok((${actual}).includes(${expected}));`,
+    assertTrue: (actual) => `assert.ok(${actual});`,
+    assertFalse: (actual) => `assert.ok(!(${actual}));`,
+    attribute: (element, name) => `await ${element}.getAttribute(${name})`,
+    readyState: () => "await driver.executeScript('return document.readyState')",
+    isEqual: (actual, expected) => `(${actual}) === ${expected}`,
+    negate: (condition) => `!(${condition})`,
+    isNull: (actual) => `(${actual}) === null`,
+    waitUntil: (condition) => `await driver.wait(async () => ${condition}, TIMEOUT);`
+  }
+};
+
+/**
+ * Builds the Selenium key constants for a 'keyDown' action, e.g. Keys.CONTROL and Keys.ENTER.
+ * @param {object} action A 'keyDown' action.
+ * @param {object} dialect The Selenium dialect.
+ * @returns {{modifiers: string[], key: string}|null} The keys, or null if the key has no Selenium equivalent.
+ */
+function getSeleniumKeys(action, dialect) {
+  const key = SELENIUM_KEYS[action.key] ? `${dialect.keys}.${SELENIUM_KEYS[action.key]}` : (action.key.length === 1 ? jsString(action.key) : null);
+  if (!key) return null;
+  const modifiers = [];
+  if (action.ctrlKey) modifiers.push(`${dialect.keys}.CONTROL`);
+  if (action.altKey) modifiers.push(`${dialect.keys}.ALT`);
+  if (action.shiftKey) modifiers.push(`${dialect.keys}.SHIFT`);
+  if (action.metaKey) modifiers.push(`${dialect.keys}.META`);
+  return { modifiers, key };
+}
+
+/**
+ * Builds the Selenium assertion statement for an 'assert' action.
+ * @param {object} action An 'assert' action.
+ * @param {string} element The expression that finds the asserted element.
+ * @param {object} dialect The Selenium dialect.
+ * @param {object} secrets The tracker for redacted values.
+ * @returns {string} The statement.
+ */
+function getSeleniumAssertion(action, element, dialect, secrets) {
+  const { name, expected } = getAssertion(action);
+  switch (name) {
+    case 'text':
+      return dialect.assertContains(dialect.text(element), jsString(expected ?? ''));
+    case 'value': {
+      const value = expected === REDACTED_VALUE ? dialect.secret(secrets.next()) : jsString(expected ?? '');
+      return dialect.assertEqual(dialect.value(element), value);
+    }
+    case 'checked':
+      return expected ? dialect.assertTrue(dialect.isSelected(element)) : dialect.assertFalse(dialect.isSelected(element));
+    case 'disabled':
+      return expected ? dialect.assertFalse(dialect.isEnabled(element)) : dialect.assertTrue(dialect.isEnabled(element));
+    default:
+      return expected === false ? dialect.assertFalse(dialect.isDisplayed(element)) : dialect.assertTrue(dialect.isDisplayed(element));
+  }
+}
+
+/**
+ * Builds the Selenium statement for a 'waitFor' step.
+ * @param {object} action A 'waitFor' step.
+ * @param {string|null} element The expression that finds the awaited element.
+ * @param {object} dialect The Selenium dialect.
+ * @returns {string} The statement.
+ */
+function getSeleniumWait(action, element, dialect) {
+  switch (action.condition) {
+    case 'navigation':
+      return dialect.waitUntil(dialect.isEqual(dialect.readyState(), "'complete'"));
+    case 'hidden':
+      return dialect.waitUntil(dialect.negate(dialect.isDisplayed(element)));
+    case 'enabled':
+      return dialect.waitUntil(dialect.isEnabled(element));
+    case 'attribute': {
+      const attribute = dialect.attribute(element, jsString(action.attributeName));
+      return dialect.waitUntil(action.value === null ? dialect.isNull(attribute) : dialect.isEqual(attribute, jsString(action.value)));
+    }
+    default:
+      return dialect.waitUntil(dialect.isDisplayed(element));
+  }
+}
+
+/**
+ * Converts the recording into a Selenium WebDriver script. Every element lookup waits
+ * explicitly, Shadow DOM hosts are walked through their shadow roots, and the driver
+ * switches frames whenever the recorded frame context changes.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @param {string} language The target language, a key of SELENIUM_DIALECTS.
+ * @returns {string} The source of the script.
+ */
+function toSeleniumScript(clicks, language) {
+  const dialect = SELENIUM_DIALECTS[language];
+  const recording = foldDoubleClicks(flattenRecording(clicks));
+  const secrets = createSecretTracker();
+  const lines = [];
+  const tabs = createTabNumbering();
+  // The URL of each tab's top-level page and the previous step in it, by tab number
+  const pageUrls = new Map();
+  const previousSteps = new Map();
+  let pageUrl = null;
+  let currentTab = null;
+  let currentFrame = null;
+
+  const findElement = (action, method = 'find') => dialect[method](
+    jsString(action.element.selector),
+    (action.element.shadowDOMPath || []).map(jsString)
+  );
+
+  // Switches to the frame an action was recorded in, if it differs from the current one.
+  const enterFrame = (action) => {
+    const frame = (isTopFrame(action) || !action.frameUrl) ? null : getFrameSelector(action.frameUrl, pageUrl);
+    if (frame === currentFrame) return;
+    lines.push(dialect.defaultContent());
+    if (frame) lines.push(dialect.switchToFrame(jsString(frame)));
+    currentFrame = frame;
+  };
+
+  // Switches to the window of the tab an action was recorded in, if it differs from the current one.
+  const enterTab = (tab) => {
+    if (tab === currentTab) return;
+    lines.push(dialect.switchToWindow(`tab${tab}`));
+    currentTab = tab;
+    currentFrame = null;
+  };
+
+  for (const action of recording) {
+    // Markers are added from the popup and belong to no tab in particular
+    if (action.type === 'marker') {
+      lines.push({ marker: action.label });
+      continue;
+    }
+    const isNewTab = !tabs.has(action.tabId);
+    const tab = tabs.number(action.tabId);
+    const previous = previousSteps.get(tab) ?? null;
+    pageUrl = pageUrls.get(tab) ?? null;
+    if (tab === 1 && isNewTab) {
+      currentTab = tab;
+    } else if (isNewTab && action.type !== 'newTab') {
+      // Tabs used without a 'newTab' step, e.g. opened while recording was paused, get a new window
+      lines.push(...dialect.newWindow(`tab${tab}`));
+      currentTab = tab;
+      currentFrame = null;
+    }
+    switch (action.type) {
+      case 'pageLoad':
+        if (!isTopFrame(action)) continue;
+        enterTab(tab);
+        enterFrame(action);
+        // Navigations triggered by the previous action only need to be awaited.
+        if (previous && (previous.type === 'newTab' || (pageUrl && NAVIGATION_TRIGGER_TYPES.includes(previous.type)))) {
+          lines.push(dialect.waitForUrl(jsString(action.url)));
+        } else {
+          lines.push(dialect.navigate(jsString(action.url)));
+        }
+        pageUrls.set(tab, action.url);
+        break;
+      case 'newTab':
+        // The window is switched to when its first step runs, as tabs can open in the background.
+        lines.push(dialect.waitForNewWindow(`tab${tab}`));
+        break;
+      case 'switchTab':
+        enterTab(tab);
+        continue;
+      case 'closeTab':
+        lines.push(...dialect.closeWindow(`tab${tab}`));
+        currentTab = null;
+        continue;
+      case 'setViewport':
+        enterTab(tab);
+        lines.push(dialect.setViewport(action.width, action.height));
+        break;
+      case 'outOfScopeNavigation':
+        if (!isTopFrame(action)) continue;
+        // The steps outside the scope were not recorded, so the page the flow returns to is opened directly
+        lines.push(`${dialect.comment} The recorded flow continued on ${action.url} here, outside the recording scope`);
+        break;
+      case 'click':
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(dialect.click(findElement(action, 'clickable')));
+        break;
+      case 'doubleClick':
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(dialect.doubleClick(findElement(action, 'clickable')));
+        break;
+      case 'contextMenu':
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(dialect.contextClick(findElement(action, 'clickable')));
+        break;
+      case 'hover':
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(dialect.hover(findElement(action)));
+        break;
+      case 'select': {
+        enterTab(tab);
+        enterFrame(action);
+        const options = action.options || [];
+        if (options.length !== 1) lines.push(dialect.deselectAll(findElement(action)));
+        for (const option of options) {
+          if (option.value === REDACTED_VALUE) {
+            lines.push(dialect.selectOption(findElement(action), 'value', dialect.secret(secrets.next())));
+          } else {
+            lines.push(option.value === ''
+              ? dialect.selectOption(findElement(action), 'label', jsString(option.label))
+              : dialect.selectOption(findElement(action), 'value', jsString(option.value)));
+          }
+        }
+        break;
+      }
+      case 'check': {
+        enterTab(tab);
+        enterFrame(action);
+        // Clicking toggles the box, so it is only clicked when not in the recorded state yet
+        const isSelected = dialect.isSelected(findElement(action));
+        lines.push(dialect.ifThen(action.checked ? dialect.negate(isSelected) : isSelected, dialect.click(findElement(action, 'clickable'))));
+        break;
+      }
+      case 'fileUpload': {
+        enterTab(tab);
+        enterFrame(action);
+        const files = getUploadFileExpressions(action, jsString, dialect.secret, secrets);
+        lines.push(files.length > 0 ? dialect.sendKeys(findElement(action), [dialect.filePaths(files)]) : dialect.clear(findElement(action)));
+        break;
+      }
+      case 'dragAndDrop': {
+        enterTab(tab);
+        enterFrame(action);
+        const method = action.method === 'html5' ? 'html5DragAndDrop' : 'dragAndDrop';
+        lines.push(dialect[method](findElement(action), findElement({ ...action, element: action.target })));
+        break;
+      }
+      case 'submit':
+        // Forms submitted by a click or the Enter key need no step of their own
+        if (!isImplicitSubmit(previous)) {
+          enterTab(tab);
+          enterFrame(action);
+          lines.push(dialect.submit(findElement(action)));
+        }
+        break;
+      case 'scroll':
+        // Selenium scrolls elements into view before acting on them, as focus changes do
+        if (action.cause === 'focus') continue;
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(isPageElement(action.element)
+          ? dialect.scrollWindow(action.scrollX, action.scrollY)
+          : dialect.scrollElement(findElement(action), action.scrollX, action.scrollY));
+        break;
+      case 'assert':
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(getSeleniumAssertion(action, findElement(action), dialect, secrets));
+        break;
+      case 'waitFor':
+        // WebDriver has no access to the browser's network traffic.
+        if (action.condition === 'response') continue;
+        enterTab(tab);
+        enterFrame(action);
+        lines.push(getSeleniumWait(action, action.element && findElement(action), dialect));
+        continue;
+      case 'inputSequence': {
+        enterTab(tab);
+        enterFrame(action);
+        const value = action.finalValue === REDACTED_VALUE
+          ? dialect.secret(secrets.next())
+          : jsString(action.finalValue ?? '');
+        const keys = getTrailingKeys(action.events).map(key => `${dialect.keys}.${SELENIUM_KEYS[key]}`);
+        lines.push(dialect.clear(findElement(action)));
+        lines.push(dialect.sendKeys(findElement(action), [value, ...keys]));
+        break;
+      }
+      case 'keyDown': {
+        enterTab(tab);
+        enterFrame(action);
+        const keys = getSeleniumKeys(action, dialect);
+        if (!keys) continue;
+        // Modifiers passed to an element's send keys stay pressed until the end of the call.
+        lines.push(isPageElement(action.element)
+          ? dialect.pressKeys(keys.modifiers, keys.key)
+          : dialect.sendKeys(findElement(action), [...keys.modifiers, keys.key]));
+        break;
+      }
+      case 'paste': {
+        enterTab(tab);
+        enterFrame(action);
+        const text = action.pastedText === REDACTED_VALUE
+          ? dialect.secret(secrets.next())
+          : jsString(action.pastedText ?? '');
+        lines.push(isPageElement(action.element) ? dialect.pressKeys([], text) : dialect.sendKeys(findElement(action), [text]));
+        break;
+      }
+      default:
+        // Focus events and attribute changes have no Selenium equivalent worth replaying.
+        continue;
+    }
+    previousSteps.set(tab, action);
+  }
+  // The first tab's handle is known from the start, so new windows can be told apart from it
+  if (tabs.count() > 1) lines.unshift(dialect.currentWindow('tab1'));
+
+  // Each marker's steps become a function, called from the test in recording order
+  const functions = [];
+  const body = [];
+  const names = new Set();
+  for (const group of groupLines(lines)) {
+    if (group.label === null) {
+      body.push(...group.lines);
+      continue;
+    }
+    const name = getGroupFunctionName(group.label, names, dialect.snakeCase);
+    const functionLines = group.lines.length === 0 && dialect.emptyBody ? [dialect.emptyBody] : group.lines;
+    functions.push(...dialect.groupFunction(name, group.label, functionLines));
+    body.push(dialect.callGroup(name));
+  }
+  if (body.length === 0 && dialect.emptyBody) body.push(dialect.emptyBody);
+  return [
+    ...getRedactionComments(getRedactionSummary(clicks), dialect.comment),
+    ...dialect.header(secrets.names, {
+      assertions: recording.some(action => action.type === 'assert'),
+      windows: tabs.count() > 1,
+      select: recording.some(action => action.type === 'select'),
+      uploads: recording.some(action => action.type === 'fileUpload' && (action.files || []).length > 0),
+      files: getUploadedFileNames(recording),
+      html5Drag: recording.some(action => action.type === 'dragAndDrop' && action.method === 'html5')
+    }),
+    ...functions,
+    ...dialect.testStart(),
+    ...body.map(line => `${dialect.indent}${line}`),
+    ...dialect.footer()
+  ].join('\n');
+}
+
+// --- Chrome DevTools Recorder ---
+
+/**
+ * Selector prefixes used by the DevTools Recorder for non-CSS selectors.
+ * @type {string[]}
+ */
+const DEVTOOLS_SELECTOR_PREFIXES = ['aria/', 'xpath/', 'text/', 'pierce/'];
+
+/**
+ * Builds the DevTools Recorder selectors for a recorded element. Each selector is an
+ * array that steps through Shadow DOM hosts, from the outermost host to the element.
+ * The unique locators recorded for the element are offered as alternatives, in rank
+ * order; ARIA and text selectors pierce shadow roots on their own.
+ * @param {object} element The recorded element info.
+ * @returns {Array<string[]>} The selectors.
+ */
+function getDevToolsSelectors(element) {
+  const hosts = element.shadowDOMPath || [];
+  const selectors = [];
+  for (const candidate of element.locators || []) {
+    if (candidate.matches !== 1) continue;
+    switch (candidate.strategy) {
+      case 'role':
+        selectors.push([`aria/${candidate.value}[role="${candidate.role}"]`]);
+        break;
+      case 'text':
+        selectors.push([`text/${candidate.value}`]);
+        break;
+      case 'xpath':
+        selectors.push([`xpath/${candidate.value}`]);
+        break;
+      case 'testId':
+        selectors.push([...hosts, `[${candidate.attribute}="${candidate.value.replace(/"/g, '\\"')}"]`]);
+        break;
+      case 'css':
+        selectors.push([...hosts, candidate.value]);
+        break;
+    }
+  }
+  if (!selectors.some(selector => selector[selector.length - 1] === element.selector)) {
+    selectors.push([...hosts, element.selector]);
+  }
+  return selectors;
+}
+
+/**
+ * Element properties checked by 'waitForElement' steps, per asserted property.
+ * @type {Object<string, string>}
+ */
+const DEVTOOLS_ASSERTION_PROPERTIES = { text: 'innerText', value: 'value', checked: 'checked', disabled: 'disabled' };
+
+/**
+ * Builds the 'waitForElement' conditions for an 'assert' action: element properties
+ * for text, value, checked and disabled, or the visible flag.
+ * @param {object} action An 'assert' action.
+ * @returns {object} The conditions to merge into the step.
+ */
+function getDevToolsAssertion(action) {
+  const { name, expected } = getAssertion(action);
+  if (DEVTOOLS_ASSERTION_PROPERTIES[name]) {
+    return { properties: { [DEVTOOLS_ASSERTION_PROPERTIES[name]]: expected } };
+  }
+  return { visible: expected !== false };
+}
+
+/**
+ * Builds the DevTools Recorder step for a 'waitFor' step. Absent attributes are
+ * awaited as zero matches of the element's CSS selector with an attribute selector.
+ * @param {object} action A 'waitFor' step.
+ * @returns {object} The 'waitForElement' or 'waitForExpression' step.
+ */
+function getDevToolsWait(action) {
+  if (action.condition === 'navigation') {
+    return { type: 'waitForExpression', expression: "document.readyState === 'complete'" };
+  }
+  const step = { type: 'waitForElement', target: 'main', selectors: getDevToolsSelectors(action.element) };
+  switch (action.condition) {
+    case 'hidden':
+      return { ...step, visible: false };
+    case 'enabled':
+      return { ...step, properties: { disabled: false } };
+    case 'attribute':
+      if (action.value === null) {
+        const selector = `${action.element.selector}[${action.attributeName}]`;
+        return { ...step, selectors: [[...(action.element.shadowDOMPath || []), selector]], count: 0 };
+      }
+      return { ...step, attributes: { [action.attributeName]: action.value } };
+    default:
+      return { ...step, visible: true };
+  }
+}
+
+/**
+ * Builds a DevTools Recorder 'click' or 'doubleClick' step on the middle of the recorded element.
+ * @param {object} action The recorded action.
+ * @param {string} type The step type.
+ * @returns {object} The step.
+ */
+function getDevToolsClickStep(action, type) {
+  return {
+    type,
+    target: 'main',
+    selectors: getDevToolsSelectors(action.element),
+    offsetX: Math.round((action.element.style?.width || 0) / 2),
+    offsetY: Math.round((action.element.style?.height || 0) / 2)
+  };
+}
+
+/**
+ * Converts the recording into the Chrome DevTools Recorder / @puppeteer/replay user flow format.
+ * Navigations caused by an action are attached to it as asserted events, as the Recorder does.
+ * Steps in tabs opened later target the URL of their tab's page, and the Recorder's replay
+ * waits for a page with that URL. The format cannot read secrets from elsewhere, so inputs,
+ * selections and assertions with redacted values are left out; the flow's title summarizes
+ * them and what was redacted.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {string} The user flow as a JSON document.
+ */
+function toDevToolsRecording(clicks) {
+  const recording = foldDoubleClicks(flattenRecording(clicks));
+  const steps = [];
+  let viewport = null;
+  const tabs = createTabNumbering();
+  // The URL of each tab's top-level page and the previous step in it, by tab number
+  const pageUrls = new Map();
+  const previousSteps = new Map();
+  let redactedSteps = 0;
+
+  const pushViewport = (next) => {
+    if (viewport && viewport.width === next.width && viewport.height === next.height) return;
+    viewport = next;
+    steps.push({
+      type: 'setViewport',
+      width: next.width,
+      height: next.height,
+      deviceScaleFactor: next.deviceScaleFactor || 1,
+      isMobile: !!next.isMobile,
+      hasTouch: !!next.hasTouch,
+      isLandscape: !!next.isLandscape
+    });
+  };
+
+  for (const action of recording) {
+    if (action.type === 'marker') continue;
+    const tab = tabs.number(action.tabId);
+    const target = tab === 1 ? 'main' : (pageUrls.get(tab) ?? 'main');
+    const previous = previousSteps.get(tab) ?? null;
+    // Adds steps, pointing the ones that act on a page at the action's tab, and on a frame
+    // at the frame path of an imported step
+    const push = (...items) => {
+      for (const item of items) {
+        if (target !== 'main' && item.type !== 'setViewport') item.target = target;
+        if (action.framePath && item.type !== 'setViewport') item.frame = action.framePath;
+        steps.push(item);
+      }
+    };
+    let step = null;
+    switch (action.type) {
+      case 'setViewport':
+        pushViewport(action);
+        continue;
+      case 'pageLoad': {
+        if (!isTopFrame(action)) continue;
+        if (action.viewport) pushViewport(action.viewport);
+        const navigation = { type: 'navigation', url: action.url, title: action.title || '' };
+        pageUrls.set(tab, action.url);
+        if (previous && previous.type === 'newTab') {
+          // The page opens by itself; the steps on it find it by its URL.
+          previousSteps.set(tab, null);
+        } else if (previous && ['click', 'doubleClick', 'keyDown', 'change'].includes(previous.type)) {
+          previous.assertedEvents = [navigation];
+        } else {
+          step = { type: 'navigate', url: action.url, assertedEvents: [navigation] };
+        }
+        break;
+      }
+      case 'newTab':
+        previousSteps.set(tab, action);
+        continue;
+      case 'outOfScopeNavigation':
+        // The page the flow returns to is navigated to, rather than awaited after the step that left
+        if (isTopFrame(action)) previousSteps.set(tab, null);
+        continue;
+      case 'switchTab':
+      case 'closeTab':
+        // Replays of the user flow find pages by their URL, whichever tab is in front.
+        continue;
+      case 'click':
+      case 'check':
+        // Checkboxes and radio buttons change state when clicked
+        step = getDevToolsClickStep(action, 'click');
+        break;
+      case 'doubleClick':
+        step = getDevToolsClickStep(action, 'doubleClick');
+        break;
+      case 'contextMenu':
+        step = { ...getDevToolsClickStep(action, 'click'), button: 'secondary' };
+        break;
+      case 'scroll':
+        // Replays scroll elements into view before acting on them, as focus changes do
+        if (action.cause === 'focus') continue;
+        step = { type: 'scroll', target: 'main', x: action.scrollX, y: action.scrollY };
+        if (!isPageElement(action.element)) step.selectors = getDevToolsSelectors(action.element);
+        break;
+      case 'select':
+        if (action.options?.[0]?.value === REDACTED_VALUE) {
+          redactedSteps++;
+          continue;
+        }
+        // A 'change' step sets the dropdown's value, i.e. its first selected option
+        step = { type: 'change', target: 'main', selectors: getDevToolsSelectors(action.element), value: action.options?.[0]?.value ?? '' };
+        break;
+      case 'hover':
+        step = { type: 'hover', target: 'main', selectors: getDevToolsSelectors(action.element) };
+        break;
+      case 'assert':
+        if (getAssertion(action).expected === REDACTED_VALUE) {
+          redactedSteps++;
+          continue;
+        }
+        step = { type: 'waitForElement', target: 'main', selectors: getDevToolsSelectors(action.element), ...getDevToolsAssertion(action) };
+        break;
+      case 'waitFor':
+        // The user flow format has no step that waits for a network response.
+        if (action.condition !== 'response') push(getDevToolsWait(action));
+        continue;
+      case 'inputSequence':
+        if (action.finalValue === REDACTED_VALUE) {
+          redactedSteps++;
+          continue;
+        }
+        step = { type: 'change', target: 'main', selectors: getDevToolsSelectors(action.element), value: action.finalValue ?? '' };
+        push(step);
+        for (const key of getTrailingKeys(action.events)) {
+          push({ type: 'keyDown', target: 'main', key }, { type: 'keyUp', target: 'main', key });
+        }
+        previousSteps.set(tab, step);
+        continue;
+      case 'keyDown':
+        step = { type: 'keyDown', target: 'main', key: action.key };
+        push(step, { type: 'keyUp', target: 'main', key: action.key });
+        previousSteps.set(tab, step);
+        continue;
+      default:
+        // The user flow format has no step for focus events, pastes, attribute changes, file
+        // uploads, drags or form submissions.
+        continue;
+    }
+    if (step) {
+      push(step);
+      previousSteps.set(tab, step);
+    }
+  }
+
+  const redactions = getRedactionSummary(clicks);
+  const notes = [];
+  if (redactions.length > 0) notes.push(`redacted during recording: ${redactions.map(redaction => describeRedaction(redaction).replace(/\s+/g, ' ')).join('; ')}`);
+  if (redactedSteps > 0) notes.push(`${redactedSteps} step${redactedSteps > 1 ? 's' : ''} with redacted values left out`);
+  const title = `Record Steps ${new Date().toISOString()}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+  return JSON.stringify({ title, steps }, null, 2);
+}
+
+/**
+ * Converts DevTools Recorder selectors back into a recorded element. The first plain
+ * CSS selector is preferred; the last entry of its array is the element itself and
+ * the preceding entries are its Shadow DOM hosts.
+ * @param {Array<string|string[]>} selectors The step's selectors.
+ * @returns {object} A minimal element info object.
+ */
+function getElementFromDevToolsSelectors(selectors) {
+  const candidates = (selectors || []).map(selector => Array.isArray(selector) ? selector : [selector]);
+  const css = candidates.find(parts => parts.every(part => !DEVTOOLS_SELECTOR_PREFIXES.some(prefix => part.startsWith(prefix))));
+  const parts = [...(css || candidates[0] || [''])];
+  const selector = parts.pop();
+  return { selector, shadowDOMPath: parts, tagName: null };
+}
+
+/**
+ * Converts a Chrome DevTools Recorder user flow into recorded actions.
+ * Steps without a Record Steps equivalent are skipped. The frame path of steps in frames,
+ * the indexes of the frames from the top-level page down, is kept as 'framePath', so that
+ * exporting the steps to the user flow format again keeps their frames.
+ * @param {{steps: Array<object>}} flow The parsed user flow.
+ * @returns {{clicks: Array<object>, skipped: number}} The actions and the number of skipped steps.
+ */
+function fromDevToolsRecording(flow) {
+  const clicks = [];
+  let skipped = 0;
+  let pageUrl = null;
+
+  let frame = null;
+
+  const push = (action) => {
+    if (action.type === 'pageLoad') pageUrl = action.url;
+    // The user flow has no timings, so steps are spaced one second apart.
+    const imported = { ...action, relativeTime: clicks.length * 1000, url: action.url ?? pageUrl, frameId: 0 };
+    if (frame) imported.framePath = frame;
+    clicks.push(imported);
+  };
+
+  for (const step of flow.steps) {
+    frame = Array.isArray(step.frame) && step.frame.length > 0 ? step.frame : null;
+    switch (step.type) {
+      case 'setViewport':
+        push({
+          type: 'setViewport',
+          width: step.width,
+          height: step.height,
+          deviceScaleFactor: step.deviceScaleFactor,
+          isMobile: step.isMobile,
+          hasTouch: step.hasTouch,
+          isLandscape: step.isLandscape
+        });
+        break;
+      case 'navigate':
+        push({ type: 'pageLoad', url: step.url, title: step.assertedEvents?.[0]?.title || '' });
+        continue;
+      case 'click':
+        push({ type: step.button === 'secondary' ? 'contextMenu' : 'click', element: getElementFromDevToolsSelectors(step.selectors) });
+        break;
+      case 'doubleClick':
+        push({ type: 'doubleClick', element: getElementFromDevToolsSelectors(step.selectors) });
+        break;
+      case 'scroll':
+        push({
+          type: 'scroll',
+          element: step.selectors ? getElementFromDevToolsSelectors(step.selectors) : null,
+          scrollX: step.x || 0,
+          scrollY: step.y || 0,
+          cause: 'user'
+        });
+        break;
+      case 'hover':
+        push({ type: 'hover', element: getElementFromDevToolsSelectors(step.selectors) });
+        break;
+      case 'change':
+        push({ type: 'inputSequence', element: getElementFromDevToolsSelectors(step.selectors), events: [], finalValue: step.value });
+        break;
+      case 'keyDown':
+        push({ type: 'keyDown', element: null, key: step.key, code: null, ctrlKey: false, shiftKey: false, altKey: false, metaKey: false });
+        break;
+      case 'waitForElement': {
+        // Attribute and count conditions have no equivalent assertion.
+        if (step.attributes || step.count !== undefined) {
+          skipped++;
+          continue;
+        }
+        const [name, property] = Object.entries(DEVTOOLS_ASSERTION_PROPERTIES)
+          .find(([, key]) => step.properties && Object.hasOwn(step.properties, key)) || ['visible', null];
+        const expected = property ? step.properties[property] : step.visible !== false;
+        push({ type: 'assert', element: getElementFromDevToolsSelectors(step.selectors), assertions: { [name]: expected }, assertion: name });
+        break;
+      }
+      case 'keyUp':
+        continue;
+      default:
+        skipped++;
+        continue;
+    }
+    // Navigations an action caused follow it as their own page load, of the top-level page.
+    frame = null;
+    for (const event of step.assertedEvents || []) {
+      if (event.type === 'navigation' && event.url) {
+        push({ type: 'pageLoad', url: event.url, title: event.title || '' });
+      }
+    }
+  }
+
+  return { clicks, skipped };
+}
+
+// --- Step reports ---
+
+/**
+ * Names for elements without an ARIA role, by tag name.
+ * @type {Object<string, string>}
+ */
+const REPORT_ELEMENT_KINDS = {
+  A: 'link',
+  BUTTON: 'button',
+  IMG: 'image',
+  INPUT: 'field',
+  SELECT: 'dropdown',
+  TEXTAREA: 'field'
+};
+
+/**
+ * Shortens a recorded text to a single line for a report.
+ * @param {*} text The text.
+ * @param {number} [maxLength=60] The maximum length.
+ * @returns {string} The shortened text, empty if there is none.
+ */
+function shortenReportText(text, maxLength = 60) {
+  const line = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.substring(0, maxLength - 1)}…` : line;
+}
+
+/**
+ * Describes a recorded element the way a person would refer to it, from its accessible
+ * role and name, or its label, text and tag name, e.g. "button 'Submit' (data-testid=submit)".
+ * @param {object|null} element The recorded element info.
+ * @returns {string} The description.
+ */
+function describeReportElement(element) {
+  if (!element || isPageElement(element)) return 'the page';
+  const locators = element.locators || [];
+  const role = locators.find(candidate => candidate.strategy === 'role');
+  const label = locators.find(candidate => candidate.strategy === 'label');
+  const testId = locators.find(candidate => candidate.strategy === 'testId');
+  const tagName = (element.tagName || '').toUpperCase();
+  const kind = (role && role.role) || element.role || REPORT_ELEMENT_KINDS[tagName] ||
+    (tagName ? tagName.toLowerCase() : 'element');
+  const name = shortenReportText((role && role.value) || (label && label.value) || element.ariaLabel ||
+    element.textContent || element.alt || element.title);
+  const hint = testId ? `${testId.attribute}=${testId.value}` : (element.id ? `id=${element.id}` : null);
+  return [kind, name && `'${name}'`, hint && `(${hint})`].filter(Boolean).join(' ');
+}
+
+/**
+ * Describes what an 'assert' step checks, e.g. "field 'Email' has the value 'a@b.c'".
+ * @param {object} action An 'assert' step.
+ * @returns {string} The description.
+ */
+function describeReportAssertion(action) {
+  const element = describeReportElement(action.element);
+  const { name, expected } = getAssertion(action);
+  switch (name) {
+    case 'text':
+      return `${element} shows the text '${shortenReportText(expected, 120)}'`;
+    case 'value':
+      return expected === REDACTED_VALUE ? `${element} has the secret value` : `${element} has the value '${shortenReportText(expected, 120)}'`;
+    case 'checked':
+      return `${element} is ${expected ? '' : 'not '}checked`;
+    case 'disabled':
+      return `${element} is ${expected ? 'disabled' : 'enabled'}`;
+    default:
+      return `${element} is ${expected === false ? 'hidden' : 'visible'}`;
+  }
+}
+
+/**
+ * Describes what a 'waitFor' step waits for.
+ * @param {object} action A 'waitFor' step.
+ * @returns {string} The description.
+ */
+function describeReportWait(action) {
+  const element = describeReportElement(action.element);
+  switch (action.condition) {
+    case 'navigation':
+      return 'Wait for the page to finish loading';
+    case 'response':
+      return `Wait for the response to ${action.method} ${action.url}`;
+    case 'hidden':
+      return `Wait for ${element} to disappear`;
+    case 'enabled':
+      return `Wait for ${element} to be enabled`;
+    case 'attribute':
+      return action.value === null
+        ? `Wait for ${element} to lose its ${action.attributeName} attribute`
+        : `Wait for the ${action.attributeName} of ${element} to become '${shortenReportText(action.value)}'`;
+    default:
+      return `Wait for ${element} to appear`;
+  }
+}
+
+/**
+ * Formats a file size for a report, e.g. '1.5 MB'.
+ * @param {number} bytes The size in bytes.
+ * @returns {string} The formatted size.
+ */
+function formatReportFileSize(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let size = bytes || 0;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} bytes` : `${size.toFixed(1).replace(/\.0$/, '')} ${units[unit]}`;
+}
+
+/**
+ * Converts a recording into readable steps, grouped under its markers. Focus events and
+ * attribute changes are left out, as are out-of-scope navigations of embedded frames.
+ * Each step has the Gherkin keyword that fits it: Given for the first page, Then for
+ * checks, and When for everything else.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {Array<{label: string|null, steps: Array<{keyword: string, text: string}>}>} The sections.
+ */
+function getReportSections(clicks) {
+  const sections = [{ label: null, steps: [] }];
+  let previous = null;
+  let hasPage = false;
+  // The URL of each tab's top-level page, to tell tabs apart
+  const tabUrls = new Map();
+  const describeTab = (tabId) => (tabUrls.has(tabId) ? `the tab of ${tabUrls.get(tabId)}` : 'another tab');
+
+  for (const action of foldDoubleClicks(flattenRecording(clicks))) {
+    let keyword = 'When';
+    let text;
+    switch (action.type) {
+      case 'marker':
+        sections.push({ label: action.label, steps: [] });
+        continue;
+      case 'pageLoad':
+        if (!isTopFrame(action)) continue;
+        if (hasPage && previous && (previous.type === 'newTab' || NAVIGATION_TRIGGER_TYPES.includes(previous.type))) {
+          keyword = 'Then';
+          text = `Verify that the page navigates to ${action.url}`;
+        } else {
+          keyword = hasPage ? 'When' : 'Given';
+          text = `Navigate to ${action.url}`;
+        }
+        hasPage = true;
+        tabUrls.set(action.tabId, action.url);
+        break;
+      case 'newTab': {
+        const at = action.url && action.url !== 'about:blank' ? ` at ${action.url}` : '';
+        if (action.openerTabId != null) {
+          keyword = 'Then';
+          text = `Verify that a new tab opens${at}`;
+        } else {
+          text = `Open a new tab${at}`;
+        }
+        break;
+      }
+      case 'switchTab':
+        text = `Switch to ${describeTab(action.tabId)}`;
+        break;
+      case 'closeTab':
+        text = `Close ${describeTab(action.tabId)}`;
+        tabUrls.delete(action.tabId);
+        break;
+      case 'setViewport':
+        keyword = hasPage ? 'When' : 'Given';
+        text = `Resize the window to ${action.width}×${action.height}`;
+        break;
+      case 'outOfScopeNavigation':
+        if (!isTopFrame(action)) continue;
+        text = `Continue on ${action.url}, which is outside the recording scope`;
+        break;
+      case 'click':
+        text = `Click ${describeReportElement(action.element)}`;
+        break;
+      case 'doubleClick':
+        text = `Double-click ${describeReportElement(action.element)}`;
+        break;
+      case 'contextMenu':
+        text = `Right-click ${describeReportElement(action.element)}`;
+        break;
+      case 'hover':
+        text = `Hover over ${describeReportElement(action.element)}`;
+        break;
+      case 'select': {
+        const options = (action.options || []).map(option => (option.value === REDACTED_VALUE ? 'a secret option' : `'${shortenReportText(option.label || option.value)}'`));
+        text = options.length > 0
+          ? `Select ${options.join(', ')} in ${describeReportElement(action.element)}`
+          : `Clear the selection of ${describeReportElement(action.element)}`;
+        break;
+      }
+      case 'check': {
+        const element = describeReportElement(action.element);
+        text = action.control === 'radio' ? `Select ${element}` : `${action.checked ? 'Check' : 'Uncheck'} ${element}`;
+        break;
+      }
+      case 'fileUpload': {
+        const files = (action.files || []).map(file => `${file.name === REDACTED_VALUE ? 'a file' : file.name} (${formatReportFileSize(file.size)})`);
+        text = files.length > 0
+          ? `Upload ${files.join(', ')} to ${describeReportElement(action.element)}`
+          : `Clear the files of ${describeReportElement(action.element)}`;
+        break;
+      }
+      case 'dragAndDrop':
+        text = `Drag ${describeReportElement(action.element)} onto ${describeReportElement(action.target)}`;
+        break;
+      case 'scroll':
+        // Like focus events, the scrolls they cause are left out
+        if (action.cause === 'focus') continue;
+        text = `Scroll ${describeReportElement(action.element)} to position (${action.scrollX}, ${action.scrollY})`;
+        break;
+      case 'submit':
+        if (isImplicitSubmit(previous)) {
+          keyword = 'Then';
+          text = `Verify that ${describeReportElement(action.element)} is submitted`;
+        } else {
+          text = `Submit ${describeReportElement(action.element)}`;
+        }
+        break;
+      case 'inputSequence': {
+        const value = action.finalValue === REDACTED_VALUE ? 'a secret value' : `'${shortenReportText(action.finalValue, 120)}'`;
+        const keys = getTrailingKeys(action.events);
+        text = `Type ${value} into ${describeReportElement(action.element)}${keys.length > 0 ? ` and press ${keys.join(', ')}` : ''}`;
+        break;
+      }
+      case 'keyDown': {
+        const target = isPageElement(action.element) ? '' : ` in ${describeReportElement(action.element)}`;
+        text = `Press ${getPlaywrightKeyCombo(action)}${target}`;
+        break;
+      }
+      case 'paste': {
+        const value = action.pastedText === REDACTED_VALUE ? 'a secret value' : `'${shortenReportText(action.pastedText, 120)}'`;
+        text = `Paste ${value} into ${describeReportElement(action.element)}`;
+        break;
+      }
+      case 'assert':
+        keyword = 'Then';
+        text = `Verify that ${describeReportAssertion(action)}`;
+        break;
+      case 'waitFor':
+        sections[sections.length - 1].steps.push({ keyword, text: describeReportWait(action) });
+        continue;
+      default:
+        continue;
+    }
+    sections[sections.length - 1].steps.push({ keyword, text });
+    previous = action;
+  }
+  return sections[0].steps.length > 0 ? sections : sections.slice(1);
+}
+
+/**
+ * Summarizes a recording for the header of a report.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {{startUrl: string|null, duration: string}} Where it starts and how long it took.
+ */
+function getReportSummary(clicks) {
+  const start = clicks.find(action => action.type === 'pageLoad' && isTopFrame(action));
+  const duration = clicks.length > 0 ? clicks[clicks.length - 1].relativeTime || 0 : 0;
+  return { startUrl: start ? start.url : null, duration: `${(duration / 1000).toFixed(1)}s` };
+}
+
+/**
+ * Converts the recording into a Markdown test case with numbered steps, with a heading
+ * for each marker.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {string} The Markdown document.
+ */
+function toMarkdownReport(clicks) {
+  const { startUrl, duration } = getReportSummary(clicks);
+  const lines = ['# Recorded flow', ''];
+  if (startUrl) lines.push(`- **Start URL:** ${startUrl}`);
+  lines.push(`- **Duration:** ${duration}`, `- **Recorded:** ${new Date().toISOString()}`, '');
+  // Markdown syntax in recorded text would otherwise change the formatting
+  const escape = text => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+  let number = 0;
+  for (const section of getReportSections(clicks)) {
+    if (section.label !== null) lines.push(`## ${section.label}`, '');
+    for (const step of section.steps) {
+      number++;
+      lines.push(`${number}. ${escape(step.text)}`);
+    }
+    lines.push('');
+  }
+  const redactions = getRedactionSummary(clicks);
+  if (redactions.length > 0) {
+    lines.push('## Redactions', '', ...redactions.map(redaction => `- ${escape(describeRedaction(redaction))}`), '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} text The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts the recording into a standalone HTML test case with numbered steps, with a
+ * heading for each marker. Numbering continues across the markers.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {string} The HTML document.
+ */
+function toHtmlReport(clicks) {
+  const { startUrl, duration } = getReportSummary(clicks);
+  const body = [];
+  let number = 1;
+  for (const section of getReportSections(clicks)) {
+    if (section.label !== null) body.push(`  <h2>${escapeHtml(section.label)}</h2>`);
+    if (section.steps.length === 0) continue;
+    body.push(`  <ol start="${number}">`);
+    for (const step of section.steps) {
+      body.push(`    <li${step.keyword === 'Then' ? ' class="check"' : ''}>${escapeHtml(step.text)}</li>`);
+    }
+    body.push('  </ol>');
+    number += section.steps.length;
+  }
+  const redactions = getRedactionSummary(clicks);
+  if (redactions.length > 0) {
+    body.push('  <h2>Redactions</h2>', '  <ul>');
+    body.push(...redactions.map(redaction => `    <li>${escapeHtml(describeRedaction(redaction))}</li>`), '  </ul>');
+  }
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <title>Recorded flow</title>',
+    '  <style>',
+    '    body { max-width: 800px; margin: 24px auto; padding: 0 16px; font-family: Arial, sans-serif; color: #333; }',
+    '    dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; }',
+    '    dt { font-weight: bold; }',
+    '    dd { margin: 0; word-break: break-all; }',
+    '    li { margin: 4px 0; }',
+    '    li.check { color: #2e7d32; }',
+    '  </style>',
+    '</head>',
+    '<body>',
+    '  <h1>Recorded flow</h1>',
+    '  <dl>',
+    ...(startUrl ? [`    <dt>Start URL</dt><dd>${escapeHtml(startUrl)}</dd>`] : []),
+    `    <dt>Duration</dt><dd>${duration}</dd>`,
+    `    <dt>Recorded</dt><dd>${new Date().toISOString()}</dd>`,
+    '  </dl>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts the recording into a Gherkin feature with Given/When/Then steps. Consecutive
+ * steps with the same keyword are joined with And, and markers become comments, as the
+ * flow stays a single scenario.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @returns {string} The feature file.
+ */
+function toGherkinFeature(clicks) {
+  const lines = [...getRedactionComments(getRedactionSummary(clicks), '#'), 'Feature: Recorded flow', '', '  Scenario: Recorded flow'];
+  let lastKeyword = null;
+  for (const section of getReportSections(clicks)) {
+    if (section.label !== null) lines.push(`    # ${section.label.replace(/\s+/g, ' ')}`);
+    for (const step of section.steps) {
+      const keyword = step.keyword === lastKeyword ? 'And' : step.keyword;
+      lines.push(`    ${keyword} I ${step.text[0].toLowerCase()}${step.text.slice(1)}`);
+      lastKeyword = step.keyword;
+    }
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+// --- HAR ---
+
+/**
+ * Converts the captured network requests into an HTTP Archive (HAR 1.2). Each top-frame
+ * page load becomes a page, and each entry records the id and type of the step that
+ * triggered it in the custom _stepId and _stepType fields. The log's comment summarizes
+ * what was redacted from the requests.
+ * @param {Array<object>} clicks The raw array of recorded actions from storage.
+ * @param {Array<object>} [network=[]] The network requests captured alongside them.
+ * @returns {string} The HAR document.
+ */
+function toHar(clicks, network = []) {
+  const steps = new Map(clicks.filter(action => action.id).map(action => [action.id, action]));
+  const redactions = getRedactionSummary([], network);
+  // Every entry knows its absolute start time, which dates the recording's page loads.
+  const recordingStart = network.length > 0 ? Date.parse(network[0].startedDateTime) - network[0].startTime : Date.now();
+  const pageLoads = clicks.filter(action => action.type === 'pageLoad' && isTopFrame(action));
+  const pages = pageLoads.map((action, index) => ({
+    startedDateTime: new Date(recordingStart + action.relativeTime).toISOString(),
+    id: `page_${index + 1}`,
+    title: action.title || action.url,
+    pageTimings: {}
+  }));
+
+  const getPageRef = (entry) => {
+    let pageIndex = -1;
+    pageLoads.forEach((action, index) => {
+      if (action.tabId === entry.tabId && action.relativeTime <= entry.startTime) pageIndex = index;
+    });
+    return pageIndex >= 0 ? pages[pageIndex].id : undefined;
+  };
+
+  const entries = network.map(entry => {
+    let queryString = [];
+    try {
+      queryString = [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      // Relative or malformed URLs have no parseable query string
+    }
+    const request = {
+      method: entry.method,
+      url: entry.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: entry.requestHeaders || [],
+      queryString,
+      headersSize: -1,
+      bodySize: entry.requestBody != null ? entry.requestBody.length : -1
+    };
+    if (entry.requestBody != null) {
+      request.postData = { mimeType: entry.requestMimeType || '', text: entry.requestBody };
+    }
+    const content = { size: entry.responseBody != null ? entry.responseBody.length : 0, mimeType: entry.mimeType || '' };
+    if (entry.responseBody != null) content.text = entry.responseBody;
+    const step = steps.get(entry.stepId);
+    return {
+      pageref: getPageRef(entry),
+      startedDateTime: entry.startedDateTime,
+      time: entry.duration || 0,
+      request,
+      response: {
+        status: entry.status,
+        statusText: entry.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: entry.responseHeaders || [],
+        content,
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: entry.duration || 0, receive: 0 },
+      _resourceType: entry.type,
+      _stepId: entry.stepId || null,
+      _stepType: step ? step.type : null,
+      ...(entry.error ? { _error: entry.error } : {})
+    };
+  });
+
+  return JSON.stringify({
+    log: {
+      version: '1.2',
+      creator: { name: 'Record Steps', version: '1.0' },
+      pages,
+      entries,
+      ...(redactions.length > 0 ? { comment: `Redacted during recording: ${redactions.map(describeRedaction).join('; ')}` } : {})
+    }
+  }, null, 2);
+}
+
+/**
+ * Converts a file downloaded in the JSON format back into recorded actions. Attribute
+ * changes that toJsonExport() flattened are batched again per recorded time and frame,
+ * and grouped steps are put back after their 'marker' steps.
+ * @param {{recording?: Array<object>, groups?: Array<object>, network?: Array<object>}} data The parsed JSON export.
+ * @returns {{clicks: Array<object>, network: Array<object>, skipped: number}} The actions, their network requests and the number of skipped steps.
+ */
+function fromJsonExport(data) {
+  const clicks = [];
+  const recording = Array.isArray(data.groups)
+    ? data.groups.flatMap(({ steps, ...marker }) => marker.label == null ? steps : [{ type: 'marker', ...marker }, ...steps])
+    : data.recording;
+  for (const action of recording) {
+    if (action.type !== 'attributeChange') {
+      clicks.push(action);
+      continue;
+    }
+    const change = { element: action.element, attributeName: action.attributeName, oldValue: action.oldValue, newValue: action.newValue };
+    const context = { url: action.url ?? null, frameId: action.frameId, frameUrl: action.frameUrl, tabId: action.tabId };
+    const previous = clicks[clicks.length - 1];
+    if (previous && previous.type === 'batchAttributeChange' && previous.relativeTime === action.relativeTime &&
+        previous.frameId === context.frameId && previous.frameUrl === context.frameUrl && previous.tabId === context.tabId) {
+      previous.changes.push(change);
+    } else {
+      clicks.push({ type: 'batchAttributeChange', relativeTime: action.relativeTime, changes: [change], ...context });
+    }
+  }
+  return { clicks, network: Array.isArray(data.network) ? data.network : [], skipped: 0 };
+}
+
+/**
+ * Converts an imported file into recorded actions, detecting its format.
+ * @param {object} data The parsed JSON file.
+ * @returns {{clicks: Array<object>, network?: Array<object>, skipped: number}} The actions, any network requests, and the number of skipped steps.
+ * @throws {Error} If the file is not in a supported format.
+ */
+function importRecording(data) {
+  if (data && (Array.isArray(data.recording) || Array.isArray(data.groups))) {
+    return fromJsonExport(data);
+  }
+  if (data && Array.isArray(data.steps)) {
+    return fromDevToolsRecording(data);
+  }
+  throw new Error('Unsupported file format. Expected a Record Steps JSON download or a Chrome DevTools Recorder JSON file.');
+}
+
+/**
+ * The available export formats, keyed by the value used in the popup's format select.
+ * Each generator receives the recorded actions and the network requests captured with them.
+ * @type {Object<string, {label: string, extension: string, mimeType: string, generate: function(Array<object>, Array<object>): string}>}
+ */
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', generate: toJsonExport },
+  playwright: { label: 'Playwright Test', extension: 'spec.js', mimeType: 'text/javascript', generate: toPlaywrightTest },
+  cypress: { label: 'Cypress', extension: 'cy.js', mimeType: 'text/javascript', generate: toCypressTest },
+  devtools: { label: 'Chrome DevTools Recorder', extension: 'recorder.json', mimeType: 'application/json', generate: toDevToolsRecording },
+  seleniumPython: { label: 'Selenium (Python)', extension: 'py', mimeType: 'text/x-python', generate: clicks => toSeleniumScript(clicks, 'python') },
+  seleniumJavaScript: { label: 'Selenium (JavaScript)', extension: 'selenium.js', mimeType: 'text/javascript', generate: clicks => toSeleniumScript(clicks, 'javascript') },
+  markdown: { label: 'Step Report (Markdown)', extension: 'md', mimeType: 'text/markdown', generate: toMarkdownReport },
+  html: { label: 'Step Report (HTML)', extension: 'html', mimeType: 'text/html', generate: toHtmlReport },
+  gherkin: { label: 'Gherkin Feature', extension: 'feature', mimeType: 'text/plain', generate: toGherkinFeature },
+  har: { label: 'HAR (network requests)', extension: 'har', mimeType: 'application/json', generate: toHar }
+};
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Network hook for the Record Steps extension.
+ * Injected by the background script into the page's main world, where it wraps
+ * fetch() and XMLHttpRequest to report each request's method, URL, status, timing
+ * and, if enabled, its request and response bodies. The main world has no access to
+ * extension APIs, so entries are handed to content.js as JSON strings in DOM events;
+ * content.js redacts them and decides whether they are recorded.
+ */
+
+(() => {
+  // The page keeps the wrapped functions for its lifetime, so the hook is only installed once
+  if (window.__recordStepsNetworkHook) return;
+  Object.defineProperty(window, '__recordStepsNetworkHook', { value: true });
+
+  const ENTRY_EVENT = 'record-steps:network-entry';
+  const CONFIG_EVENT = 'record-steps:network-config';
+  const READY_EVENT = 'record-steps:network-ready';
+  // Longer bodies are not handed over, since content.js can only redact a complete body
+  const MAX_BODY_LENGTH = 100000;
+  // Only textual bodies are captured
+  const TEXT_MIME_PATTERN = /json|text|xml|javascript|x-www-form-urlencoded|graphql/i;
+  // Responses that stay open to stream events, whose bodies are never complete
+  const STREAMING_MIME_PATTERN = /event-stream|ndjson|x-mixed-replace/i;
+
+  let config = { enabled: false, captureBodies: false };
+
+  document.addEventListener(CONFIG_EVENT, (e) => {
+    try {
+      config = JSON.parse(e.detail);
+    } catch (error) {
+      // Ignore malformed configuration events
+    }
+  });
+
+  /**
+   * Hands a finished request over to content.js.
+   * @param {object} entry The request details.
+   */
+  function report(entry) {
+    document.dispatchEvent(new CustomEvent(ENTRY_EVENT, { detail: JSON.stringify(entry) }));
+  }
+
+  /**
+   * Converts headers into the HAR representation, an array of name/value pairs.
+   * @param {HeadersInit|undefined} headers The headers, in any form fetch() accepts.
+   * @returns {Array<{name: string, value: string}>} The headers.
+   */
+  function toHeaderList(headers) {
+    try {
+      return [...new Headers(headers || {})].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Parses the raw header block returned by XMLHttpRequest.getAllResponseHeaders().
+   * @param {string} raw The header block.
+   * @returns {Array<{name: string, value: string}>} The headers.
+   */
+  function parseHeaderBlock(raw) {
+    return (raw || '').trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+      const separator = line.indexOf(':');
+      return { name: line.slice(0, separator).trim().toLowerCase(), value: line.slice(separator + 1).trim() };
+    });
+  }
+
+  /**
+   * Returns a request body as text, if it is textual.
+   * @param {*} body The body passed to fetch() or XMLHttpRequest.send().
+   * @returns {string|null} The body text, or null for binary, form data and stream bodies.
+   */
+  function getBodyText(body) {
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    return null;
+  }
+
+  /**
+   * Reads the body of a copy of a request or response as text, stopping once it is longer
+   * than MAX_BODY_LENGTH, so that long or endless bodies are never buffered whole.
+   * @param {Request|Response} message The copy, whose body is consumed.
+   * @returns {Promise<string>} The body text, cut off after MAX_BODY_LENGTH characters if longer.
+   */
+  async function readBodyText(message) {
+    if (!message.body) return '';
+    const reader = message.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return text + decoder.decode();
+      text += decoder.decode(value, { stream: true });
+      if (text.length > MAX_BODY_LENGTH) {
+        reader.cancel().catch(() => {});
+        return text;
+      }
+    }
+  }
+
+  /**
+   * Stores a request or response body on an entry, unless it is longer than
+   * MAX_BODY_LENGTH, in which case the entry only notes that it was left out.
+   * @param {object} entry The entry.
+   * @param {string} kind 'request' or 'response'.
+   * @param {string|null} text The body text.
+   */
+  function setBody(entry, kind, text) {
+    if (text != null && text.length > MAX_BODY_LENGTH) {
+      entry[`${kind}BodyTooLarge`] = true;
+      text = null;
+    }
+    entry[`${kind}Body`] = text;
+  }
+
+  /**
+   * Finds a header value in a list of headers, ignoring case.
+   * @param {Array<{name: string, value: string}>} headers The headers.
+   * @param {string} name The header name.
+   * @returns {string|null} The value, or null if the header is absent.
+   */
+  function findHeader(headers, name) {
+    const header = headers.find(h => h.name.toLowerCase() === name);
+    return header ? header.value : null;
+  }
+
+  /**
+   * Creates the entry for a request that is about to be sent.
+   * @param {string} type 'fetch' or 'xhr'.
+   * @param {string} method The HTTP method.
+   * @param {string} url The request URL, possibly relative.
+   * @param {Array<{name: string, value: string}>} requestHeaders The request headers.
+   * @param {*} body The request body.
+   * @returns {object} The entry.
+   */
+  function createEntry(type, method, url, requestHeaders, body) {
+    let absoluteUrl = String(url);
+    try {
+      absoluteUrl = new URL(absoluteUrl, window.location.href).href;
+    } catch (e) {
+      // Keep the URL as given
+    }
+    const entry = {
+      type,
+      method: (method || 'GET').toUpperCase(),
+      url: absoluteUrl,
+      requestHeaders,
+      requestBody: null,
+      startedAt: Date.now(),
+      startedAtPerf: performance.now(),
+      status: 0,
+      statusText: '',
+      responseHeaders: [],
+      mimeType: null,
+      responseBody: null,
+      duration: null,
+      error: null
+    };
+    if (config.captureBodies) setBody(entry, 'request', getBodyText(body));
+    return entry;
+  }
+
+  /**
+   * Records the end of a request and reports it.
+   * @param {object} entry The entry created by createEntry().
+   */
+  function finish(entry) {
+    entry.duration = Math.round(performance.now() - entry.startedAtPerf);
+    delete entry.startedAtPerf;
+    report(entry);
+  }
+
+  // --- fetch() ---
+
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function (input, init) {
+      if (!config.enabled) return originalFetch.apply(this, arguments);
+
+      const isRequest = input instanceof Request;
+      const entry = createEntry(
+        'fetch',
+        init?.method || (isRequest ? input.method : 'GET'),
+        isRequest ? input.url : input,
+        toHeaderList(init?.headers || (isRequest ? input.headers : undefined)),
+        init?.body
+      );
+      // The body of a Request object is read from a copy taken before fetch() consumes it
+      let requestBodyRead = Promise.resolve();
+      if (config.captureBodies && isRequest && init?.body === undefined && input.body && !input.bodyUsed &&
+          TEXT_MIME_PATTERN.test(input.headers.get('content-type') || '')) {
+        requestBodyRead = readBodyText(input.clone())
+          .then(text => setBody(entry, 'request', text))
+          .catch(() => {});
+      }
+
+      return originalFetch.apply(this, arguments).then((response) => {
+        entry.status = response.status;
+        entry.statusText = response.statusText;
+        entry.responseHeaders = toHeaderList(response.headers);
+        entry.mimeType = response.headers.get('content-type');
+        const mimeType = entry.mimeType || '';
+        let responseBodyRead = Promise.resolve();
+        if (config.captureBodies && TEXT_MIME_PATTERN.test(mimeType) && !STREAMING_MIME_PATTERN.test(mimeType)) {
+          // Read a copy so the page's own reading is never delayed, e.g. for streamed responses
+          responseBodyRead = readBodyText(response.clone())
+            .then(text => setBody(entry, 'response', text))
+            .catch(() => {});
+        }
+        Promise.all([requestBodyRead, responseBodyRead]).then(() => finish(entry));
+        return response;
+      }, (error) => {
+        entry.error = error && error.message ? error.message : String(error);
+        requestBodyRead.then(() => finish(entry));
+        throw error;
+      });
+    };
+  }
+
+  // --- XMLHttpRequest ---
+
+  const xhrEntries = new WeakMap();
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    xhrEntries.set(this, { method, url, requestHeaders: [] });
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+    const pending = xhrEntries.get(this);
+    if (pending) pending.requestHeaders.push({ name: String(name).toLowerCase(), value: String(value) });
+    return originalSetRequestHeader.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const pending = xhrEntries.get(this);
+    if (config.enabled && pending) {
+      const entry = createEntry('xhr', pending.method, pending.url, pending.requestHeaders, body);
+      this.addEventListener('loadend', () => {
+        entry.status = this.status;
+        entry.statusText = this.statusText;
+        entry.responseHeaders = parseHeaderBlock(this.getAllResponseHeaders());
+        entry.mimeType = findHeader(entry.responseHeaders, 'content-type');
+        if (this.status === 0) entry.error = 'The request failed or was aborted.';
+        if (config.captureBodies && TEXT_MIME_PATTERN.test(entry.mimeType || '')) {
+          if (this.responseType === '' || this.responseType === 'text') {
+            setBody(entry, 'response', this.responseText);
+          } else if (this.responseType === 'json' && this.response !== null) {
+            setBody(entry, 'response', JSON.stringify(this.response));
+          }
+        }
+        finish(entry);
+      }, { once: true });
+    }
+    return originalSend.apply(this, arguments);
+  };
+
+  // Ask content.js for the configuration in case it was loaded first
+  document.dispatchEvent(new CustomEvent(READY_EVENT));
+})();
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Script for the options page of the Record Steps extension.
+ * Edits the redaction rules stored as 'redactionRules' in chrome.storage.local, which the
+ * content script applies to what it records, and the recording scope rules stored as
+ * 'scopeRules', which decide the frames the background script records. Rules are
+ * validated before they are saved.
+ */
+
+/**
+ * The labels of the rule actions and match kinds, in the order they are offered.
+ * @type {Object<string, string>}
+ */
+const ACTION_LABELS = { [REDACTION_ACTIONS.REDACT]: 'Redact', [REDACTION_ACTIONS.EXEMPT]: 'Never redact' };
+const MATCH_LABELS = { [REDACTION_MATCHES.PATTERN]: 'Name pattern', [REDACTION_MATCHES.SELECTOR]: 'CSS selector' };
+const SCOPE_ACTION_LABELS = { [SCOPE_ACTIONS.INCLUDE]: 'Record only on', [SCOPE_ACTIONS.EXCLUDE]: 'Never record on' };
+
+/**
+ * The rules as currently edited, and whether they were changed since they were loaded or saved.
+ * @type {Array<{action: string, match: string, value: string, domain: string}>}
+ */
+let rules = [];
+let isDirty = false;
+
+/**
+ * The recording scope rules as currently edited.
+ * @type {Array<{action: string, domain: string}>}
+ */
+let scopeRules = [];
+
+// DOM element references
+const rulesBody = document.getElementById('rules');
+const emptyMessage = document.getElementById('emptyMessage');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const scopeRulesBody = document.getElementById('scopeRules');
+const scopeEmptyMessage = document.getElementById('scopeEmptyMessage');
+const addScopeRuleBtn = document.getElementById('addScopeRuleBtn');
+const saveBtn = document.getElementById('saveBtn');
+const status = document.getElementById('status');
+
+/**
+ * Checks a rule's pattern or selector.
+ * @param {{match: string, value: string}} rule The rule.
+ * @returns {string|null} The error message, or null if the rule is valid.
+ */
+function validateRule(rule) {
+  const value = rule.value.trim();
+  if (!value) return 'Enter a pattern or selector.';
+  try {
+    if (rule.match === REDACTION_MATCHES.SELECTOR) document.createDocumentFragment().querySelector(value);
+    else new RegExp(value, 'i');
+  } catch (e) {
+    return rule.match === REDACTION_MATCHES.SELECTOR ? `Invalid CSS selector: ${value}` : `Invalid pattern: ${e.message}`;
+  }
+  return null;
+}
+
+/**
+ * Checks a scope rule's domain pattern.
+ * @param {{domain: string}} rule The scope rule.
+ * @returns {string|null} The error message, or null if the rule is valid.
+ */
+function validateScopeRule(rule) {
+  const domain = rule.domain.trim();
+  if (!domain) return 'Enter a domain.';
+  if (!SCOPE_DOMAIN_REGEX.test(domain)) return `Invalid domain: ${domain}. Use a host name such as *.staging.example.com.`;
+  return null;
+}
+
+/**
+ * Creates a drop-down for one of a rule's properties.
+ * @param {Object<string, string>} labels The option labels, keyed by value.
+ * @param {string} value The selected value.
+ * @param {string} ariaLabel The accessible name.
+ * @param {function(string): void} onChange Called with the new value.
+ * @returns {HTMLSelectElement} The drop-down.
+ */
+function createSelect(labels, value, ariaLabel, onChange) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', ariaLabel);
+  for (const [optionValue, label] of Object.entries(labels)) {
+    select.add(new Option(label, optionValue, false, optionValue === value));
+  }
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+/**
+ * Creates a text field for one of a rule's properties.
+ * @param {string} value The value.
+ * @param {string} placeholder The placeholder.
+ * @param {string} ariaLabel The accessible name.
+ * @param {function(string): void} onInput Called with the new value.
+ * @returns {HTMLInputElement} The text field.
+ */
+function createInput(value, placeholder, ariaLabel, onInput) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.placeholder = placeholder;
+  input.setAttribute('aria-label', ariaLabel);
+  input.addEventListener('input', () => {
+    input.classList.remove('invalid');
+    onInput(input.value);
+  });
+  return input;
+}
+
+/**
+ * Creates a table row holding the controls of a rule, ending with a button that removes it.
+ * @param {Array<HTMLElement>} controls The controls, one per cell.
+ * @param {string} ariaLabel The accessible name of the remove button.
+ * @param {function(): void} onRemove Called when the rule is removed.
+ * @returns {HTMLTableRowElement} The row.
+ */
+function createRuleRow(controls, ariaLabel, onRemove) {
+  const row = document.createElement('tr');
+  const removeBtn = document.createElement('button');
+  removeBtn.textContent = 'Remove';
+  removeBtn.setAttribute('aria-label', ariaLabel);
+  removeBtn.addEventListener('click', onRemove);
+  for (const content of [...controls, removeBtn]) {
+    const cell = document.createElement('td');
+    cell.appendChild(content);
+    row.appendChild(cell);
+  }
+  return row;
+}
+
+/**
+ * Marks the rules as changed and updates the controls.
+ */
+function markDirty() {
+  isDirty = true;
+  updateControls();
+}
+
+/**
+ * Renders the redaction and scope rule tables.
+ */
+function render() {
+  rulesBody.replaceChildren(...rules.map((rule, index) => createRuleRow([
+    createSelect(ACTION_LABELS, rule.action, `Action of rule ${index + 1}`, value => {
+      rule.action = value;
+      markDirty();
+    }),
+    createSelect(MATCH_LABELS, rule.match, `Match of rule ${index + 1}`, value => {
+      rule.match = value;
+      render();
+      markDirty();
+    }),
+    createInput(rule.value, rule.match === REDACTION_MATCHES.SELECTOR ? 'e.g. .account-number' : 'e.g. ^iban$',
+      `Pattern or selector of rule ${index + 1}`, value => {
+        rule.value = value;
+        markDirty();
+      }),
+    createInput(rule.domain, 'All sites', `Domain of rule ${index + 1}`, value => {
+      rule.domain = value;
+      markDirty();
+    })
+  ], `Remove rule ${index + 1}`, () => {
+    rules.splice(index, 1);
+    render();
+    markDirty();
+  })));
+  emptyMessage.hidden = rules.length > 0;
+
+  scopeRulesBody.replaceChildren(...scopeRules.map((rule, index) => createRuleRow([
+    createSelect(SCOPE_ACTION_LABELS, rule.action, `Action of scope rule ${index + 1}`, value => {
+      rule.action = value;
+      markDirty();
+    }),
+    createInput(rule.domain, 'e.g. *.staging.example.com', `Domain of scope rule ${index + 1}`, value => {
+      rule.domain = value;
+      markDirty();
+    })
+  ], `Remove scope rule ${index + 1}`, () => {
+    scopeRules.splice(index, 1);
+    render();
+    markDirty();
+  })));
+  scopeEmptyMessage.hidden = scopeRules.length > 0;
+}
+
+/**
+ * Updates the Save button and the status text.
+ */
+function updateControls() {
+  saveBtn.disabled = !isDirty;
+  status.className = '';
+  status.textContent = isDirty ? 'Unsaved changes' : '';
+}
+
+/**
+ * Loads the stored rules into the tables.
+ * @returns {Promise<void>}
+ */
+async function loadRules() {
+  const { redactionRules = [], scopeRules: storedScopeRules = [] } = await chrome.storage.local.get(['redactionRules', 'scopeRules']);
+  rules = redactionRules.map(rule => ({ ...rule, domain: rule.domain || '' }));
+  scopeRules = storedScopeRules.map(rule => ({ ...rule }));
+  isDirty = false;
+  render();
+  updateControls();
+}
+
+/**
+ * Highlights the field of an invalid rule and shows why it is invalid.
+ * @param {HTMLTableSectionElement} body The table body holding the rule.
+ * @param {number} index The position of the rule.
+ * @param {number} cellIndex The position of the invalid field's cell.
+ * @param {string} message The error message.
+ */
+function showInvalidRule(body, index, cellIndex, message) {
+  body.rows[index].cells[cellIndex].firstChild.classList.add('invalid');
+  status.className = 'error';
+  status.textContent = message;
+}
+
+/**
+ * Validates and stores the edited rules. Invalid rules are highlighted and nothing is saved.
+ * @returns {Promise<void>}
+ */
+async function save() {
+  render();
+  const invalid = rules.findIndex(rule => validateRule(rule) !== null);
+  if (invalid !== -1) {
+    showInvalidRule(rulesBody, invalid, 2, `Rule ${invalid + 1}: ${validateRule(rules[invalid])}`);
+    return;
+  }
+  const invalidScope = scopeRules.findIndex(rule => validateScopeRule(rule) !== null);
+  if (invalidScope !== -1) {
+    showInvalidRule(scopeRulesBody, invalidScope, 1, `Scope rule ${invalidScope + 1}: ${validateScopeRule(scopeRules[invalidScope])}`);
+    return;
+  }
+  rules = rules.map(rule => ({ ...rule, value: rule.value.trim(), domain: rule.domain.trim() }));
+  scopeRules = scopeRules.map(rule => ({ ...rule, domain: rule.domain.trim() }));
+  await chrome.storage.local.set({
+    redactionRules: rules.map(({ action, match, value, domain }) => (domain ? { action, match, value, domain } : { action, match, value })),
+    scopeRules
+  });
+  isDirty = false;
+  render();
+  updateControls();
+  status.textContent = 'Saved';
+}
+
+/**
+ * Adds an empty rule that redacts names matching a pattern.
+ * @listens click
+ */
+addRuleBtn.addEventListener('click', () => {
+  rules.push({ action: REDACTION_ACTIONS.REDACT, match: REDACTION_MATCHES.PATTERN, value: '', domain: '' });
+  render();
+  markDirty();
+  rulesBody.rows[rules.length - 1].cells[2].firstChild.focus();
+});
+
+/**
+ * Adds an empty scope rule that limits recording to a domain.
+ * @listens click
+ */
+addScopeRuleBtn.addEventListener('click', () => {
+  scopeRules.push({ action: SCOPE_ACTIONS.INCLUDE, domain: '' });
+  render();
+  markDirty();
+  scopeRulesBody.rows[scopeRules.length - 1].cells[1].firstChild.focus();
+});
+
+/**
+ * Saves the rules.
+ * @listens click
+ */
+saveBtn.addEventListener('click', () => {
+  save().catch(e => {
+    status.className = 'error';
+    status.textContent = `Could not save the rules: ${e.message}`;
+  });
+});
+
+/**
+ * Warns before the page is closed with unsaved rules.
+ * @listens beforeunload
+ */
+window.addEventListener('beforeunload', (e) => {
+  if (isDirty) e.preventDefault();
+});
+
+loadRules().catch(e => console.error('Error loading rules:', e));
@@ -2,7 +2,7 @@
  * @fileoverview Script for the popup UI of the Record Steps extension.
  * Updated to handle 4-level logging state with descriptive text.
  * It handles user interactions with the popup, such as starting/stopping
- * recording, downloading data, and clearing the recording. It also
+ * recording, managing sessions, downloading data, and clearing the recording. It also
  * keeps the UI in sync with the extension's state stored in chrome.storage.
  */
 
@@ -12,15 +12,68 @@
  */
 let isRecording = false;
 
+/**
+ * Whether the recording is paused, mirrored from chrome.storage.
+ * @type {boolean}
+ */
+let isPaused = false;
+
+/**
+ * Whether a replay is running, derived from the replay report in chrome.storage.
+ * @type {boolean}
+ */
+let isReplaying = false;
+
+/**
+ * The sessions, keyed by id, and the id of the active session, mirrored from chrome.storage.
+ * @type {Object<string, object>}
+ */
+let sessionsById = {};
+let activeSessionId = null;
+
+/**
+ * When the storage usage was last measured, to limit measuring while actions are recorded.
+ * @type {number}
+ */
+let storageCheckedAt = 0;
+
+// Minimum time between storage usage measurements triggered by recorded actions
+const STORAGE_CHECK_INTERVAL_MS = 2000;
+
 // DOM element references
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
+const pauseBtn = document.getElementById('pauseBtn');
 const downloadBtn = document.getElementById('downloadBtn');
 const clearBtn = document.getElementById('clearBtn');
+const importBtn = document.getElementById('importBtn');
+const replayBtn = document.getElementById('replayBtn');
+const editBtn = document.getElementById('editBtn');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replayReport = document.getElementById('replayReport');
+const replaySummary = document.getElementById('replaySummary');
+const replaySteps = document.getElementById('replaySteps');
 const status = document.getElementById('status');
 const clickCount = document.getElementById('clickCount');
 const loggingLevelSelect = document.getElementById('loggingLevel');
 const loggingDescription = document.getElementById('loggingDescription');
+const exportFormatSelect = document.getElementById('exportFormat');
+const assertModeCheckbox = document.getElementById('assertMode');
+const inferWaitsCheckbox = document.getElementById('inferWaits');
+const captureScreenshotsCheckbox = document.getElementById('captureScreenshots');
+const networkCaptureSelect = document.getElementById('networkCapture');
+const sessionSelect = document.getElementById('sessionSelect');
+const newSessionBtn = document.getElementById('newSessionBtn');
+const renameSessionBtn = document.getElementById('renameSessionBtn');
+const duplicateSessionBtn = document.getElementById('duplicateSessionBtn');
+const deleteSessionBtn = document.getElementById('deleteSessionBtn');
+const storageWarning = document.getElementById('storageWarning');
+const markerForm = document.getElementById('markerForm');
+const markerLabelInput = document.getElementById('markerLabel');
+const addMarkerBtn = document.getElementById('addMarkerBtn');
+const shortcutList = document.getElementById('shortcutList');
+const shortcutsLink = document.getElementById('shortcutsLink');
+const optionsLink = document.getElementById('optionsLink');
 
 const LOGGING_DESCRIPTIONS = {
   [LOGGING_LEVELS.MINIMAL]: "Records clicks, typing, and navigation. Best for clean test scripts.",
@@ -31,30 +84,47 @@ const LOGGING_DESCRIPTIONS = {
 
 /**
  * Adds a listener for the DOMContentLoaded event to initialize the popup's state and UI.
- * It fetches the current recording status and the recorded actions from chrome.storage
- * to ensure the popup accurately reflects the extension's state upon opening.
+ * It fetches the current recording status, the sessions and the active session's
+ * recorded actions from chrome.storage to ensure the popup accurately reflects the
+ * extension's state upon opening.
  * @listens DOMContentLoaded
  */
 document.addEventListener('DOMContentLoaded', () => {
+  populateExportFormats();
+  showShortcuts();
+
   if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-    chrome.storage.local.get(['isRecording', 'clicks', 'loggingLevel'], (result) => {
+    chrome.storage.local.get(['isRecording', 'isPaused', 'loggingLevel', 'exportFormat', 'replaySpeed', 'replayReport', 'assertMode', 'inferWaits', 'networkCapture', 'captureScreenshots'], (result) => {
       if (chrome.runtime.lastError) {
         console.error('Error loading state:', chrome.runtime.lastError);
         return;
       }
       isRecording = result.isRecording || false;
+      isPaused = !!result.isPaused;
+      assertModeCheckbox.checked = !!result.assertMode;
+      inferWaitsCheckbox.checked = !!result.inferWaits;
+      captureScreenshotsCheckbox.checked = result.captureScreenshots ?? false;
+      networkCaptureSelect.value = result.networkCapture || NETWORK_CAPTURE.REQUESTS;
 
       const savedLevel = result.loggingLevel ?? 0;
       loggingLevelSelect.value = savedLevel;
       updateDescription(savedLevel);
 
+      if (result.exportFormat && EXPORT_FORMATS[result.exportFormat]) {
+        exportFormatSelect.value = result.exportFormat;
+      }
+      if (result.replaySpeed) {
+        replaySpeedSelect.value = result.replaySpeed;
+      }
+
+      updateReplayReport(result.replayReport);
       updateUI();
-      updateClickCount(result.clicks || []);
+      refreshSessions();
     });
   } else {
     console.error('Chrome storage API not available');
     updateUI();
-    updateClickCount([]);
+    updateClickCount(0);
   }
 });
 
@@ -62,12 +132,147 @@ loggingLevelSelect.addEventListener('change', () => {
   const level = parseInt(loggingLevelSelect.value, 10);
   chrome.storage.local.set({ loggingLevel: level });
   updateDescription(level);
+  // The level is remembered per session and restored when switching back to it.
+  if (activeSessionId) updateSession(activeSessionId, { loggingLevel: level }).catch(handleSessionError);
 });
 
 function updateDescription(level) {
   loggingDescription.textContent = LOGGING_DESCRIPTIONS[level] || LOGGING_DESCRIPTIONS[0];
 }
 
+/**
+ * Loads the sessions into the session select, oldest first, and shows the active
+ * session's action count.
+ * @returns {Promise<void>}
+ */
+async function refreshSessions() {
+  try {
+    const result = await loadSessions();
+    sessionsById = result.sessions;
+    activeSessionId = result.activeSessionId;
+    const ordered = Object.values(sessionsById).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    sessionSelect.replaceChildren(...ordered.map(session => {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = session.name;
+      return option;
+    }));
+    sessionSelect.value = activeSessionId;
+    const { actionCount } = await getStepIndex(activeSessionId);
+    updateClickCount(actionCount);
+  } catch (e) {
+    console.error('Error loading sessions:', e);
+  }
+  // Deleting or clearing sessions frees space, so usage is measured again.
+  updateStorageWarning();
+}
+
+/**
+ * Shows a warning when recorded actions could not be saved, or when storage use
+ * approaches the quota, and hides it otherwise.
+ * @returns {Promise<void>}
+ */
+async function updateStorageWarning() {
+  storageCheckedAt = Date.now();
+  try {
+    const [{ storageError }, usage] = await Promise.all([chrome.storage.local.get('storageError'), getStorageUsage()]);
+    const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    if (storageError) {
+      storageWarning.textContent = `Recent actions could not be saved (${storageError.message}). Export and delete sessions you no longer need to free space.`;
+    } else if (usage.ratio >= STORAGE_WARNING_RATIO) {
+      storageWarning.textContent = `Storage is ${Math.round(usage.ratio * 100)}% full (${megabytes(usage.bytesInUse)} of ${megabytes(usage.quota)} MB). ` +
+        'Export and delete sessions you no longer need to free space.';
+    }
+    storageWarning.hidden = !storageError && usage.ratio < STORAGE_WARNING_RATIO;
+  } catch (e) {
+    console.error('Error measuring storage usage:', e);
+  }
+}
+
+/**
+ * Reports a failed session operation.
+ * @param {Error} e The error.
+ */
+function handleSessionError(e) {
+  console.error('Session operation failed:', e);
+  alert(`Could not update the session: ${e.message}`);
+}
+
+/**
+ * Fills the export format select with every format registered in EXPORT_FORMATS.
+ */
+function populateExportFormats() {
+  for (const [key, format] of Object.entries(EXPORT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = format.label;
+    exportFormatSelect.appendChild(option);
+  }
+}
+
+exportFormatSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ exportFormat: exportFormatSelect.value });
+});
+
+assertModeCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ assertMode: assertModeCheckbox.checked });
+});
+
+networkCaptureSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ networkCapture: networkCaptureSelect.value });
+});
+
+inferWaitsCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ inferWaits: inferWaitsCheckbox.checked });
+});
+
+captureScreenshotsCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ captureScreenshots: captureScreenshotsCheckbox.checked });
+});
+
+sessionSelect.addEventListener('change', () => {
+  setActiveSession(sessionSelect.value).catch(handleSessionError);
+});
+
+/**
+ * Creates an empty session, named by the user, that records at the selected logging level.
+ * @listens click
+ */
+newSessionBtn.addEventListener('click', () => {
+  const name = prompt('Name of the new session:', getDefaultSessionName(sessionsById));
+  if (!name || !name.trim()) return;
+  const session = createSessionRecord(name.trim(), parseInt(loggingLevelSelect.value, 10));
+  saveNewSession(session).catch(handleSessionError);
+});
+
+renameSessionBtn.addEventListener('click', () => {
+  const session = sessionsById[activeSessionId];
+  if (!session) return;
+  const name = prompt('New name of the session:', session.name);
+  if (!name || !name.trim() || name.trim() === session.name) return;
+  updateSession(session.id, { name: name.trim() }).catch(handleSessionError);
+});
+
+duplicateSessionBtn.addEventListener('click', () => {
+  if (activeSessionId) duplicateSession(activeSessionId).catch(handleSessionError);
+});
+
+/**
+ * Deletes the active session and its data after confirmation.
+ * @listens click
+ */
+deleteSessionBtn.addEventListener('click', () => {
+  const session = sessionsById[activeSessionId];
+  if (!session) return;
+  if (confirm(`Delete the session "${session.name}" and all of its recorded actions?`)) {
+    deleteSession(session.id).catch(handleSessionError);
+  }
+});
+
+replaySpeedSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ replaySpeed: replaySpeedSelect.value });
+});
+
 /**
  * Handles the click event for the "Start Recording" button.
  * It optimistically updates the UI and sends a message to the background
@@ -105,71 +310,143 @@ stopBtn.addEventListener('click', () => {
 });
 
 /**
- * Handles the click event for the "Download Recording" button.
- * It retrieves the recorded actions from storage, formats them into a
- * JSON object, and triggers a download.
+ * Handles the click event for the "Pause Recording" / "Resume Recording" button.
+ * It optimistically updates the UI and asks the background script to pause or resume.
+ * The session and its timeline are kept; the pause is left out of the step times.
  * @listens click
  */
-downloadBtn.addEventListener('click', () => {
-  chrome.storage.local.get(['clicks'], (result) => {
-    if (chrome.runtime.lastError) {
-      console.error('Error loading clicks:', chrome.runtime.lastError);
-      alert('Error loading recorded data');
-      return;
+pauseBtn.addEventListener('click', () => {
+  const wasPaused = isPaused;
+  isPaused = !wasPaused;
+  updateUI();
+  chrome.runtime.sendMessage({ action: wasPaused ? 'resumeRecording' : 'pauseRecording' }, (response) => {
+    if (chrome.runtime.lastError || (response && !response.success)) {
+      console.error(`Failed to ${wasPaused ? 'resume' : 'pause'} recording:`, chrome.runtime.lastError?.message || response?.error);
+      isPaused = wasPaused;
+      updateUI();
+    }
+  });
+});
+
+/**
+ * Handles the submit event of the marker form. Asks the background script to record a
+ * 'marker' step with the entered label; the steps recorded after it are grouped under it.
+ * @listens submit
+ */
+markerForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const label = markerLabelInput.value.trim();
+  if (!label) return;
+  addMarkerBtn.disabled = true;
+  chrome.runtime.sendMessage({ action: 'addMarker', label }, (response) => {
+    if (chrome.runtime.lastError || (response && !response.success)) {
+      alert(`Could not add the marker: ${chrome.runtime.lastError?.message || response?.error}`);
+    } else {
+      markerLabelInput.value = '';
     }
+    updateUI();
+  });
+});
 
-    const clicks = result.clicks || [];
+/**
+ * Handles the click event for the "Download Recording" button.
+ * It retrieves the active session's recorded actions and network requests from storage,
+ * inserts inferred waits if enabled, converts them with the selected export format, and
+ * triggers a download named after the session.
+ * @listens click
+ */
+downloadBtn.addEventListener('click', () => {
+  getSessionData(activeSessionId).then(({ steps: clicks, network }) => {
     if (clicks.length === 0) {
       alert('No actions recorded yet!');
       return;
     }
-    
-    // Helper to flatten batch changes
-    const flattenedClicks = clicks.flatMap(action => {
-      if (action.type === 'batchAttributeChange') {
-        return action.changes.map(change => ({
-          type: 'attributeChange',
-          relativeTime: action.relativeTime,
-          element: change.element,
-          attributeName: change.attributeName,
-          oldValue: change.oldValue,
-          newValue: change.newValue
-        }));
-      }
-      return action;
-    });
 
-    const data = {
-      recording: flattenedClicks,
-      totalActions: flattenedClicks.length,
-      duration: flattenedClicks.length > 0 ? flattenedClicks[flattenedClicks.length - 1].relativeTime : 0,
-      recordedAt: new Date().toISOString()
-    };
-    
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const format = EXPORT_FORMATS[exportFormatSelect.value] || EXPORT_FORMATS.json;
+    const recording = inferWaitsCheckbox.checked ? inferWaits(clicks, network) : clicks;
+    const blob = new Blob([format.generate(recording, network)], { type: format.mimeType });
+    const sessionName = (sessionsById[activeSessionId]?.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `click-recording-${Date.now()}.json`;
+    a.download = `${sessionName || 'click-recording'}-${Date.now()}.${format.extension}`;
     a.click();
     URL.revokeObjectURL(url);
+  }).catch(e => {
+    console.error('Error loading clicks:', e);
+    alert('Error loading recorded data');
+  });
+});
+
+/**
+ * Handles the click event for the "Import Recording" button by opening the step editor,
+ * which imports the file. The popup itself closes as soon as a file dialog opens.
+ * @listens click
+ */
+importBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('editor.html?import') });
+});
+
+/**
+ * Handles the click event for the "Replay Recording" button.
+ * It asks the background script to replay the recording at the selected speed.
+ * Progress and results arrive through the 'replayReport' key in storage.
+ * @listens click
+ */
+replayBtn.addEventListener('click', () => {
+  replayBtn.disabled = true;
+  chrome.runtime.sendMessage({ action: 'replayRecording', speed: replaySpeedSelect.value }, (response) => {
+    if (chrome.runtime.lastError || (response && !response.success)) {
+      const error = chrome.runtime.lastError?.message || response?.error;
+      console.error('Failed to start replay:', error);
+      alert(`Could not replay recording: ${error}`);
+      updateUI();
+    }
   });
 });
 
+/**
+ * Handles the click event for the "Edit Steps" button by opening the step editor
+ * for the active session in a new tab.
+ * @listens click
+ */
+editBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL(`editor.html?session=${encodeURIComponent(activeSessionId || '')}`) });
+});
+
+/**
+ * Handles the click event for the "Change shortcuts" link by opening the browser's
+ * shortcuts page, where the keyboard shortcuts can be remapped. Extension pages cannot
+ * link to it directly.
+ * @listens click
+ */
+shortcutsLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+/**
+ * Handles the click event for the "Redaction and scope rules" link by opening the options
+ * page, where the rules deciding what is redacted and which frames are recorded are configured.
+ * @listens click
+ */
+optionsLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
 /**
  * Handles the click event for the "Clear Recording" button.
- * It prompts the user for confirmation before clearing all recorded actions from storage.
+ * It prompts the user for confirmation before clearing the active session's recorded
+ * actions and network requests from storage. The session itself is kept.
  * @listens click
  */
 clearBtn.addEventListener('click', () => {
-  if (confirm('Clear all recorded actions?')) {
-    chrome.storage.local.set({ clicks: [] }, () => {
-      if (chrome.runtime.lastError) {
-        console.error('Error clearing data:', chrome.runtime.lastError);
-      } else {
-        updateClickCount([]);
-      }
-    });
+  const session = sessionsById[activeSessionId];
+  if (session && confirm(`Clear all recorded actions of the session "${session.name}"?`)) {
+    clearSessionData(session.id)
+      .then(() => updateStorageWarning())
+      .catch(e => console.error('Error clearing data:', e));
   }
 });
 
@@ -179,34 +456,99 @@ clearBtn.addEventListener('click', () => {
  */
 function updateUI() {
   if (isRecording) {
-    status.textContent = 'Recording...';
-    status.className = 'recording';
+    status.textContent = isPaused ? 'Paused' : 'Recording...';
+    status.className = isPaused ? 'paused' : 'recording';
     startBtn.disabled = true;
     stopBtn.disabled = false;
+    importBtn.disabled = true;
+    replayBtn.disabled = true;
+    assertModeCheckbox.disabled = false;
     loggingLevelSelect.disabled = true;
   } else {
     status.textContent = 'Ready to Record';
     status.className = 'idle';
     startBtn.disabled = false;
     stopBtn.disabled = true;
+    importBtn.disabled = false;
+    replayBtn.disabled = isReplaying;
+    assertModeCheckbox.disabled = true;
     loggingLevelSelect.disabled = false;
   }
+  pauseBtn.disabled = !isRecording;
+  // Markers label the steps that follow, so they are only added while capturing.
+  markerLabelInput.disabled = !isRecording || isPaused;
+  addMarkerBtn.disabled = !isRecording || isPaused;
+  pauseBtn.textContent = isRecording && isPaused ? 'Resume Recording' : 'Pause Recording';
+  // Steps are recorded into the active session, so it cannot change while recording.
+  for (const control of [sessionSelect, newSessionBtn, duplicateSessionBtn, deleteSessionBtn, clearBtn]) {
+    control.disabled = isRecording;
+  }
 }
 
 /**
  * Updates the displayed count of recorded actions.
- * @param {Array<object>} clicks The array of recorded click/action objects.
+ * @param {number} count The number of actions, as counted by countActions().
  */
-function updateClickCount(clicks) {
-  const count = clicks.reduce((acc, action) => {
-    if (action.type === 'batchAttributeChange') {
-      return acc + action.changes.length;
-    }
-    return acc + 1;
-  }, 0);
+function updateClickCount(count) {
   clickCount.textContent = `Actions recorded: ${count}`;
 }
 
+/**
+ * Lists the keyboard shortcuts for controlling the recording, as currently bound by the user.
+ */
+function showShortcuts() {
+  if (typeof chrome === 'undefined' || !chrome.commands) return;
+  chrome.commands.getAll((commands) => {
+    shortcutList.replaceChildren(...commands.filter(command => command.description).flatMap(command => {
+      const key = document.createElement('dt');
+      key.textContent = command.shortcut || 'Not set';
+      const description = document.createElement('dd');
+      description.textContent = command.description;
+      return [key, description];
+    }));
+  });
+}
+
+/**
+ * Renders the report of the latest replay: a one-line summary and the outcome of each step.
+ * @param {object|undefined} report The replay report stored by the background script.
+ */
+function updateReplayReport(report) {
+  isReplaying = !!report && report.status === 'running';
+  if (!report) {
+    replayReport.hidden = true;
+    return;
+  }
+
+  const total = report.steps.length;
+  const passed = report.steps.filter(step => step.status === 'passed').length;
+  const failedIndex = report.steps.findIndex(step => step.status === 'failed');
+  if (report.status === 'running') {
+    const done = report.steps.filter(step => step.status !== 'pending').length;
+    replaySummary.textContent = `Replaying... ${done}/${total} steps`;
+  } else if (report.status === 'passed') {
+    const healed = report.steps.filter(step => step.healed).length;
+    replaySummary.textContent = `Replay passed: ${passed}/${total} steps${healed > 0 ? ` (${healed} healed)` : ''}`;
+  } else if (report.status === 'interrupted') {
+    const done = report.steps.filter(step => !['pending', 'skipped'].includes(step.status)).length;
+    replaySummary.textContent = `Replay interrupted after ${done}/${total} steps`;
+  } else if (failedIndex !== -1) {
+    const failed = report.steps[failedIndex];
+    replaySummary.textContent = `Replay failed at step ${failedIndex + 1} (${failed.type}): ${failed.error}`;
+  } else {
+    replaySummary.textContent = `Replay failed: ${report.error || 'Unknown error'}`;
+  }
+
+  replaySteps.replaceChildren(...report.steps.map(step => {
+    const item = document.createElement('li');
+    item.className = step.status;
+    item.textContent = `${step.type}: ${step.status}${step.error ? ` (${step.error})` : ''}${step.note ? ` (${step.note})` : ''}` +
+      (step.healed ? ` (healed via ${step.healed.strategy === 'locator' ? `${step.healed.locator} locator` : `fingerprint, score ${step.healed.score}`})` : '');
+    return item;
+  }));
+  replayReport.hidden = false;
+}
+
 /**
  * Adds a listener for changes in chrome.storage. This ensures the popup's UI
  * stays synchronized with the authoritative state managed by the background script.
@@ -218,9 +560,26 @@ function updateClickCount(clicks) {
 if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
   chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace !== 'local') return;
-    if (changes.clicks) updateClickCount(changes.clicks.newValue || []);
-    if (changes.isRecording) {
-      isRecording = changes.isRecording.newValue;
+    if (changes.sessions || changes.activeSessionId) {
+      refreshSessions();
+    } else if (activeSessionId && changes[getStepsKey(activeSessionId)]) {
+      const index = changes[getStepsKey(activeSessionId)].newValue;
+      updateClickCount(index ? index.actionCount : 0);
+      if (Date.now() - storageCheckedAt >= STORAGE_CHECK_INTERVAL_MS) updateStorageWarning();
+    }
+    if (changes.storageError) updateStorageWarning();
+    if (changes.loggingLevel) {
+      loggingLevelSelect.value = changes.loggingLevel.newValue ?? 0;
+      updateDescription(loggingLevelSelect.value);
+    }
+    if (changes.isRecording || changes.isPaused) {
+      if (changes.isRecording) isRecording = changes.isRecording.newValue;
+      if (changes.isPaused) isPaused = !!changes.isPaused.newValue;
+      updateUI();
+    }
+    if (changes.assertMode) assertModeCheckbox.checked = !!changes.assertMode.newValue;
+    if (changes.replayReport) {
+      updateReplayReport(changes.replayReport.newValue);
       updateUI();
     }
   });
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Redaction rules for the Record Steps extension.
+ * Decides which names (of fields, query parameters, headers and body properties) are
+ * sensitive, from the built-in keywords and the rules configured on the options page.
+ * A rule redacts or exempts the names matching a pattern, or the elements matching a CSS
+ * selector, optionally only on one domain and its subdomains. Redacted data records why
+ * it was redacted, so exports can summarize it.
+ * Loaded by the content script, the background script (importScripts) and the options page.
+ */
+
+// Use var to avoid "Identifier has already been declared" errors if the script is injected multiple times
+// Pre-compiled regex for sensitive data detection (case-insensitive)
+// Uses non-alphanumeric lookarounds to handle snake_case and kebab-case (e.g., api_key, card-number)
+var SENSITIVE_REGEX = /(?<![a-zA-Z])(password|card|cvv|cvc|ssn|email|phone|mobile|tax|social|security|api|key|token|secret|auth|otp|pin|credit|cc)(?![a-zA-Z])/i;
+
+// Headers that carry credentials regardless of their name matching SENSITIVE_REGEX
+var SENSITIVE_HEADER_REGEX = /^(authorization|proxy-authorization|cookie|set-cookie)$/i;
+
+/**
+ * Checks whether a rule applies to a host: rules without a domain apply everywhere,
+ * others to their domain and its subdomains.
+ * @param {{domain?: string}} rule The rule.
+ * @param {string} hostname The host, e.g. 'app.example.com'.
+ * @returns {boolean} True if the rule applies.
+ */
+function ruleAppliesTo(rule, hostname) {
+  const domain = (rule.domain || '').trim().toLowerCase().replace(/^\*?\./, '');
+  if (!domain) return true;
+  const host = (hostname || '').toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Compiles the rules that apply to a host. Patterns are case-insensitive regular
+ * expressions; invalid ones are skipped.
+ * @param {Array<{action: string, match: string, value: string, domain?: string}>} rules The configured rules.
+ * @param {string} hostname The host the data is recorded on.
+ * @returns {{redactPatterns: Array<RegExp>, exemptPatterns: Array<RegExp>, redactSelectors: Array<string>, exemptSelectors: Array<string>}}
+ *     The applicable rules.
+ */
+function compileRedactionRules(rules, hostname) {
+  const compiled = { redactPatterns: [], exemptPatterns: [], redactSelectors: [], exemptSelectors: [] };
+  for (const rule of rules || []) {
+    const value = (rule.value || '').trim();
+    if (!value || !ruleAppliesTo(rule, hostname)) continue;
+    const isExempt = rule.action === REDACTION_ACTIONS.EXEMPT;
+    if (rule.match === REDACTION_MATCHES.SELECTOR) {
+      compiled[isExempt ? 'exemptSelectors' : 'redactSelectors'].push(value);
+      continue;
+    }
+    try {
+      compiled[isExempt ? 'exemptPatterns' : 'redactPatterns'].push(new RegExp(value, 'i'));
+    } catch (e) {
+      console.warn(`Ignoring invalid redaction pattern ${value}: ${e.message}`);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Explains why a name is sensitive: exempting rules win over custom patterns, which win
+ * over the built-in keywords.
+ * @param {string|null} name The name, e.g. a field's name attribute or a query parameter.
+ * @param {object} compiled The rules compiled by compileRedactionRules().
+ * @returns {string|null} The reason, or null if the name is not sensitive.
+ */
+function getNameRedactionReason(name, compiled) {
+  if (!name) return null;
+  if (compiled.exemptPatterns.some(pattern => pattern.test(name))) return null;
+  const custom = compiled.redactPatterns.find(pattern => pattern.test(name));
+  if (custom) return `custom pattern ${custom}`;
+  const match = SENSITIVE_REGEX.exec(name);
+  return match ? `keyword "${match[1].toLowerCase()}"` : null;
+}
+
+/**
+ * Records that a piece of data was redacted, once per field and reason.
+ * @param {Array<{field: string, reason: string}>} redactions The list to add to.
+ * @param {string} field What was redacted, e.g. 'typed value'.
+ * @param {string} reason Why it was redacted.
+ */
+function noteRedaction(redactions, field, reason) {
+  if (!redactions.some(item => item.field === field && item.reason === reason)) {
+    redactions.push({ field, reason });
+  }
+}
+
+/**
+ * Redacts the values of a URL's query parameters with sensitive names.
+ * @param {string|null} url The URL.
+ * @param {object} compiled The rules compiled by compileRedactionRules().
+ * @param {Array<{field: string, reason: string}>} redactions Receives what was redacted.
+ * @returns {string|null} The redacted URL.
+ */
+function redactUrl(url, compiled, redactions) {
+  if (!url || !url.includes('?')) return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  let isRedacted = false;
+  for (const name of new Set(parsed.searchParams.keys())) {
+    const reason = getNameRedactionReason(name, compiled);
+    if (!reason) continue;
+    parsed.searchParams.set(name, '[REDACTED]');
+    noteRedaction(redactions, `query parameter ${name}`, reason);
+    isRedacted = true;
+  }
+  return isRedacted ? parsed.toString() : url;
+}
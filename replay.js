@@ -0,0 +1,561 @@
+/**
+ * @fileoverview Replay script for the Record Steps extension.
+ * Injected by the background script into each frame of the replay tab. It resolves
+ * recorded elements (including through Shadow DOM hosts) and dispatches the recorded
+ * clicks, key presses, input values, form changes, drags and scrolls. When a recorded
+ * selector no longer resolves, the step is healed through the element's alternative
+ * locators or its fingerprint.
+ * The background script calls runReplayStep() once per step through chrome.scripting.executeScript.
+ */
+
+// Use var to avoid "Identifier has already been declared" errors if the script is injected multiple times
+var REPLAY_POLL_INTERVAL_MS = 100;
+var REPLAY_REDACTED_VALUE = '[REDACTED]';
+var REPLAY_TRAILING_KEYS = ['Enter', 'Tab', 'Escape'];
+// How long the recorded selector gets to resolve on its own before healing is attempted
+var REPLAY_HEAL_AFTER_MS = 2000;
+// Minimum fingerprint similarity (0-1) for a healed match, and the lead it needs over the runner-up
+var REPLAY_HEAL_THRESHOLD = 0.7;
+var REPLAY_HEAL_MARGIN = 0.05;
+// Relative weights of the fingerprint features when scoring candidates
+var REPLAY_FINGERPRINT_WEIGHTS = {
+  text: 3,
+  label: 2.5,
+  attributes: 2,
+  aria: 1.5,
+  id: 1,
+  className: 1,
+  ancestors: 1,
+  position: 1,
+  siblingIndex: 0.5
+};
+
+/**
+ * Resolves the document or shadow root that contains a recorded element by walking
+ * through its Shadow DOM hosts.
+ * @param {object} elementInfo The recorded element info.
+ * @returns {Document|ShadowRoot|null} The root, or null if a host does not exist (yet).
+ */
+function findReplayRoot(elementInfo) {
+  let root = document;
+  for (const host of elementInfo.shadowDOMPath || []) {
+    const hostElement = querySelectorSafely(root, host);
+    if (!hostElement || !hostElement.shadowRoot) return null;
+    root = hostElement.shadowRoot;
+  }
+  return root;
+}
+
+/**
+ * Runs querySelector, treating invalid selectors as matching nothing.
+ * @param {Document|ShadowRoot|Element} root The root to search in.
+ * @param {string} selector The CSS selector.
+ * @returns {Element|null} The first match.
+ */
+function querySelectorSafely(root, selector) {
+  try {
+    return root.querySelector(selector);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolves a recorded element in the current document, walking through the
+ * shadow roots of its Shadow DOM hosts first.
+ * @param {object} elementInfo The recorded element info.
+ * @returns {Element|null} The element, or null if it does not exist (yet).
+ */
+function findReplayTarget(elementInfo) {
+  const root = findReplayRoot(elementInfo);
+  return root ? querySelectorSafely(root, elementInfo.selector) : null;
+}
+
+/**
+ * Normalizes text for comparison: collapsed whitespace, trimmed and lower-cased.
+ * @param {string|null} text The raw text.
+ * @returns {string} The normalized text.
+ */
+function normalizeReplayText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Compares two strings: 1 if equal, 0.5 if one contains the other, otherwise 0.
+ * @param {string} recorded The recorded value.
+ * @param {string} live The live value.
+ * @returns {number} The similarity.
+ */
+function compareReplayText(recorded, live) {
+  const a = normalizeReplayText(recorded);
+  const b = normalizeReplayText(live);
+  if (a === b) return 1;
+  if (a && b && (a.includes(b) || b.includes(a))) return 0.5;
+  return 0;
+}
+
+/**
+ * Compares two attribute maps as the fraction of recorded attributes with equal live values.
+ * @param {Object<string, string>} recorded The recorded attributes.
+ * @param {Element} element The live element.
+ * @returns {number} The similarity.
+ */
+function compareReplayAttributes(recorded, element) {
+  const names = Object.keys(recorded);
+  if (names.length === 0) return 0;
+  return names.filter(name => element.getAttribute(name) === recorded[name]).length / names.length;
+}
+
+/**
+ * Compares two class lists by their overlap (Jaccard index).
+ * @param {string} recorded The recorded class attribute.
+ * @param {string} live The live class attribute.
+ * @returns {number} The similarity.
+ */
+function compareReplayClasses(recorded, live) {
+  const a = new Set((recorded || '').split(/\s+/).filter(Boolean));
+  const b = new Set((live || '').split(/\s+/).filter(Boolean));
+  if (a.size === 0 && b.size === 0) return 1;
+  const shared = [...a].filter(name => b.has(name)).length;
+  return shared / new Set([...a, ...b]).size;
+}
+
+/**
+ * Scores how closely a live element matches a recorded element's fingerprint.
+ * Only features that were recorded count towards the score.
+ * @param {object} elementInfo The recorded element info, including its fingerprint.
+ * @param {Element} element The live candidate.
+ * @returns {number} The similarity, from 0 to 1.
+ */
+function scoreReplayCandidate(elementInfo, element) {
+  const fingerprint = elementInfo.fingerprint;
+  const weights = REPLAY_FINGERPRINT_WEIGHTS;
+  let total = 0;
+  let score = 0;
+  const add = (weight, similarity) => {
+    total += weight;
+    score += weight * similarity;
+  };
+
+  if (fingerprint.text) add(weights.text, compareReplayText(fingerprint.text, element.textContent));
+  if (fingerprint.label) {
+    // Mirrors getNearbyLabel() in content.js: associated labels, aria-label, then the preceding text.
+    const label = (element.labels && element.labels.length > 0 ? Array.from(element.labels).map(l => l.textContent).join(' ') : '') ||
+      element.getAttribute('aria-label') ||
+      (element.previousElementSibling ? element.previousElementSibling.textContent : '');
+    add(weights.label, compareReplayText(fingerprint.label, label));
+  }
+  if (Object.keys(fingerprint.attributes || {}).length > 0) {
+    add(weights.attributes, compareReplayAttributes(fingerprint.attributes, element));
+  }
+  if (Object.keys(fingerprint.aria || {}).length > 0) {
+    add(weights.aria, compareReplayAttributes(fingerprint.aria, element));
+  }
+  if (elementInfo.id) add(weights.id, elementInfo.id === element.id ? 1 : 0);
+  add(weights.className, compareReplayClasses(elementInfo.className, typeof element.className === 'string' ? element.className : ''));
+
+  const ancestors = fingerprint.ancestors || [];
+  if (ancestors.length > 0) {
+    let matching = 0;
+    let current = element.parentElement;
+    for (const ancestor of ancestors) {
+      if (!current) break;
+      if (current.tagName === ancestor.tagName && (!ancestor.id || current.id === ancestor.id)) matching++;
+      current = current.parentElement;
+    }
+    add(weights.ancestors, matching / ancestors.length);
+  }
+
+  if (fingerprint.boundingBox) {
+    const rect = element.getBoundingClientRect();
+    const distance = Math.hypot(rect.left + window.scrollX - fingerprint.boundingBox.x, rect.top + window.scrollY - fingerprint.boundingBox.y);
+    add(weights.position, Math.max(0, 1 - distance / 500));
+  }
+  if (element.parentElement && fingerprint.siblingIndex >= 0) {
+    add(weights.siblingIndex, Array.from(element.parentElement.children).indexOf(element) === fingerprint.siblingIndex ? 1 : 0);
+  }
+
+  return total > 0 ? score / total : 0;
+}
+
+/**
+ * Tries to find a recorded element whose selector no longer resolves. The element's
+ * alternative CSS and XPath locators are tried first; after that every live element with
+ * the same tag is scored against the recorded fingerprint, and the best match is used if
+ * it clears the confidence threshold and is not ambiguous.
+ * @param {object} elementInfo The recorded element info.
+ * @returns {{element: Element, healing: object}|null} The healed element and how it was found.
+ */
+function healReplayTarget(elementInfo) {
+  const root = findReplayRoot(elementInfo) || document;
+
+  for (const candidate of elementInfo.locators || []) {
+    if (candidate.matches !== 1) continue;
+    let element = null;
+    if (candidate.strategy === 'css') {
+      element = querySelectorSafely(root, candidate.value);
+    } else if (candidate.strategy === 'testId') {
+      element = querySelectorSafely(root, `[${candidate.attribute}="${CSS.escape(candidate.value)}"]`);
+    } else if (candidate.strategy === 'xpath' && root === document) {
+      try {
+        element = document.evaluate(candidate.value, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+      } catch (e) {
+        element = null;
+      }
+    }
+    if (element) {
+      return { element, healing: { strategy: 'locator', locator: candidate.strategy, value: candidate.value } };
+    }
+  }
+
+  const fingerprint = elementInfo.fingerprint;
+  if (!fingerprint || !fingerprint.tagName) return null;
+  const scored = Array.from(root.querySelectorAll(fingerprint.tagName.toLowerCase()))
+    .map(element => ({ element, score: scoreReplayCandidate(elementInfo, element) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = scored;
+  if (!best || best.score < REPLAY_HEAL_THRESHOLD) return null;
+  if (runnerUp && best.score - runnerUp.score < REPLAY_HEAL_MARGIN) return null;
+  return { element: best.element, healing: { strategy: 'fingerprint', score: Math.round(best.score * 100) / 100 } };
+}
+
+/**
+ * Polls for a recorded element until it exists or the timeout expires. Once the
+ * recorded selector has had some time to resolve, healing is attempted on every poll.
+ * @param {object} elementInfo The recorded element info.
+ * @param {number} timeout The maximum time to wait, in milliseconds.
+ * @returns {Promise<{element: Element, healing: object|null}>} The element and, if it was healed, how.
+ * @throws {Error} If the element was not found in time.
+ */
+async function waitForReplayTarget(elementInfo, timeout) {
+  const startedAt = Date.now();
+  while (true) {
+    const element = findReplayTarget(elementInfo);
+    if (element) return { element, healing: null };
+    if (Date.now() - startedAt >= Math.min(REPLAY_HEAL_AFTER_MS, timeout)) {
+      const healed = healReplayTarget(elementInfo);
+      if (healed) return healed;
+    }
+    if (Date.now() - startedAt >= timeout) {
+      const path = [...(elementInfo.shadowDOMPath || []), elementInfo.selector].join(' >>> ');
+      throw new Error(`Element not found: ${path}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, REPLAY_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Dispatches a sequence of mouse events at the center of an element.
+ * @param {Element} element The target element.
+ * @param {string[]} types The event types to dispatch, in order.
+ * @param {object} [extraInit={}] Further event properties, e.g. the button.
+ */
+function dispatchMouseEvents(element, types, extraInit = {}) {
+  const rect = element.getBoundingClientRect();
+  const init = {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    view: window,
+    clientX: rect.left + rect.width / 2,
+    clientY: rect.top + rect.height / 2,
+    ...extraInit
+  };
+  for (const type of types) {
+    const EventType = type.startsWith('pointer') ? PointerEvent : MouseEvent;
+    element.dispatchEvent(new EventType(type, init));
+  }
+}
+
+/**
+ * Dispatches a key press to an element. Synthetic key events do not trigger default
+ * actions, so pressing Enter in a form field submits its form explicitly.
+ * @param {Element} element The target element.
+ * @param {string} key The KeyboardEvent.key value.
+ * @param {object} [modifiers={}] The ctrlKey, shiftKey, altKey and metaKey flags.
+ * @param {string} [code] The KeyboardEvent.code value.
+ */
+function dispatchKeyPress(element, key, modifiers = {}, code = undefined) {
+  const init = {
+    key,
+    code: code || key,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    ctrlKey: !!modifiers.ctrlKey,
+    shiftKey: !!modifiers.shiftKey,
+    altKey: !!modifiers.altKey,
+    metaKey: !!modifiers.metaKey
+  };
+  const notCancelled = element.dispatchEvent(new KeyboardEvent('keydown', init));
+  element.dispatchEvent(new KeyboardEvent('keyup', init));
+  if (notCancelled && key === 'Enter' && element.form && element.tagName === 'INPUT') {
+    element.form.requestSubmit();
+  }
+}
+
+/**
+ * Sets the value of a form field or contenteditable element and fires the events
+ * frameworks listen for. The native value setter is used so that React-style
+ * controlled inputs notice the change.
+ * @param {Element} element The target element.
+ * @param {string} value The value to set.
+ */
+function setReplayValue(element, value) {
+  element.focus();
+  if (element.isContentEditable) {
+    element.textContent = value;
+  } else {
+    const prototype = Object.getPrototypeOf(element);
+    const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (setter) {
+      setter.call(element, value);
+    } else {
+      element.value = value;
+    }
+  }
+  element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Selects the recorded options of a dropdown and fires the events frameworks listen for.
+ * Options are matched by value, or by label for options recorded without a value.
+ * @param {HTMLSelectElement} element The dropdown.
+ * @param {Array<{value: string, label: string}>} options The recorded options.
+ * @throws {Error} If a recorded option no longer exists.
+ */
+function selectReplayOptions(element, options) {
+  const matches = options.map(recorded => {
+    const match = Array.from(element.options).find(option => (recorded.value === ''
+      ? option.label.replace(/\s+/g, ' ').trim() === recorded.label
+      : option.value === recorded.value));
+    if (!match) throw new Error(`No option with the ${recorded.value === '' ? `label '${recorded.label}'` : `value '${recorded.value}'`}.`);
+    return match;
+  });
+  element.focus();
+  for (const option of element.options) option.selected = matches.includes(option);
+  element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Drags an element onto another. HTML5 drags dispatch the drag events with a shared
+ * DataTransfer; pointer drags move the pointer from the source to the target with the
+ * primary button held.
+ * @param {Element} source The dragged element.
+ * @param {Element} target The element it is dropped on.
+ * @param {string} method 'html5' or 'pointer', as recorded.
+ */
+function dispatchDragAndDrop(source, target, method) {
+  if (method === 'html5') {
+    const dataTransfer = new DataTransfer();
+    const fire = (element, type) => {
+      const rect = element.getBoundingClientRect();
+      element.dispatchEvent(new DragEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2,
+        dataTransfer
+      }));
+    };
+    fire(source, 'dragstart');
+    fire(target, 'dragenter');
+    fire(target, 'dragover');
+    fire(target, 'drop');
+    fire(source, 'dragend');
+    return;
+  }
+  dispatchMouseEvents(source, ['pointerdown', 'mousedown'], { button: 0, buttons: 1 });
+  dispatchMouseEvents(target, ['pointermove', 'mousemove'], { buttons: 1 });
+  dispatchMouseEvents(target, ['pointerup', 'mouseup'], { button: 0 });
+}
+
+/**
+ * Attaches files with the recorded names and types to a file input and fires its events.
+ * Recordings keep no file content, so the files are empty.
+ * @param {HTMLInputElement} element The file input.
+ * @param {Array<{name: string, type: string}>} files The recorded files.
+ */
+function setReplayFiles(element, files) {
+  const dataTransfer = new DataTransfer();
+  for (const file of files) dataTransfer.items.add(new File([], file.name, { type: file.type || '' }));
+  element.files = dataTransfer.files;
+  element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Returns the special keys pressed at the end of an input sequence.
+ * @param {Array<object>} events The events of an 'inputSequence' step.
+ * @returns {string[]} The trailing keys, in the order they were pressed.
+ */
+function getReplayTrailingKeys(events) {
+  const keys = [];
+  for (let i = (events || []).length - 1; i >= 0; i--) {
+    if (events[i].type !== 'keydown') break;
+    if (REPLAY_TRAILING_KEYS.includes(events[i].key)) keys.unshift(events[i].key);
+  }
+  return keys;
+}
+
+/**
+ * Reads the live value of a property an 'assert' step checks, the same way the
+ * recorder captured it.
+ * @param {Element} element The asserted element.
+ * @param {string} name The asserted property: text, value, checked, disabled or visible.
+ * @returns {*} The current value.
+ */
+function readReplayAssertion(element, name) {
+  switch (name) {
+    case 'text':
+      return (element.innerText ?? element.textContent ?? '').replace(/\s+/g, ' ').trim();
+    case 'value':
+      return element.value == null ? null : String(element.value);
+    case 'checked': {
+      if (element.tagName === 'INPUT' && ['checkbox', 'radio'].includes(element.type)) return element.checked;
+      const ariaChecked = element.getAttribute('aria-checked');
+      return ariaChecked ? ariaChecked === 'true' : null;
+    }
+    case 'disabled':
+      return !!element.disabled || element.getAttribute('aria-disabled') === 'true';
+    default: {
+      const computedStyle = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return computedStyle.display !== 'none' && computedStyle.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    }
+  }
+}
+
+/**
+ * Waits for an element to reach the state an 'assert' step expects.
+ * Text is matched as a substring because the recorder truncates long text.
+ * @param {Element} element The asserted element.
+ * @param {object} step The 'assert' step.
+ * @param {number} timeout How long to wait, in milliseconds.
+ * @returns {Promise<void>} Resolves when the assertion holds; rejects with the mismatch otherwise.
+ */
+async function waitForReplayAssertion(element, step, timeout) {
+  const name = step.assertion || 'visible';
+  const expected = (step.assertions || {})[name] ?? (name === 'visible' ? true : null);
+  const matches = (actual) => name === 'text' ? actual.includes(expected ?? '') : actual === expected;
+  const deadline = Date.now() + timeout;
+  let actual = readReplayAssertion(element, name);
+  while (!matches(actual) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, REPLAY_POLL_INTERVAL_MS));
+    actual = readReplayAssertion(element, name);
+  }
+  if (!matches(actual)) {
+    throw new Error(`Expected ${name} to be ${JSON.stringify(expected)} but found ${JSON.stringify(actual)}.`);
+  }
+}
+
+/**
+ * Executes a single recorded step in this frame.
+ * @param {object} step The recorded action.
+ * @param {number} timeout The maximum time to wait for the target element, in milliseconds.
+ * @returns {Promise<{status: string, error?: string, note?: string, healed?: object}>} The outcome: 'passed',
+ *     'failed' or 'skipped', and how the target element was healed if its selector no longer resolved.
+ */
+async function runReplayStep(step, timeout) {
+  try {
+    const usesPage = !step.element || !step.element.selector || ['BODY', 'HTML'].includes(step.element.tagName);
+    let element = document.activeElement || document.body;
+    let healing = null;
+    if (!usesPage) {
+      ({ element, healing } = await waitForReplayTarget(step.element, timeout));
+      element.scrollIntoView({ block: 'center', inline: 'center' });
+    }
+
+    switch (step.type) {
+      case 'click':
+        dispatchMouseEvents(element, ['pointerdown', 'mousedown']);
+        if (typeof element.focus === 'function') element.focus();
+        dispatchMouseEvents(element, ['pointerup', 'mouseup']);
+        element.click();
+        break;
+      case 'doubleClick':
+        // The two clicks before it were recorded, and replayed, as steps of their own
+        dispatchMouseEvents(element, ['dblclick'], { detail: 2 });
+        break;
+      case 'contextMenu':
+        dispatchMouseEvents(element, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'contextmenu'], { button: 2 });
+        break;
+      case 'hover':
+        dispatchMouseEvents(element, ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'mousemove']);
+        break;
+      case 'select':
+        if ((step.options || []).some(option => option.value === REPLAY_REDACTED_VALUE)) {
+          return { status: 'skipped', error: 'The selected option was redacted during recording.' };
+        }
+        selectReplayOptions(element, step.options || []);
+        break;
+      case 'check':
+        // Clicking toggles the box, so it is only clicked when not in the recorded state yet
+        if (element.checked !== step.checked) element.click();
+        break;
+      case 'fileUpload':
+        if ((step.files || []).some(file => file.name === REPLAY_REDACTED_VALUE)) {
+          return { status: 'skipped', error: 'The file names were redacted during recording.' };
+        }
+        setReplayFiles(element, step.files || []);
+        if ((step.files || []).length > 0) {
+          return { status: 'passed', note: 'Attached empty files, as recordings do not keep file content.', ...(healing ? { healed: healing } : {}) };
+        }
+        break;
+      case 'dragAndDrop': {
+        const { element: target } = await waitForReplayTarget(step.target, timeout);
+        dispatchDragAndDrop(element, target, step.method);
+        break;
+      }
+      case 'submit':
+        element.requestSubmit();
+        break;
+      case 'scroll':
+        // Steps without a scrollable element scroll the window; lazy content loads as it would for the user
+        if (usesPage) {
+          window.scrollTo(step.scrollX || 0, step.scrollY || 0);
+        } else {
+          element.scrollTo(step.scrollX || 0, step.scrollY || 0);
+        }
+        break;
+      case 'inputSequence':
+        if (step.finalValue === REPLAY_REDACTED_VALUE) {
+          return { status: 'skipped', error: 'The value was redacted during recording.' };
+        }
+        setReplayValue(element, step.finalValue ?? '');
+        for (const key of getReplayTrailingKeys(step.events)) {
+          dispatchKeyPress(element, key);
+        }
+        break;
+      case 'keyDown':
+        dispatchKeyPress(element, step.key, step, step.code);
+        break;
+      case 'paste':
+        if (step.pastedText === REPLAY_REDACTED_VALUE) {
+          return { status: 'skipped', error: 'The pasted text was redacted during recording.' };
+        }
+        element.focus();
+        if (typeof element.setRangeText === 'function') {
+          element.setRangeText(step.pastedText ?? '', element.selectionStart ?? 0, element.selectionEnd ?? 0, 'end');
+          element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        } else {
+          document.execCommand('insertText', false, step.pastedText ?? '');
+        }
+        break;
+      case 'assert':
+        if ((step.assertions || {})[step.assertion] === REPLAY_REDACTED_VALUE) {
+          return { status: 'skipped', error: 'The asserted value was redacted during recording.' };
+        }
+        await waitForReplayAssertion(element, step, timeout);
+        break;
+      default:
+        return { status: 'skipped', error: `Steps of type '${step.type}' cannot be replayed.` };
+    }
+    return healing ? { status: 'passed', healed: healing } : { status: 'passed' };
+  } catch (e) {
+    return { status: 'failed', error: e.message };
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Recording scope rules for the Record Steps extension.
+ * Decides which frames are recorded, from the rules configured on the options page. A
+ * frame is in scope unless its host matches a rule that excludes it, and, if there are
+ * rules that include hosts, only if its host matches one of them. Out-of-scope frames are
+ * not injected with the content script; a single step notes that they were navigated to.
+ * Loaded by the background script (importScripts) and the options page.
+ */
+
+// A host name, optionally prefixed with "*." to make clear that subdomains match too
+const SCOPE_DOMAIN_REGEX = /^(\*\.)?([a-z0-9-]+\.)*[a-z0-9-]+\.?$/i;
+
+/**
+ * Checks whether a host matches a domain pattern such as 'example.com' or
+ * '*.staging.example.com': the domain itself and all its subdomains match.
+ * @param {string} hostname The host, e.g. 'app.staging.example.com'.
+ * @param {string} pattern The domain pattern.
+ * @returns {boolean} True if the host matches.
+ */
+function matchesDomainPattern(hostname, pattern) {
+  const domain = pattern.trim().toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Checks whether a frame with a URL is recorded under the scope rules. Rules excluding
+ * its host win over rules including it.
+ * @param {string} url The frame's URL.
+ * @param {Array<{action: string, domain: string}>} rules The configured rules.
+ * @returns {boolean} True if the frame is in scope.
+ */
+function isUrlInScope(url, rules) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    return true;
+  }
+  if (!hostname) return true;
+  const matching = (rules || []).filter(rule => rule.domain && matchesDomainPattern(hostname, rule.domain));
+  if (matching.some(rule => rule.action === SCOPE_ACTIONS.EXCLUDE)) return false;
+  const hasIncludes = (rules || []).some(rule => rule.domain && rule.action === SCOPE_ACTIONS.INCLUDE);
+  return !hasIncludes || matching.some(rule => rule.action === SCOPE_ACTIONS.INCLUDE);
+}
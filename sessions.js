@@ -0,0 +1,702 @@
+/**
+ * @fileoverview Recording sessions for the Record Steps extension.
+ * A session is a named recording with its own steps, network requests, start time,
+ * logging level and metadata. Session records live in the 'sessions' storage key and
+ * the id of the session being recorded into or viewed in 'activeSessionId'. Each
+ * session's steps and network requests are stored under their own keys.
+ * Steps are stored append-only in chunks of STEP_CHUNK_SIZE under 'steps:<id>:<n>',
+ * with an index under 'steps:<id>', so recording a step only rewrites the last chunk
+ * however long the recording grows. Network requests are chunked the same way under
+ * 'network:<id>:<n>', with an index under 'network:<id>'. Screenshots are stored once
+ * per distinct image under 'screenshot:<id>:<hash>' and linked to their steps in
+ * 'screenshots:<id>'.
+ * Loaded by the background script (importScripts), the popup and the step editor.
+ */
+
+/**
+ * The storage keys used before sessions existed. Their data becomes the first session.
+ * @type {{steps: string, network: string}}
+ */
+const LEGACY_STORAGE_KEYS = { steps: 'clicks', network: 'network' };
+
+// Steps per storage chunk: large enough to keep reads cheap, small enough that appending stays fast
+const STEP_CHUNK_SIZE = 200;
+
+// Network requests per storage chunk
+const NETWORK_CHUNK_SIZE = 100;
+
+// Storage use, as a share of the quota, from which the popup warns that space is running out
+const STORAGE_WARNING_RATIO = 0.8;
+
+// The storage limit the popup warns against when 'unlimitedStorage' lifts the quota;
+// reading and writing whole sessions gets slow well before the disk fills
+const UNLIMITED_STORAGE_LIMIT_BYTES = 512 * 1024 * 1024;
+
+// Whether this copy of the script runs in the background script's service worker
+const IS_BACKGROUND_CONTEXT = typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+
+/**
+ * First-run setups run one after the other through this chain in the background script,
+ * so that concurrent callers create a single first session.
+ * @type {Promise<void>}
+ */
+let sessionSetupLock = Promise.resolve();
+
+/**
+ * Returns the storage key of a session's step index, which holds the number of
+ * chunks, steps and actions.
+ * @param {string} sessionId The session's id.
+ * @returns {string} The storage key.
+ */
+function getStepsKey(sessionId) {
+  return `steps:${sessionId}`;
+}
+
+/**
+ * Returns the storage key of one chunk of a session's recorded steps.
+ * @param {string} sessionId The session's id.
+ * @param {number} index The chunk's position, starting at 0.
+ * @returns {string} The storage key.
+ */
+function getStepChunkKey(sessionId, index) {
+  return `steps:${sessionId}:${index}`;
+}
+
+/**
+ * Returns the storage key of a session's network request index, which holds the number
+ * of chunks and requests.
+ * @param {string} sessionId The session's id.
+ * @returns {string} The storage key.
+ */
+function getNetworkKey(sessionId) {
+  return `network:${sessionId}`;
+}
+
+/**
+ * Returns the storage key of one chunk of a session's captured network requests.
+ * @param {string} sessionId The session's id.
+ * @param {number} index The chunk's position, starting at 0.
+ * @returns {string} The storage key.
+ */
+function getNetworkChunkKey(sessionId, index) {
+  return `network:${sessionId}:${index}`;
+}
+
+/**
+ * Returns the storage key of a session's screenshot links, which map step ids to the
+ * screenshot taken for the step and the element's box on it.
+ * @param {string} sessionId The session's id.
+ * @returns {string} The storage key.
+ */
+function getScreenshotsKey(sessionId) {
+  return `screenshots:${sessionId}`;
+}
+
+/**
+ * Returns the storage key of one of a session's screenshot images. Identical
+ * screenshots share an image.
+ * @param {string} sessionId The session's id.
+ * @param {string} imageId The image's id, a hash of its content.
+ * @returns {string} The storage key.
+ */
+function getScreenshotImageKey(sessionId, imageId) {
+  return `screenshot:${sessionId}:${imageId}`;
+}
+
+/**
+ * Counts the actions in a list of steps, the way the popup shows them: every change of
+ * a batched attribute change counts as an action, and markers are not actions.
+ * @param {Array<object>} steps The steps.
+ * @returns {number} The number of actions.
+ */
+function countActions(steps) {
+  return steps.reduce((count, step) => {
+    if (step.type === 'marker') return count;
+    return count + (step.type === 'batchAttributeChange' ? step.changes.length : 1);
+  }, 0);
+}
+
+/**
+ * Loads a session's step index.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<{chunkCount: number, stepCount: number, actionCount: number}>} The index; all counts are 0 for a session without steps.
+ */
+async function getStepIndex(sessionId) {
+  const key = getStepsKey(sessionId);
+  const { [key]: index } = await chrome.storage.local.get(key);
+  // Sessions stored their steps as a single array before steps were chunked
+  if (Array.isArray(index)) return storeStepChunks(sessionId, index, 0);
+  return index || { chunkCount: 0, stepCount: 0, actionCount: 0 };
+}
+
+/**
+ * Loads one chunk of a session's steps.
+ * @param {string} sessionId The session's id.
+ * @param {number} index The chunk's position.
+ * @returns {Promise<Array<object>>} The chunk's steps, in recording order.
+ */
+async function readStepChunk(sessionId, index) {
+  const key = getStepChunkKey(sessionId, index);
+  const { [key]: chunk } = await chrome.storage.local.get(key);
+  return chunk || [];
+}
+
+/**
+ * Loads all of a session's steps.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<Array<object>>} The steps, in recording order.
+ */
+async function readSessionSteps(sessionId) {
+  const { chunkCount } = await getStepIndex(sessionId);
+  const keys = Array.from({ length: chunkCount }, (_, i) => getStepChunkKey(sessionId, i));
+  if (keys.length === 0) return [];
+  const chunks = await chrome.storage.local.get(keys);
+  return keys.flatMap(key => chunks[key] || []);
+}
+
+/**
+ * Appends steps to a session. Only the session's last chunk and its index are rewritten,
+ * in a single storage write.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} steps The steps to append.
+ * @returns {Promise<void>}
+ */
+async function appendSessionSteps(sessionId, steps) {
+  await chrome.storage.local.set(await getStepAppendItems(sessionId, steps));
+}
+
+/**
+ * Appends steps and network requests to a session in a single storage write, so that
+ * either all of them are stored or none.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} steps The steps to append.
+ * @param {Array<object>} entries The network requests to append.
+ * @param {object} [extraItems={}] Further storage items to write with them, e.g. the outbox
+ *     sequence numbers they were sent with.
+ * @returns {Promise<void>}
+ */
+async function appendSessionData(sessionId, steps, entries, extraItems = {}) {
+  const stepItems = steps.length > 0 ? await getStepAppendItems(sessionId, steps) : {};
+  const networkItems = entries.length > 0 ? await getNetworkAppendItems(sessionId, entries) : {};
+  await chrome.storage.local.set({ ...stepItems, ...networkItems, ...extraItems });
+}
+
+/**
+ * Builds the storage items that append steps to a session: its last chunk, any new
+ * chunks, and its index.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} steps The steps to append.
+ * @returns {Promise<object>} The storage items, keyed by storage key.
+ */
+async function getStepAppendItems(sessionId, steps) {
+  const index = await getStepIndex(sessionId);
+  let chunkIndex = Math.max(index.chunkCount - 1, 0);
+  let chunk = index.chunkCount > 0 ? await readStepChunk(sessionId, chunkIndex) : [];
+  const items = {};
+  for (const step of steps) {
+    if (chunk.length >= STEP_CHUNK_SIZE) {
+      items[getStepChunkKey(sessionId, chunkIndex)] = chunk;
+      chunkIndex++;
+      chunk = [];
+    }
+    chunk.push(step);
+  }
+  items[getStepChunkKey(sessionId, chunkIndex)] = chunk;
+  items[getStepsKey(sessionId)] = {
+    chunkCount: chunkIndex + 1,
+    stepCount: index.stepCount + steps.length,
+    actionCount: index.actionCount + countActions(steps)
+  };
+  return items;
+}
+
+/**
+ * Removes a session's last user step, together with the attribute changes recorded
+ * after it, which it most likely caused. Only the chunks it touches are rewritten.
+ * @param {string} sessionId The session's id.
+ * @param {object} [extraItems={}] Further storage items to write in the same storage write,
+ *     also if there is no step to remove.
+ * @returns {Promise<Array<object>>} The removed steps, in recording order; empty if the session has no steps.
+ */
+async function removeLastSessionStep(sessionId, extraItems = {}) {
+  const index = await getStepIndex(sessionId);
+  const removed = [];
+  const items = {};
+  const staleKeys = [];
+  let chunkCount = index.chunkCount;
+  let found = false;
+  while (chunkCount > 0 && !found) {
+    const chunk = await readStepChunk(sessionId, chunkCount - 1);
+    while (chunk.length > 0 && !found) {
+      const step = chunk.pop();
+      removed.unshift(step);
+      found = step.type !== 'batchAttributeChange';
+    }
+    if (chunk.length > 0) {
+      items[getStepChunkKey(sessionId, chunkCount - 1)] = chunk;
+    } else {
+      staleKeys.push(getStepChunkKey(sessionId, chunkCount - 1));
+      chunkCount--;
+    }
+  }
+  if (removed.length > 0) {
+    items[getStepsKey(sessionId)] = {
+      chunkCount,
+      stepCount: index.stepCount - removed.length,
+      actionCount: index.actionCount - countActions(removed)
+    };
+  }
+  if (removed.length > 0 || Object.keys(extraItems).length > 0) await chrome.storage.local.set({ ...items, ...extraItems });
+  if (staleKeys.length > 0) await chrome.storage.local.remove(staleKeys);
+  return removed;
+}
+
+/**
+ * Replaces all of a session's steps, e.g. when importing or clearing a recording.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} steps The session's new steps.
+ * @returns {Promise<void>}
+ */
+async function writeSessionSteps(sessionId, steps) {
+  const { chunkCount } = await getStepIndex(sessionId);
+  await storeStepChunks(sessionId, steps, chunkCount);
+}
+
+/**
+ * Stores steps as a session's chunks and index, and removes chunks left over from before.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} steps The session's steps.
+ * @param {number} previousChunkCount The number of chunks stored until now.
+ * @returns {Promise<{chunkCount: number, stepCount: number, actionCount: number}>} The new index.
+ */
+async function storeStepChunks(sessionId, steps, previousChunkCount) {
+  const index = { chunkCount: Math.ceil(steps.length / STEP_CHUNK_SIZE), stepCount: steps.length, actionCount: countActions(steps) };
+  const items = { [getStepsKey(sessionId)]: index };
+  for (let i = 0; i < index.chunkCount; i++) {
+    items[getStepChunkKey(sessionId, i)] = steps.slice(i * STEP_CHUNK_SIZE, (i + 1) * STEP_CHUNK_SIZE);
+  }
+  await chrome.storage.local.set(items);
+  const staleKeys = [];
+  for (let i = index.chunkCount; i < previousChunkCount; i++) staleKeys.push(getStepChunkKey(sessionId, i));
+  if (staleKeys.length > 0) await chrome.storage.local.remove(staleKeys);
+  return index;
+}
+
+/**
+ * Loads a session's network request index.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<{chunkCount: number, entryCount: number}>} The index; the counts are 0 for
+ *     a session without network requests.
+ */
+async function getNetworkIndex(sessionId) {
+  const key = getNetworkKey(sessionId);
+  const { [key]: index } = await chrome.storage.local.get(key);
+  // Sessions stored their network requests as a single array before they were chunked
+  if (Array.isArray(index)) return storeNetworkChunks(sessionId, index, 0);
+  return index || { chunkCount: 0, entryCount: 0 };
+}
+
+/**
+ * Returns the storage keys of a session's network request chunks.
+ * @param {string} sessionId The session's id.
+ * @param {number} chunkCount The number of chunks.
+ * @returns {Array<string>} The keys, oldest chunk first.
+ */
+function getNetworkChunkKeys(sessionId, chunkCount) {
+  return Array.from({ length: chunkCount }, (_, i) => getNetworkChunkKey(sessionId, i));
+}
+
+/**
+ * Loads a session's network requests.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<Array<object>>} The requests, in recording order.
+ */
+async function readSessionNetwork(sessionId) {
+  const { chunkCount } = await getNetworkIndex(sessionId);
+  const keys = getNetworkChunkKeys(sessionId, chunkCount);
+  if (keys.length === 0) return [];
+  const chunks = await chrome.storage.local.get(keys);
+  return keys.flatMap(key => chunks[key] || []);
+}
+
+/**
+ * Builds the storage items that append network requests to a session: its last chunk, any
+ * new chunks, and its index.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} entries The requests to append.
+ * @returns {Promise<object>} The storage items, keyed by storage key.
+ */
+async function getNetworkAppendItems(sessionId, entries) {
+  const index = await getNetworkIndex(sessionId);
+  let chunkIndex = Math.max(index.chunkCount - 1, 0);
+  let chunk = [];
+  if (index.chunkCount > 0) {
+    const key = getNetworkChunkKey(sessionId, chunkIndex);
+    chunk = (await chrome.storage.local.get(key))[key] || [];
+  }
+  const items = {};
+  for (const entry of entries) {
+    if (chunk.length >= NETWORK_CHUNK_SIZE) {
+      items[getNetworkChunkKey(sessionId, chunkIndex)] = chunk;
+      chunkIndex++;
+      chunk = [];
+    }
+    chunk.push(entry);
+  }
+  items[getNetworkChunkKey(sessionId, chunkIndex)] = chunk;
+  items[getNetworkKey(sessionId)] = { chunkCount: chunkIndex + 1, entryCount: index.entryCount + entries.length };
+  return items;
+}
+
+/**
+ * Changes a session's network requests in place, e.g. to link them to other steps. Only
+ * the chunks holding changed requests are rewritten.
+ * @param {string} sessionId The session's id.
+ * @param {function(object): (object|Promise<object>)} update Returns the changed request, or the
+ *     same request to keep it unchanged.
+ * @param {number} [startTime] If given, only the requests recorded since about this time are
+ *     passed to update(). Requests are stored about in the order they finish, so chunks are
+ *     read from the newest until one holds no request started at or after this time.
+ * @returns {Promise<void>}
+ */
+async function updateNetworkEntries(sessionId, update, startTime) {
+  const { chunkCount } = await getNetworkIndex(sessionId);
+  const items = {};
+  for (let i = chunkCount - 1; i >= 0; i--) {
+    const key = getNetworkChunkKey(sessionId, i);
+    const { [key]: chunk = [] } = await chrome.storage.local.get(key);
+    if (startTime !== undefined && !chunk.some(entry => entry.startTime >= startTime)) break;
+    const updated = [];
+    for (const entry of chunk) updated.push(await update(entry));
+    if (updated.some((entry, j) => entry !== chunk[j])) items[key] = updated;
+  }
+  if (Object.keys(items).length > 0) await chrome.storage.local.set(items);
+}
+
+/**
+ * Replaces all of a session's network requests, e.g. when importing or clearing a recording.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} entries The session's new requests.
+ * @returns {Promise<void>}
+ */
+async function writeSessionNetwork(sessionId, entries) {
+  const { chunkCount } = await getNetworkIndex(sessionId);
+  await storeNetworkChunks(sessionId, entries, chunkCount);
+}
+
+/**
+ * Stores network requests as a session's chunks and index, and removes chunks left over
+ * from before.
+ * @param {string} sessionId The session's id.
+ * @param {Array<object>} entries The session's requests.
+ * @param {number} previousChunkCount The number of chunks stored until now.
+ * @returns {Promise<{chunkCount: number, entryCount: number}>} The new index.
+ */
+async function storeNetworkChunks(sessionId, entries, previousChunkCount) {
+  const index = { chunkCount: Math.ceil(entries.length / NETWORK_CHUNK_SIZE), entryCount: entries.length };
+  const items = { [getNetworkKey(sessionId)]: index };
+  for (let i = 0; i < index.chunkCount; i++) {
+    items[getNetworkChunkKey(sessionId, i)] = entries.slice(i * NETWORK_CHUNK_SIZE, (i + 1) * NETWORK_CHUNK_SIZE);
+  }
+  await chrome.storage.local.set(items);
+  const staleKeys = [];
+  for (let i = index.chunkCount; i < previousChunkCount; i++) staleKeys.push(getNetworkChunkKey(sessionId, i));
+  if (staleKeys.length > 0) await chrome.storage.local.remove(staleKeys);
+  return index;
+}
+
+/**
+ * Removes all of a session's data from storage.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<void>}
+ */
+async function removeSessionData(sessionId) {
+  const { chunkCount } = await getStepIndex(sessionId);
+  const keys = Array.from({ length: chunkCount }, (_, i) => getStepChunkKey(sessionId, i));
+  const networkKeys = getNetworkChunkKeys(sessionId, (await getNetworkIndex(sessionId)).chunkCount);
+  await removeScreenshots(sessionId);
+  await chrome.storage.local.remove([...keys, ...networkKeys, getStepsKey(sessionId), getNetworkKey(sessionId)]);
+}
+
+/**
+ * Loads a session's screenshot links.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<Object<string, {imageId: string, box: ?{x: number, y: number, width: number, height: number}}>>}
+ *     The links, keyed by step id. Boxes are fractions of the image's size.
+ */
+async function readScreenshots(sessionId) {
+  const key = getScreenshotsKey(sessionId);
+  const { [key]: links } = await chrome.storage.local.get(key);
+  return links || {};
+}
+
+/**
+ * Loads a screenshot image.
+ * @param {string} sessionId The session's id.
+ * @param {string} imageId The image's id.
+ * @returns {Promise<string|null>} The image as a data URL, or null if it no longer exists.
+ */
+async function readScreenshotImage(sessionId, imageId) {
+  const key = getScreenshotImageKey(sessionId, imageId);
+  const { [key]: image } = await chrome.storage.local.get(key);
+  return image || null;
+}
+
+/**
+ * Links a screenshot to a step, storing the image unless an identical one is stored already.
+ * @param {string} sessionId The session's id.
+ * @param {string} stepId The step's id.
+ * @param {{id: string, dataUrl: string}} image The image and its content hash.
+ * @param {?{x: number, y: number, width: number, height: number}} box The element's box on the image.
+ * @returns {Promise<void>}
+ */
+async function saveScreenshot(sessionId, stepId, image, box) {
+  const links = await readScreenshots(sessionId);
+  const isStored = Object.values(links).some(link => link.imageId === image.id);
+  await chrome.storage.local.set({
+    ...(isStored ? {} : { [getScreenshotImageKey(sessionId, image.id)]: image.dataUrl }),
+    [getScreenshotsKey(sessionId)]: { ...links, [stepId]: { imageId: image.id, box } }
+  });
+}
+
+/**
+ * Unlinks the screenshots of steps and removes the images no other step uses.
+ * @param {string} sessionId The session's id.
+ * @param {Array<string>} [stepIds] The ids of the steps; all of the session's screenshots if omitted.
+ * @returns {Promise<void>}
+ */
+async function removeScreenshots(sessionId, stepIds) {
+  const links = await readScreenshots(sessionId);
+  const removedIds = stepIds ? stepIds.filter(id => links[id]) : Object.keys(links);
+  if (removedIds.length === 0) return;
+  const remaining = { ...links };
+  for (const id of removedIds) delete remaining[id];
+  const usedImages = new Set(Object.values(remaining).map(link => link.imageId));
+  const unusedImages = new Set(removedIds.map(id => links[id].imageId).filter(imageId => !usedImages.has(imageId)));
+  await chrome.storage.local.remove([...unusedImages].map(imageId => getScreenshotImageKey(sessionId, imageId)));
+  if (Object.keys(remaining).length > 0) {
+    await chrome.storage.local.set({ [getScreenshotsKey(sessionId)]: remaining });
+  } else {
+    await chrome.storage.local.remove(getScreenshotsKey(sessionId));
+  }
+}
+
+/**
+ * Measures how much of the extension's storage is in use. With the 'unlimitedStorage'
+ * permission chrome.storage.local has no quota, so UNLIMITED_STORAGE_LIMIT_BYTES is used
+ * as the limit instead.
+ * @returns {Promise<{bytesInUse: number, quota: number, ratio: number}>} The usage.
+ */
+async function getStorageUsage() {
+  const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+  const isUnlimited = await chrome.permissions.contains({ permissions: ['unlimitedStorage'] });
+  const quota = isUnlimited ? UNLIMITED_STORAGE_LIMIT_BYTES : chrome.storage.local.QUOTA_BYTES;
+  return { bytesInUse, quota, ratio: bytesInUse / quota };
+}
+
+/**
+ * Returns a name for a new session that no existing session uses, e.g. 'Recording 3'.
+ * @param {Object<string, object>} sessions The existing sessions, keyed by id.
+ * @returns {string} The name.
+ */
+function getDefaultSessionName(sessions) {
+  const names = new Set(Object.values(sessions).map(session => session.name));
+  let number = 1;
+  while (names.has(`Recording ${number}`)) number++;
+  return `Recording ${number}`;
+}
+
+/**
+ * Creates a session record. It is not stored until passed to saveNewSession().
+ * @param {string} name The session's name.
+ * @param {number} loggingLevel The logging level the session records at.
+ * @returns {object} The session record.
+ */
+function createSessionRecord(name, loggingLevel) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    startTime: null,
+    startUrl: null,
+    loggingLevel: loggingLevel ?? LOGGING_LEVELS.MINIMAL
+  };
+}
+
+/**
+ * Stores a new session with its data and makes it the active session.
+ * @param {object} session The record created by createSessionRecord().
+ * @param {Array<object>} [steps=[]] The session's steps.
+ * @param {Array<object>} [network=[]] The session's network requests.
+ * @returns {Promise<object>} The session record.
+ */
+async function saveNewSession(session, steps = [], network = []) {
+  // The data is stored first, so the session never appears without it
+  await writeSessionSteps(session.id, steps);
+  await writeSessionNetwork(session.id, network);
+  const { sessions } = await chrome.storage.local.get('sessions');
+  await chrome.storage.local.set({
+    sessions: { ...(sessions || {}), [session.id]: session },
+    activeSessionId: session.id,
+    loggingLevel: session.loggingLevel
+  });
+  return session;
+}
+
+/**
+ * Creates the first session unless a session exists. A recording stored under the legacy
+ * 'clicks' and 'network' keys becomes that session. Runs in the background script under
+ * sessionSetupLock; pages ask the background script with a 'setupSessions' message, so
+ * that the popup and the background script never both create one.
+ * @returns {Promise<void>}
+ */
+function setupFirstSession() {
+  if (!IS_BACKGROUND_CONTEXT) {
+    return chrome.runtime.sendMessage({ action: 'setupSessions' }).then(response => {
+      if (!response || !response.success) throw new Error(response ? response.error : 'The first session could not be created.');
+    });
+  }
+  const setup = sessionSetupLock.then(async () => {
+    const result = await chrome.storage.local.get(['sessions', 'loggingLevel', LEGACY_STORAGE_KEYS.steps, LEGACY_STORAGE_KEYS.network]);
+    if (Object.keys(result.sessions || {}).length > 0) return;
+    const session = createSessionRecord('Recording 1', result.loggingLevel);
+    await saveNewSession(session, result[LEGACY_STORAGE_KEYS.steps] || [], result[LEGACY_STORAGE_KEYS.network] || []);
+    await chrome.storage.local.remove([LEGACY_STORAGE_KEYS.steps, LEGACY_STORAGE_KEYS.network]);
+  });
+  sessionSetupLock = setup.catch(() => {});
+  return setup;
+}
+
+/**
+ * Loads the sessions and the active session's id, creating the first session if there is
+ * none.
+ * @returns {Promise<{sessions: Object<string, object>, activeSessionId: string}>} The sessions, keyed by id.
+ */
+async function loadSessions() {
+  let result = await chrome.storage.local.get(['sessions', 'activeSessionId']);
+  if (Object.keys(result.sessions || {}).length === 0) {
+    await setupFirstSession();
+    result = await chrome.storage.local.get(['sessions', 'activeSessionId']);
+  }
+  const sessions = result.sessions || {};
+
+  if (!sessions[result.activeSessionId]) {
+    const [latest] = Object.values(sessions).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    await chrome.storage.local.set({ activeSessionId: latest.id });
+    return { sessions, activeSessionId: latest.id };
+  }
+  return { sessions, activeSessionId: result.activeSessionId };
+}
+
+/**
+ * Returns the active session's record.
+ * @returns {Promise<object>} The session record.
+ */
+async function getActiveSession() {
+  const { sessions, activeSessionId } = await loadSessions();
+  return sessions[activeSessionId];
+}
+
+/**
+ * Loads a session's steps and network requests.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<{steps: Array<object>, network: Array<object>}>} The session's data.
+ */
+async function getSessionData(sessionId) {
+  return { steps: await readSessionSteps(sessionId), network: await readSessionNetwork(sessionId) };
+}
+
+/**
+ * Removes a session's steps and network requests, keeping the session itself.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<void>}
+ */
+async function clearSessionData(sessionId) {
+  await writeSessionSteps(sessionId, []);
+  await writeSessionNetwork(sessionId, []);
+  await removeScreenshots(sessionId);
+}
+
+/**
+ * Updates fields of a session record and its updatedAt timestamp.
+ * @param {string} sessionId The session's id.
+ * @param {object} fields The fields to change, e.g. name or loggingLevel.
+ * @returns {Promise<object>} The updated session record.
+ * @throws {Error} If the session does not exist.
+ */
+async function updateSession(sessionId, fields) {
+  const { sessions } = await chrome.storage.local.get('sessions');
+  if (!sessions || !sessions[sessionId]) throw new Error('The session no longer exists.');
+  const session = { ...sessions[sessionId], ...fields, updatedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ sessions: { ...sessions, [sessionId]: session } });
+  return session;
+}
+
+/**
+ * Makes a session the active one and applies its logging level.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<void>}
+ * @throws {Error} If the session does not exist.
+ */
+async function setActiveSession(sessionId) {
+  const { sessions } = await chrome.storage.local.get('sessions');
+  if (!sessions || !sessions[sessionId]) throw new Error('The session no longer exists.');
+  await chrome.storage.local.set({ activeSessionId: sessionId, loggingLevel: sessions[sessionId].loggingLevel });
+}
+
+/**
+ * Copies a session, including its steps, network requests and screenshots, and makes the copy active.
+ * @param {string} sessionId The id of the session to copy.
+ * @returns {Promise<object>} The new session record.
+ * @throws {Error} If the session does not exist.
+ */
+async function duplicateSession(sessionId) {
+  const { sessions } = await chrome.storage.local.get('sessions');
+  if (!sessions || !sessions[sessionId]) throw new Error('The session no longer exists.');
+  const source = sessions[sessionId];
+  const { steps, network } = await getSessionData(sessionId);
+  const names = new Set(Object.values(sessions).map(session => session.name));
+  let name = `${source.name} (copy)`;
+  for (let number = 2; names.has(name); number++) name = `${source.name} (copy ${number})`;
+  const copy = {
+    ...createSessionRecord(name, source.loggingLevel),
+    startTime: source.startTime,
+    startUrl: source.startUrl
+  };
+  // The copied steps keep their ids, so the screenshot links stay valid
+  const links = await readScreenshots(sessionId);
+  const images = {};
+  for (const imageId of new Set(Object.values(links).map(link => link.imageId))) {
+    const image = await readScreenshotImage(sessionId, imageId);
+    if (image) images[getScreenshotImageKey(copy.id, imageId)] = image;
+  }
+  if (Object.keys(links).length > 0) {
+    await chrome.storage.local.set({ ...images, [getScreenshotsKey(copy.id)]: links });
+  }
+  return saveNewSession(copy, steps, network);
+}
+
+/**
+ * Deletes a session and its data. If it was the active session, the most recently
+ * updated remaining session becomes active, or a new empty session is created.
+ * @param {string} sessionId The session's id.
+ * @returns {Promise<void>}
+ */
+async function deleteSession(sessionId) {
+  const { sessions, activeSessionId } = await chrome.storage.local.get(['sessions', 'activeSessionId']);
+  const remaining = { ...(sessions || {}) };
+  delete remaining[sessionId];
+  await removeSessionData(sessionId);
+  await chrome.storage.local.set({ sessions: remaining });
+
+  if (activeSessionId !== sessionId) return;
+  const [latest] = Object.values(remaining).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  if (latest) {
+    await setActiveSession(latest.id);
+  } else {
+    const { loggingLevel } = await chrome.storage.local.get('loggingLevel');
+    await saveNewSession(createSessionRecord(getDefaultSessionName({}), loggingLevel));
+  }
+}